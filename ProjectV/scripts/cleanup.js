@@ -5,11 +5,9 @@
  * This script removes all data marked with _seeded: true from the database.
  */
 
-import dotenv from 'dotenv';
+import 'dotenv/config';
 import { getDb, closeDb } from '../src/config/db.js';
 
-dotenv.config();
-
 /**
  * Clean up seeded data from a collection
  */
@@ -6,15 +6,38 @@
  * All seeded data is marked with a `_seeded: true` flag for easy identification and cleanup.
  */
 
-import dotenv from 'dotenv';
-import bcrypt from 'bcryptjs';
+// First, so the password policy and hashing settings see .env.
+import 'dotenv/config';
 import { getDb, closeDb } from '../src/config/db.js';
-
-dotenv.config();
+import { checkPasswordPolicy } from '../src/utils/passwordPolicy.js';
+import { PASSWORD_HASH_PARAMS, formatHashVersion, hashSecret } from '../src/utils/passwordHash.js';
 
 const SEED_MARKER = { _seeded: true };
 const SEED_TIMESTAMP = new Date();
 
+/**
+ * Development passwords for seeded users (must satisfy the password policy)
+ */
+const SEED_PASSWORDS = {
+  admin: 'Orbit-Lantern-42',
+  testuser: 'Maple-Harbor-17',
+  demo: 'Copper-Meadow-58'
+};
+
+/**
+ * Validate seed passwords against the configured password policy
+ */
+function validateSeedPasswords() {
+  for (const [username, password] of Object.entries(SEED_PASSWORDS)) {
+    const violations = checkPasswordPolicy(password, { username });
+    if (violations.length > 0) {
+      throw new Error(
+        `Seed password for ${username} violates the password policy: ${violations.map(v => v.message).join('; ')}`
+      );
+    }
+  }
+}
+
 /**
  * Seed users collection
  */
@@ -22,16 +45,19 @@ async function seedUsers(db) {
   console.log('📝 Seeding users collection...');
   const usersCollection = db.collection('users');
 
-  // Hash passwords first
-  const adminPassword = await bcrypt.hash('admin123', 10);
-  const testPassword = await bcrypt.hash('test123', 10);
-  const demoPassword = await bcrypt.hash('demo123', 10);
+  // Validate and hash passwords first
+  validateSeedPasswords();
+  const adminPassword = await hashSecret(SEED_PASSWORDS.admin);
+  const testPassword = await hashSecret(SEED_PASSWORDS.testuser);
+  const demoPassword = await hashSecret(SEED_PASSWORDS.demo);
+  const hashVersion = formatHashVersion(PASSWORD_HASH_PARAMS);
 
   const users = [
     {
       username: 'admin',
       email: 'admin@example.com',
       password: adminPassword,
+      hash_version: hashVersion,
       role: 'admin',
       ...SEED_MARKER,
       _seededAt: SEED_TIMESTAMP
@@ -40,6 +66,7 @@ async function seedUsers(db) {
       username: 'testuser',
       email: 'test@example.com',
       password: testPassword,
+      hash_version: hashVersion,
       role: 'user',
       ...SEED_MARKER,
       _seededAt: SEED_TIMESTAMP
@@ -48,6 +75,7 @@ async function seedUsers(db) {
       username: 'demo',
       email: 'demo@example.com',
       password: demoPassword,
+      hash_version: hashVersion,
       role: 'user',
       ...SEED_MARKER,
       _seededAt: SEED_TIMESTAMP
@@ -63,9 +91,9 @@ async function seedUsers(db) {
 
   const result = await usersCollection.insertMany(users);
   console.log(`✅ Created ${result.insertedCount} users`);
-  console.log('   - admin / admin123');
-  console.log('   - testuser / test123');
-  console.log('   - demo / demo123');
+  for (const [username, password] of Object.entries(SEED_PASSWORDS)) {
+    console.log(`   - ${username} / ${password}`);
+  }
 }
 
 /**
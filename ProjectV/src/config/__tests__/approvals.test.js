@@ -0,0 +1,46 @@
+import { describe, it, expect } from '@jest/globals';
+import { findApprovalAction, isApprovalAction, parseApprovalRules } from '../approvals.js';
+
+describe('Approval Rules', () => {
+  describe('parseApprovalRules', () => {
+    it('should parse operation, collection and action', () => {
+      expect(parseApprovalRules('delete:sales=sale.void, update:sales=price.override')).toEqual([
+        { operation: 'delete', collection: 'sales', action: 'sale.void' },
+        { operation: 'update', collection: 'sales', action: 'price.override' }
+      ]);
+    });
+
+    it('should return no rules when unset', () => {
+      expect(parseApprovalRules(undefined)).toEqual([]);
+      expect(parseApprovalRules('  ')).toEqual([]);
+    });
+
+    it('should reject malformed entries, unknown operations and unknown actions', () => {
+      expect(() => parseApprovalRules('delete-sales')).toThrow('malformed');
+      expect(() => parseApprovalRules('read:sales=sale.void')).toThrow('unknown operation');
+      expect(() => parseApprovalRules('delete:sales=sale.explode')).toThrow('unknown action');
+    });
+  });
+
+  describe('findApprovalAction', () => {
+    const rules = parseApprovalRules('delete:sales=sale.void,create:refunds=sale.refund');
+
+    it('should match operation and collection', () => {
+      expect(findApprovalAction('delete', 'sales', rules)).toBe('sale.void');
+      expect(findApprovalAction('create', 'refunds', rules)).toBe('sale.refund');
+    });
+
+    it('should return null when no rule applies', () => {
+      expect(findApprovalAction('update', 'sales', rules)).toBeNull();
+      expect(findApprovalAction('delete', 'items', rules)).toBeNull();
+    });
+  });
+
+  describe('isApprovalAction', () => {
+    it('should only accept registered actions', () => {
+      expect(isApprovalAction('sale.refund')).toBe(true);
+      expect(isApprovalAction('constructor')).toBe(false);
+      expect(isApprovalAction(undefined)).toBe(false);
+    });
+  });
+});
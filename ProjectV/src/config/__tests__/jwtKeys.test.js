@@ -0,0 +1,90 @@
+import { describe, it, expect } from '@jest/globals';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { buildKeyring, getJwks, getVerificationKey, hasAsymmetricSigningKey } from '../jwtKeys.js';
+
+const pem = (key) => key.export({ type: key.type === 'private' ? 'pkcs8' : 'spki', format: 'pem' });
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+describe('JWT Keys', () => {
+  describe('buildKeyring', () => {
+    it('should sign with RS256 and ES256 keys by kid', () => {
+      const ring = buildKeyring({
+        keys: [{ kid: 'rsa-1', pem: pem(rsa.privateKey) }, { kid: 'ec-1', pem: pem(ec.privateKey) }],
+        activeKid: 'ec-1'
+      });
+
+      expect(ring.signing.kid).toBe('ec-1');
+      expect(ring.signing.alg).toBe('ES256');
+      expect(ring.verification.get('rsa-1').alg).toBe('RS256');
+    });
+
+    it('should verify tokens signed by a retired public-only key', () => {
+      const ring = buildKeyring({
+        keys: [{ kid: 'new', pem: pem(ec.privateKey) }, { kid: 'old', pem: pem(rsa.publicKey) }]
+      });
+      const token = jwt.sign({ sub: 'x' }, rsa.privateKey, { algorithm: 'RS256', keyid: 'old' });
+      const { alg, key } = ring.verification.get('old');
+
+      expect(ring.signing.kid).toBe('new');
+      expect(jwt.verify(token, key, { algorithms: [alg] }).sub).toBe('x');
+    });
+
+    it('should reject an ambiguous or unusable active key', () => {
+      const keys = [{ kid: 'a', pem: pem(rsa.privateKey) }, { kid: 'b', pem: pem(ec.privateKey) }];
+
+      expect(() => buildKeyring({ keys })).toThrow('JWT_ACTIVE_KID is required');
+      expect(() => buildKeyring({ keys, activeKid: 'c' })).toThrow('not found');
+      expect(() => buildKeyring({ keys: [{ kid: 'p', pem: pem(rsa.publicKey) }], activeKid: 'p' })).toThrow('cannot sign');
+    });
+
+    it('should reject weak RSA keys', () => {
+      const weak = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+
+      expect(() => buildKeyring({ keys: [{ kid: 'weak', pem: pem(weak.privateKey) }] })).toThrow('2048');
+    });
+
+    it('should fall back to HS256 with JWT_SECRET', () => {
+      const ring = buildKeyring({ secret: 's3cret', production: true });
+
+      expect(ring.signing).toEqual({ alg: 'HS256', key: 's3cret' });
+      expect(ring.usingDevSecret).toBe(false);
+    });
+
+    it('should only report asymmetric signing keys as usable for ID tokens', () => {
+      expect(hasAsymmetricSigningKey(buildKeyring({ secret: 's3cret' }))).toBe(false);
+      expect(hasAsymmetricSigningKey(buildKeyring({ keys: [{ kid: 'ec-1', pem: pem(ec.privateKey) }] }))).toBe(true);
+    });
+
+    it('should only keep verifying HS256 tokens next to signing keys until the deadline', () => {
+      const keys = [{ kid: 'rsa-1', pem: pem(rsa.privateKey) }];
+      const header = { alg: 'HS256' };
+
+      const ignored = buildKeyring({ keys, secret: 'change-me' });
+      expect(ignored.ignoredSecret).toBe(true);
+      expect(getVerificationKey(header, ignored)).toBeNull();
+
+      const ring = buildKeyring({ keys, secret: 'legacy', secretUntil: '2026-11-01T00:00:00Z' });
+      expect(getVerificationKey(header, ring, new Date('2026-10-31T00:00:00Z'))).toEqual({ alg: 'HS256', key: 'legacy' });
+      expect(getVerificationKey(header, ring, new Date('2026-11-01T00:00:00Z'))).toBeNull();
+      expect(() => buildKeyring({ keys, secret: 'legacy', secretUntil: 'soon' })).toThrow('JWT_SECRET_VERIFY_UNTIL');
+    });
+
+    it('should refuse to start in production without any key', () => {
+      expect(() => buildKeyring({ production: true })).toThrow('No JWT signing key configured');
+      expect(buildKeyring({ production: false }).usingDevSecret).toBe(true);
+    });
+  });
+
+  describe('getJwks', () => {
+    it('should publish public keys only', () => {
+      const ring = buildKeyring({ keys: [{ kid: 'rsa-1', pem: pem(rsa.privateKey) }], secret: 'legacy' });
+      const { keys } = getJwks(ring);
+
+      expect(keys).toHaveLength(1);
+      expect(keys[0]).toMatchObject({ kty: 'RSA', kid: 'rsa-1', alg: 'RS256', use: 'sig' });
+      expect(keys[0]).not.toHaveProperty('d');
+    });
+  });
+});
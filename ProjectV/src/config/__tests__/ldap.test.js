@@ -0,0 +1,48 @@
+import { describe, it, expect } from '@jest/globals';
+import { assertLdapConfig, getLdapConfig, parseGroupRoles } from '../ldap.js';
+
+describe('LDAP Config', () => {
+  describe('parseGroupRoles', () => {
+    it('should parse a JSON mapping and keep its order', () => {
+      const mapping = parseGroupRoles('{"store-managers":"manager","cn=cashiers,ou=groups,dc=projectv,dc=local":"pos"}');
+
+      expect(Object.entries(mapping)).toEqual([
+        ['store-managers', 'manager'],
+        ['cn=cashiers,ou=groups,dc=projectv,dc=local', 'pos']
+      ]);
+      expect(parseGroupRoles(undefined)).toEqual({});
+    });
+
+    it('should reject malformed mappings and unknown roles', () => {
+      expect(() => parseGroupRoles('store-managers=manager')).toThrow('must be a JSON object');
+      expect(() => parseGroupRoles('["manager"]')).toThrow('must be a JSON object');
+      expect(() => parseGroupRoles('{"cashiers":"superuser"}')).toThrow('unknown role "superuser"');
+    });
+  });
+
+  describe('assertLdapConfig', () => {
+    it('should require the server and user base DN', () => {
+      const config = { url: 'ldap://localhost:389', userBaseDn: 'ou=people,dc=projectv,dc=local', defaultRole: null };
+
+      expect(() => assertLdapConfig(config)).not.toThrow();
+      expect(() => assertLdapConfig({ ...config, url: '' })).toThrow('LDAP_URL');
+      expect(() => assertLdapConfig({ ...config, userBaseDn: '' })).toThrow('LDAP_USER_BASE_DN');
+      expect(() => assertLdapConfig({ ...config, defaultRole: 'superuser' })).toThrow('LDAP_DEFAULT_ROLE');
+    });
+  });
+
+  describe('getLdapConfig', () => {
+    it('should read the environment on first use rather than at import', () => {
+      process.env.LDAP_URL = 'ldap://directory.projectv.local:389';
+      process.env.LDAP_GROUP_ROLES = '{"cashiers":"pos"}';
+
+      const config = getLdapConfig();
+
+      expect(config.url).toBe('ldap://directory.projectv.local:389');
+      expect(config.groupRoles).toEqual({ cashiers: 'pos' });
+      expect(getLdapConfig()).toBe(config);
+      delete process.env.LDAP_URL;
+      delete process.env.LDAP_GROUP_ROLES;
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermission,
+  isValidRole
+} from '../permissions.js';
+
+describe('Permissions', () => {
+  describe('getRolePermissions', () => {
+    it('should grant every permission to admin', () => {
+      expect(getRolePermissions('admin')).toEqual(PERMISSIONS);
+    });
+
+    it('should return an empty list for unknown roles', () => {
+      expect(getRolePermissions('ghost')).toEqual([]);
+      expect(getRolePermissions(undefined)).toEqual([]);
+    });
+
+    it('should not resolve inherited object properties as roles', () => {
+      expect(getRolePermissions('constructor')).toEqual([]);
+    });
+
+    it('should only reference known permissions', () => {
+      for (const permissions of Object.values(ROLE_PERMISSIONS)) {
+        for (const permission of permissions) {
+          expect(PERMISSIONS).toContain(permission);
+        }
+      }
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should allow users to read and write documents', () => {
+      expect(hasPermission('user', 'documents:read')).toBe(true);
+      expect(hasPermission('user', 'documents:update')).toBe(true);
+    });
+
+    it('should deny users destructive and audit permissions', () => {
+      expect(hasPermission('user', 'documents:delete')).toBe(false);
+      expect(hasPermission('user', 'collections:create')).toBe(false);
+      expect(hasPermission('user', 'actions:read')).toBe(false);
+    });
+  });
+
+  describe('isValidRole', () => {
+    it('should accept defined roles only', () => {
+      expect(isValidRole('admin')).toBe(true);
+      expect(isValidRole('user')).toBe(true);
+      expect(isValidRole('root')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  isReservedCollection,
+  reservedCollectionMessage
+} from '../reservedCollections.js';
+
+describe('Reserved Collections', () => {
+  describe('isReservedCollection', () => {
+    it('should reserve internal collections', () => {
+      expect(isReservedCollection('users')).toBe(true);
+      expect(isReservedCollection('actions')).toBe(true);
+      expect(isReservedCollection('refresh_tokens')).toBe(true);
+    });
+
+    it('should reserve MongoDB system collections', () => {
+      expect(isReservedCollection('system.views')).toBe(true);
+    });
+
+    it('should not reserve application collections', () => {
+      expect(isReservedCollection('products')).toBe(false);
+      expect(isReservedCollection('WorkOrders')).toBe(false);
+      expect(isReservedCollection('toString')).toBe(false);
+    });
+  });
+
+  describe('reservedCollectionMessage', () => {
+    it('should point to the dedicated endpoint when there is one', () => {
+      expect(reservedCollectionMessage('actions')).toBe(
+        'Forbidden: collection actions is reserved; use POST /actions/find'
+      );
+    });
+
+    it('should omit the endpoint for internal-only collections', () => {
+      expect(reservedCollectionMessage('revoked_tokens')).toBe(
+        'Forbidden: collection revoked_tokens is reserved'
+      );
+    });
+  });
+});
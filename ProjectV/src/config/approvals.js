@@ -0,0 +1,81 @@
+/**
+ * @file approvals.js
+ * @brief Actions that need a manager's approval, and where they apply.
+ *
+ * A cashier performing one of these actions must present an approval
+ * token from POST /auth/approve (see middleware/approval.js). Callers
+ * that hold `approvals:grant` themselves act without one.
+ *
+ * Which document operations count as which action is configured with
+ * APPROVAL_RULES, a comma separated list of
+ * `<operation>:<collection>=<action>` entries, where operation is
+ * `create`, `update` or `delete`:
+ *
+ *   APPROVAL_RULES=delete:sales=sale.void,create:refunds=sale.refund,update:sales=price.override
+ *
+ * Without APPROVAL_RULES no document operation requires approval.
+ */
+
+/**
+ * @brief Actions a manager can approve, with a description for clients.
+ */
+export const APPROVAL_ACTIONS = Object.freeze({
+  "sale.void": "Void a sale",
+  "sale.refund": "Refund a sale",
+  "price.override": "Override an item price"
+});
+
+const OPERATIONS = Object.freeze(["create", "update", "delete"]);
+
+/**
+ * @brief Check whether an action is known.
+ *
+ * @param {unknown} action Action name.
+ * @returns {boolean} True for actions in APPROVAL_ACTIONS.
+ */
+export function isApprovalAction(action) {
+  return typeof action === "string" && Object.hasOwn(APPROVAL_ACTIONS, action);
+}
+
+/**
+ * @brief Parse an APPROVAL_RULES specification.
+ *
+ * @param {string} [spec] Comma separated `<operation>:<collection>=<action>` entries.
+ * @returns {{ operation: string, collection: string, action: string }[]} Rules.
+ * @throws {Error} On malformed entries, unknown operations or unknown actions.
+ */
+export function parseApprovalRules(spec) {
+  if (!spec || !spec.trim()) return [];
+
+  return spec.split(",").map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const match = /^([a-z]+):([^=\s]+)=(\S+)$/.exec(entry);
+    if (!match) throw new Error(`APPROVAL_RULES: malformed entry "${entry}"`);
+
+    const [, operation, collection, action] = match;
+    if (!OPERATIONS.includes(operation)) {
+      throw new Error(`APPROVAL_RULES: unknown operation "${operation}" (expected ${OPERATIONS.join(", ")})`);
+    }
+    if (!isApprovalAction(action)) {
+      throw new Error(`APPROVAL_RULES: unknown action "${action}"`);
+    }
+    return { operation, collection, action };
+  });
+}
+
+/**
+ * @brief Approval rules in effect, built from the environment.
+ */
+export const APPROVAL_RULES = Object.freeze(parseApprovalRules(process.env.APPROVAL_RULES));
+
+/**
+ * @brief Find the action an operation on a collection requires approval for.
+ *
+ * @param {string} operation  "create", "update" or "delete".
+ * @param {string} collection Collection name.
+ * @param {{ operation: string, collection: string, action: string }[]} [rules] Rules to apply.
+ * @returns {string|null} Action name, or null when no approval is needed.
+ */
+export function findApprovalAction(operation, collection, rules = APPROVAL_RULES) {
+  const rule = rules.find((r) => r.operation === operation && r.collection === collection);
+  return rule ? rule.action : null;
+}
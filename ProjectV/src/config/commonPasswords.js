@@ -0,0 +1,30 @@
+/**
+ * @file commonPasswords.js
+ * @brief Blocklist of common passwords shipped with the service.
+ *
+ * Compiled from widely published "most common password" lists.
+ * Entries are lowercase; the password policy compares case-insensitively.
+ */
+
+export const COMMON_PASSWORDS = Object.freeze(new Set([
+  "123456", "123456789", "12345678", "12345", "1234567", "1234567890",
+  "123123", "111111", "000000", "654321", "666666", "121212", "112233",
+  "123321", "987654321", "1q2w3e4r", "1q2w3e4r5t", "1qaz2wsx", "qwerty",
+  "qwerty123", "qwertyuiop", "qwerty1", "asdfgh", "asdfghjkl", "zxcvbnm",
+  "password", "password1", "password123", "password12", "passw0rd",
+  "p@ssw0rd", "p@ssword", "pass123", "pass1234", "letmein", "letmein1",
+  "welcome", "welcome1", "welcome123", "admin", "admin123", "admin1234",
+  "administrator", "root", "toor", "changeme", "change-me", "default",
+  "guest", "test", "test123", "test1234", "demo", "demo123", "user",
+  "user123", "login", "secret", "master", "iloveyou", "princess",
+  "sunshine", "monkey", "dragon", "football", "baseball", "soccer",
+  "hockey", "superman", "batman", "trustno1", "shadow", "michael",
+  "jennifer", "jordan", "hunter", "hunter2", "ashley", "charlie",
+  "freedom", "whatever", "starwars", "pokemon", "computer", "internet",
+  "abc123", "abcd1234", "abcdef", "aa123456", "a123456", "qazwsx",
+  "zaq12wsx", "google", "mustang", "access", "killer", "cheese",
+  "summer", "winter", "spring", "autumn", "summer2024", "winter2024",
+  "spring2024", "autumn2024", "summer2025", "winter2025", "spring2025",
+  "autumn2025", "company", "company123", "cashier", "cashier1", "pos123",
+  "register", "manager", "manager1", "store123", "retail", "projectv"
+]));
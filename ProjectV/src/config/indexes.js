@@ -0,0 +1,101 @@
+/**
+ * @file indexes.js
+ * @brief MongoDB index definitions for ProjectV internal collections.
+ *
+ * Called once at startup so lookups on internal collections stay fast
+ * and expired records are removed by MongoDB TTL monitors.
+ */
+
+import { getDb } from "./db.js";
+import { REFRESH_TOKENS_COLLECTION } from "../services/refreshTokens.js";
+import { REVOKED_TOKENS_COLLECTION } from "../services/revocation.js";
+import { COLLECTION_ACLS_COLLECTION } from "../services/collectionAcl.js";
+import { USERS_COLLECTION } from "../services/users.js";
+import { ONE_TIME_TOKENS_COLLECTION } from "../services/oneTimeTokens.js";
+import { LOGIN_ATTEMPTS_COLLECTION } from "../services/loginAttempts.js";
+import { API_KEYS_COLLECTION } from "../services/apiKeys.js";
+import { OAUTH_CLIENTS_COLLECTION } from "../services/oauthClients.js";
+import { SESSIONS_COLLECTION } from "../services/sessions.js";
+import { TERMINALS_COLLECTION } from "../services/terminals.js";
+import { AUTHORIZATION_CODES_COLLECTION } from "../services/oidc.js";
+import { OUTBOX_COLLECTION } from "../services/outbox.js";
+import { RETENTION_POLICIES_COLLECTION } from "../services/retention.js";
+
+/**
+ * @brief Create indexes required by internal collections.
+ *
+ * createIndexes is idempotent, so this is safe to run on every start.
+ *
+ * @returns {Promise<void>}
+ */
+export async function ensureIndexes() {
+  const db = await getDb();
+
+  await db.collection(USERS_COLLECTION).createIndexes([
+    { key: { username: 1 }, unique: true }
+  ]);
+
+  await db.collection(REFRESH_TOKENS_COLLECTION).createIndexes([
+    { key: { token_hash: 1 }, unique: true },
+    { key: { family_id: 1 } },
+    { key: { username: 1 } },
+    { key: { client_id: 1 }, sparse: true },
+    { key: { expires_at: 1 }, expireAfterSeconds: 0 }
+  ]);
+
+  await db.collection(REVOKED_TOKENS_COLLECTION).createIndexes([
+    { key: { type: 1, jti: 1 }, unique: true, partialFilterExpression: { type: "token" } },
+    { key: { type: 1, username: 1 }, unique: true, partialFilterExpression: { type: "user" } },
+    { key: { expires_at: 1 }, expireAfterSeconds: 0 }
+  ]);
+
+  await db.collection(COLLECTION_ACLS_COLLECTION).createIndexes([
+    { key: { collection: 1, principal: 1 }, unique: true }
+  ]);
+
+  await db.collection(ONE_TIME_TOKENS_COLLECTION).createIndexes([
+    { key: { token_hash: 1 }, unique: true },
+    { key: { purpose: 1, username: 1 } },
+    { key: { expires_at: 1 }, expireAfterSeconds: 0 }
+  ]);
+
+  await db.collection(LOGIN_ATTEMPTS_COLLECTION).createIndexes([
+    { key: { key: 1 }, unique: true },
+    { key: { expires_at: 1 }, expireAfterSeconds: 0 }
+  ]);
+
+  await db.collection(API_KEYS_COLLECTION).createIndexes([
+    { key: { key_hash: 1 }, unique: true },
+    { key: { prefix: 1 }, unique: true },
+    { key: { owner: 1 } }
+  ]);
+
+  await db.collection(OAUTH_CLIENTS_COLLECTION).createIndexes([
+    { key: { client_id: 1 }, unique: true }
+  ]);
+
+  await db.collection(SESSIONS_COLLECTION).createIndexes([
+    { key: { session_id: 1 }, unique: true },
+    { key: { username: 1, last_seen_at: -1 } },
+    { key: { terminal_id: 1 }, sparse: true },
+    { key: { expires_at: 1 }, expireAfterSeconds: 0 }
+  ]);
+
+  await db.collection(TERMINALS_COLLECTION).createIndexes([
+    { key: { terminal_id: 1 }, unique: true }
+  ]);
+
+  await db.collection(AUTHORIZATION_CODES_COLLECTION).createIndexes([
+    { key: { code_hash: 1 }, unique: true },
+    { key: { expires_at: 1 }, expireAfterSeconds: 0 }
+  ]);
+
+  await db.collection(OUTBOX_COLLECTION).createIndexes([
+    { key: { status: 1, next_attempt_at: 1 } },
+    { key: { purge_at: 1 }, expireAfterSeconds: 0 }
+  ]);
+
+  await db.collection(RETENTION_POLICIES_COLLECTION).createIndexes([
+    { key: { collection: 1 }, unique: true }
+  ]);
+}
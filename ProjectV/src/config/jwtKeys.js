@@ -0,0 +1,246 @@
+/**
+ * @file jwtKeys.js
+ * @brief Signing and verification keys for access tokens.
+ *
+ * Keys are PEM files in JWT_KEYS_DIR, one per key id (`kid`):
+ *
+ *  - `<kid>.pem`      private key (RSA >= 2048 bits, or EC P-256/P-384);
+ *                     can sign and verify
+ *  - `<kid>.pub.pem`  public key only; verifies tokens signed by a
+ *                     retired key that may still be in circulation
+ *
+ * JWT_ACTIVE_KID picks the signing key (optional when the directory
+ * holds a single private key). Every key in the directory verifies,
+ * so rotation is: add the new key, switch JWT_ACTIVE_KID, and remove
+ * the old key once its tokens have expired.
+ *
+ * Without JWT_KEYS_DIR tokens are signed with HS256 and JWT_SECRET.
+ * When both are set, JWT_SECRET is ignored unless
+ * JWT_SECRET_VERIFY_UNTIL (an ISO 8601 date) is also set: it then keeps
+ * verifying HS256 tokens issued before the switch until that date, so
+ * a leaked or default secret cannot mint tokens forever. In production (NODE_ENV=production) startup fails
+ * if neither is configured; elsewhere a built-in development secret is
+ * used with a warning.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const DEV_SECRET = "change-this-secret-in-production";
+
+/**
+ * @brief Pick the JWS algorithm for a key.
+ *
+ * @param {crypto.KeyObject} key Private or public key.
+ * @returns {"RS256"|"ES256"|"ES384"} Algorithm.
+ * @throws {Error} For unsupported key types or too small RSA keys.
+ */
+function algorithmFor(key) {
+  const details = key.asymmetricKeyDetails || {};
+  if (key.asymmetricKeyType === "rsa") {
+    if (details.modulusLength < 2048) throw new Error("RSA keys must be at least 2048 bits");
+    return "RS256";
+  }
+  if (key.asymmetricKeyType === "ec" && details.namedCurve === "prime256v1") return "ES256";
+  if (key.asymmetricKeyType === "ec" && details.namedCurve === "secp384r1") return "ES384";
+  throw new Error(`Unsupported key type ${key.asymmetricKeyType}${details.namedCurve ? ` (${details.namedCurve})` : ""}`);
+}
+
+/**
+ * @brief Parse one PEM key.
+ *
+ * @param {{ kid: string, pem: string }} source Key id and PEM text.
+ * @returns {{ kid: string, alg: string, privateKey: crypto.KeyObject|null, publicKey: crypto.KeyObject }} Parsed key.
+ * @throws {Error} When the PEM cannot be parsed or the key type is unsupported.
+ */
+function parseKey({ kid, pem }) {
+  let privateKey = null;
+  let publicKey;
+  try {
+    privateKey = crypto.createPrivateKey(pem);
+    publicKey = crypto.createPublicKey(privateKey);
+  } catch {
+    try {
+      publicKey = crypto.createPublicKey(pem);
+    } catch (err) {
+      throw new Error(`JWT key ${kid}: ${err.message}`);
+    }
+  }
+
+  try {
+    return { kid, alg: algorithmFor(publicKey), privateKey, publicKey };
+  } catch (err) {
+    throw new Error(`JWT key ${kid}: ${err.message}`);
+  }
+}
+
+/**
+ * @brief Build a keyring from key material.
+ *
+ * @param {Object} options
+ * @param {{ kid: string, pem: string }[]} [options.keys] PEM keys.
+ * @param {string} [options.activeKid]  Key id to sign with.
+ * @param {string} [options.secret]     HS256 secret (JWT_SECRET).
+ * @param {string} [options.secretUntil] With keys, date until which the secret still verifies (JWT_SECRET_VERIFY_UNTIL).
+ * @param {boolean} [options.production] Refuse to fall back to the development secret.
+ * @returns {{
+ *   signing: { kid?: string, alg: string, key: crypto.KeyObject|string },
+ *   verification: Map<string, { alg: string, key: crypto.KeyObject }>,
+ *   secret: string|null,
+ *   secretUntil: Date|null,
+ *   ignoredSecret: boolean,
+ *   usingDevSecret: boolean
+ * }} Keyring.
+ * @throws {Error} When the configuration is invalid.
+ */
+export function buildKeyring({ keys = [], activeKid, secret, secretUntil, production = false }) {
+  const parsed = keys.map(parseKey);
+  const verification = new Map(parsed.map((k) => [k.kid, { alg: k.alg, key: k.publicKey }]));
+
+  if (parsed.length > 0) {
+    const signers = parsed.filter((k) => k.privateKey);
+    let active;
+    if (activeKid) {
+      active = parsed.find((k) => k.kid === activeKid);
+      if (!active) throw new Error(`JWT_ACTIVE_KID ${activeKid} not found among the configured keys`);
+      if (!active.privateKey) throw new Error(`JWT_ACTIVE_KID ${activeKid} is a public key and cannot sign`);
+    } else if (signers.length === 1) {
+      active = signers[0];
+    } else {
+      throw new Error("JWT_ACTIVE_KID is required when zero or several private keys are configured");
+    }
+    let until = null;
+    if (secret && secretUntil) {
+      until = new Date(secretUntil);
+      if (Number.isNaN(until.getTime())) throw new Error("JWT_SECRET_VERIFY_UNTIL must be an ISO 8601 date");
+    }
+    return {
+      signing: { kid: active.kid, alg: active.alg, key: active.privateKey },
+      verification,
+      secret: until ? secret : null,
+      secretUntil: until,
+      ignoredSecret: !!secret && !until,
+      usingDevSecret: false
+    };
+  }
+
+  if (secret) {
+    return {
+      signing: { alg: "HS256", key: secret },
+      verification,
+      secret,
+      secretUntil: null,
+      ignoredSecret: false,
+      usingDevSecret: false
+    };
+  }
+  if (production) {
+    throw new Error("No JWT signing key configured: set JWT_KEYS_DIR (or JWT_SECRET) in production");
+  }
+  return {
+    signing: { alg: "HS256", key: DEV_SECRET },
+    verification,
+    secret: DEV_SECRET,
+    secretUntil: null,
+    ignoredSecret: false,
+    usingDevSecret: true
+  };
+}
+
+/**
+ * @brief Read the PEM files of a key directory.
+ *
+ * @param {string} dir Directory path.
+ * @returns {{ kid: string, pem: string }[]} Keys sorted by kid.
+ */
+function readKeyDir(dir) {
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".pem"))
+    .sort()
+    .map((file) => ({
+      kid: file.replace(/(\.pub)?\.pem$/, ""),
+      pem: fs.readFileSync(path.join(dir, file), "utf8")
+    }));
+}
+
+let keyring = null;
+
+/**
+ * @brief Get the keyring configured through the environment.
+ *
+ * Loaded on first use (after dotenv has run) and then reused. index.js
+ * calls this at startup so misconfiguration stops the server early.
+ *
+ * @returns {ReturnType<typeof buildKeyring>} Keyring.
+ * @throws {Error} When the configuration is invalid.
+ */
+export function getKeyring() {
+  if (keyring) return keyring;
+
+  const dir = process.env.JWT_KEYS_DIR;
+  keyring = buildKeyring({
+    keys: dir ? readKeyDir(dir) : [],
+    activeKid: process.env.JWT_ACTIVE_KID,
+    secret: process.env.JWT_SECRET,
+    secretUntil: process.env.JWT_SECRET_VERIFY_UNTIL,
+    production: process.env.NODE_ENV === "production"
+  });
+  if (keyring.usingDevSecret && process.env.NODE_ENV !== "test") {
+    console.warn("JWT_KEYS_DIR and JWT_SECRET are not set; signing tokens with the insecure development secret");
+  }
+  if (keyring.ignoredSecret && process.env.NODE_ENV !== "test") {
+    console.warn("JWT_SECRET is ignored because JWT_KEYS_DIR is set; set JWT_SECRET_VERIFY_UNTIL to keep accepting HS256 tokens for a while");
+  }
+  return keyring;
+}
+
+/**
+ * @brief Check whether tokens are signed with an asymmetric key.
+ *
+ * OpenID Connect needs this: relying parties verify ID tokens with the
+ * published keys, and an HS256 ID token would be signed with the
+ * server's private JWT_SECRET.
+ *
+ * @param {ReturnType<typeof buildKeyring>} [ring] Keyring, defaults to the configured one.
+ * @returns {boolean} True when the signing key is RS256 or ES256/ES384.
+ */
+export function hasAsymmetricSigningKey(ring = getKeyring()) {
+  return ring.signing.alg !== "HS256";
+}
+
+/**
+ * @brief Find the key that verifies a token.
+ *
+ * HS256 tokens are only accepted while the secret is in use, i.e.
+ * without signing keys or until JWT_SECRET_VERIFY_UNTIL.
+ *
+ * @param {{ kid?: string, alg?: string }} [header] Decoded JWT header.
+ * @param {ReturnType<typeof buildKeyring>} [ring] Keyring, defaults to the configured one.
+ * @param {Date} [now] Current time.
+ * @returns {{ alg: string, key: crypto.KeyObject|string }|null} Verification key, or null if unknown.
+ */
+export function getVerificationKey(header, ring = getKeyring(), now = new Date()) {
+  const { verification, secret, secretUntil } = ring;
+  if (header?.kid) return verification.get(header.kid) || null;
+  if (header?.alg !== "HS256" || !secret) return null;
+  if (secretUntil && now >= secretUntil) return null;
+  return { alg: "HS256", key: secret };
+}
+
+/**
+ * @brief Public keys as a JSON Web Key Set (RFC 7517).
+ *
+ * @param {ReturnType<typeof buildKeyring>} [ring] Keyring, defaults to the configured one.
+ * @returns {{ keys: Object[] }} JWKS document; HS256 secrets are never included.
+ */
+export function getJwks(ring = getKeyring()) {
+  return {
+    keys: [...ring.verification].map(([kid, { alg, key }]) => ({
+      ...key.export({ format: "jwk" }),
+      kid,
+      alg,
+      use: "sig"
+    }))
+  };
+}
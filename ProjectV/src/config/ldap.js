@@ -0,0 +1,97 @@
+/**
+ * @file ldap.js
+ * @brief Settings of the LDAP identity provider.
+ *
+ * Only used when IDENTITY_PROVIDERS lists `ldap` (see
+ * services/identityProviders.js). Settings (environment):
+ *
+ *  - LDAP_URL                 server, e.g. ldaps://ldap.example.com:636 (required)
+ *  - LDAP_BIND_DN             service account used to search for users
+ *  - LDAP_BIND_PASSWORD       its password
+ *  - LDAP_USER_BASE_DN        where users are searched (required)
+ *  - LDAP_USER_FILTER         search filter, default "(uid={{username}})"
+ *  - LDAP_USERNAME_ATTRIBUTE  attribute holding the username (default uid)
+ *  - LDAP_EMAIL_ATTRIBUTE     attribute holding the email (default mail)
+ *  - LDAP_GROUP_ATTRIBUTE     attribute listing group DNs (default memberOf)
+ *  - LDAP_GROUP_ROLES         JSON object mapping group DNs or names to roles,
+ *                             most privileged first
+ *  - LDAP_DEFAULT_ROLE        role for users in no mapped group; unset
+ *                             means such users cannot sign in
+ *  - LDAP_START_TLS           "true" to upgrade ldap:// connections with StartTLS
+ *  - LDAP_TIMEOUT_MS          connect and operation timeout (default 5000)
+ */
+
+import { isValidRole } from "./permissions.js";
+
+/**
+ * @brief Parse the LDAP_GROUP_ROLES mapping.
+ *
+ * @param {string} [spec] JSON object, e.g. `{"store-managers":"manager","cashiers":"pos"}`.
+ * @returns {Object<string, string>} Group to role mapping, in the given order.
+ * @throws {Error} On invalid JSON, non-string values or unknown roles.
+ */
+export function parseGroupRoles(spec) {
+  if (!spec || !spec.trim()) return {};
+
+  let mapping;
+  try {
+    mapping = JSON.parse(spec);
+  } catch {
+    throw new Error("LDAP_GROUP_ROLES must be a JSON object");
+  }
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new Error("LDAP_GROUP_ROLES must be a JSON object");
+  }
+  for (const [group, role] of Object.entries(mapping)) {
+    if (typeof role !== "string" || !isValidRole(role)) {
+      throw new Error(`LDAP_GROUP_ROLES: unknown role "${role}" for group "${group}"`);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * @brief Check that the settings needed to use the LDAP provider are present.
+ *
+ * @param {Object} config LDAP settings.
+ * @returns {void}
+ * @throws {Error} When LDAP_URL or LDAP_USER_BASE_DN is missing, or LDAP_DEFAULT_ROLE is unknown.
+ */
+export function assertLdapConfig(config) {
+  if (!config.url) throw new Error("LDAP_URL is required for the ldap identity provider");
+  if (!config.userBaseDn) throw new Error("LDAP_USER_BASE_DN is required for the ldap identity provider");
+  if (config.defaultRole && !isValidRole(config.defaultRole)) {
+    throw new Error(`LDAP_DEFAULT_ROLE: unknown role "${config.defaultRole}"`);
+  }
+}
+
+let ldapConfig = null;
+
+/**
+ * @brief Get the LDAP settings, built from the environment.
+ *
+ * Built on first use (after dotenv has run) and then reused. The ldap
+ * identity provider is created at startup, so invalid settings still
+ * stop the server early.
+ *
+ * @returns {Object} Frozen LDAP settings.
+ * @throws {Error} When LDAP_GROUP_ROLES is invalid.
+ */
+export function getLdapConfig() {
+  if (ldapConfig) return ldapConfig;
+  ldapConfig = Object.freeze({
+    url: process.env.LDAP_URL || "",
+    bindDn: process.env.LDAP_BIND_DN || "",
+    bindPassword: process.env.LDAP_BIND_PASSWORD || "",
+    userBaseDn: process.env.LDAP_USER_BASE_DN || "",
+    userFilter: process.env.LDAP_USER_FILTER || "(uid={{username}})",
+    usernameAttribute: process.env.LDAP_USERNAME_ATTRIBUTE || "uid",
+    emailAttribute: process.env.LDAP_EMAIL_ATTRIBUTE || "mail",
+    groupAttribute: process.env.LDAP_GROUP_ATTRIBUTE || "memberOf",
+    groupRoles: Object.freeze(parseGroupRoles(process.env.LDAP_GROUP_ROLES)),
+    defaultRole: process.env.LDAP_DEFAULT_ROLE || null,
+    startTls: process.env.LDAP_START_TLS === "true",
+    timeoutMs: Number(process.env.LDAP_TIMEOUT_MS) || 5000
+  });
+  return ldapConfig;
+}
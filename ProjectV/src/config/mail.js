@@ -0,0 +1,62 @@
+/**
+ * @file mail.js
+ * @brief Settings of outbound mail: SMTP transport and outbox dispatch.
+ *
+ * Messages are always written to the outbox (services/outbox.js); the
+ * dispatcher only runs when SMTP_HOST is set. Settings (environment):
+ *
+ *  - SMTP_HOST                  SMTP server; unset leaves messages queued
+ *  - SMTP_PORT                  port (default 587, or 465 with SMTP_SECURE)
+ *  - SMTP_SECURE                "true" for implicit TLS; otherwise STARTTLS
+ *                               is used when the server offers it
+ *  - SMTP_USER, SMTP_PASSWORD   credentials, when the server requires them
+ *  - MAIL_FROM                  sender (default "ProjectV <no-reply@projectv.local>")
+ *  - MAIL_LINK_BASE_URL         front end URL used to build links in messages
+ *  - MAIL_DISPATCH_INTERVAL_MS  how often the outbox is polled (default 5000)
+ *  - MAIL_MAX_ATTEMPTS          delivery attempts before giving up (default 8)
+ *  - MAIL_RETRY_BASE_MS         delay after the first failure, doubled per failure (default 30000)
+ *  - MAIL_RETRY_MAX_MS          maximum delay between attempts (default 3600000)
+ *  - MAIL_RETENTION_DAYS        how long sent and failed messages are kept (default 30)
+ */
+
+let mailConfig = null;
+
+/**
+ * @brief Get the mail settings, built from the environment.
+ *
+ * Built on first use (after dotenv has run) and then reused.
+ *
+ * @returns {Object} Frozen mail settings.
+ */
+export function getMailConfig() {
+  if (mailConfig) return mailConfig;
+
+  const secure = process.env.SMTP_SECURE === "true";
+  mailConfig = Object.freeze({
+    smtp: Object.freeze({
+      host: process.env.SMTP_HOST || "",
+      port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      user: process.env.SMTP_USER || "",
+      password: process.env.SMTP_PASSWORD || ""
+    }),
+    from: process.env.MAIL_FROM || "ProjectV <no-reply@projectv.local>",
+    linkBaseUrl: (process.env.MAIL_LINK_BASE_URL || "").replace(/\/+$/, ""),
+    dispatchIntervalMs: Number(process.env.MAIL_DISPATCH_INTERVAL_MS) || 5000,
+    maxAttempts: Number(process.env.MAIL_MAX_ATTEMPTS) || 8,
+    retryBaseMs: Number(process.env.MAIL_RETRY_BASE_MS) || 30000,
+    retryMaxMs: Number(process.env.MAIL_RETRY_MAX_MS) || 60 * 60 * 1000,
+    retentionMs: (Number(process.env.MAIL_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000
+  });
+  return mailConfig;
+}
+
+/**
+ * @brief Check whether outbound mail is delivered.
+ *
+ * @param {ReturnType<typeof getMailConfig>} [config] Mail settings.
+ * @returns {boolean} True when an SMTP server is configured.
+ */
+export function isMailEnabled(config = getMailConfig()) {
+  return !!config.smtp.host;
+}
@@ -0,0 +1,100 @@
+/**
+ * @file permissions.js
+ * @brief Role-based permission model for ProjectV.
+ *
+ * Maps each role stored on `users.role` to the permissions it grants.
+ * Routes declare the permissions they need through the authorize()
+ * middleware; a role must hold every listed permission.
+ */
+
+/**
+ * @brief Every permission known to the API.
+ */
+export const PERMISSIONS = Object.freeze([
+  "collections:read",
+  "collections:create",
+  "documents:read",
+  "documents:create",
+  "documents:update",
+  "documents:delete",
+  "documents:purge",
+  "actions:read",
+  "acl:manage",
+  "users:manage",
+  "users:impersonate",
+  "api_keys:manage",
+  "clients:manage",
+  "terminals:manage",
+  "tokens:introspect",
+  "approvals:grant"
+]);
+
+/**
+ * @brief Role used for users whose document has no `role` field.
+ */
+export const DEFAULT_ROLE = "user";
+
+/**
+ * @brief Permissions granted to each role.
+ */
+export const ROLE_PERMISSIONS = Object.freeze({
+  admin: PERMISSIONS,
+  user: Object.freeze([
+    "collections:read",
+    "documents:read",
+    "documents:create",
+    "documents:update"
+  ]),
+  pos: Object.freeze([
+    "collections:read",
+    "documents:read",
+    "documents:create",
+    "documents:update"
+  ]),
+  manager: Object.freeze([
+    "collections:read",
+    "documents:read",
+    "documents:create",
+    "documents:update",
+    "documents:delete",
+    "approvals:grant"
+  ]),
+  facilities: Object.freeze([
+    "collections:read",
+    "documents:read",
+    "documents:create",
+    "documents:update",
+    "documents:delete"
+  ])
+});
+
+/**
+ * @brief List the permissions granted to a role.
+ *
+ * @param {string} [role] Role name.
+ * @returns {readonly string[]} Permissions, empty for unknown roles.
+ */
+export function getRolePermissions(role) {
+  return Object.hasOwn(ROLE_PERMISSIONS, role) ? ROLE_PERMISSIONS[role] : [];
+}
+
+/**
+ * @brief Check whether a role grants a permission.
+ *
+ * @param {string} [role]     Role name.
+ * @param {string} permission Permission such as `documents:delete`.
+ * @returns {boolean} True when the role holds the permission.
+ */
+export function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+/**
+ * @brief Check whether a role name is defined.
+ *
+ * @param {string} role Role name.
+ * @returns {boolean} True for known roles.
+ */
+export function isValidRole(role) {
+  return Object.hasOwn(ROLE_PERMISSIONS, role);
+}
@@ -0,0 +1,58 @@
+/**
+ * @file reservedCollections.js
+ * @brief Registry of internal collections hidden from the generic document API.
+ *
+ * The routes in dbRoutes.js accept any collection name. Collections
+ * listed here hold credentials, audit data or security state and must
+ * only be changed through their dedicated endpoints, so the generic
+ * API refuses to touch them and leaves them out of collection listings.
+ *
+ * Any new internal collection must be registered here.
+ */
+
+/**
+ * @brief Reserved collection names mapped to the endpoint that manages them.
+ *
+ * A null value means the collection is internal only.
+ */
+export const RESERVED_COLLECTIONS = Object.freeze({
+  users: "/auth/users",
+  actions: "POST /actions/find",
+  refresh_tokens: null,
+  revoked_tokens: null,
+  collection_acls: "/api/acl",
+  one_time_tokens: null,
+  login_attempts: "POST /auth/users/:username/unlock",
+  api_keys: "/auth/api-keys",
+  oauth_clients: "/oauth/clients",
+  sessions: "/auth/sessions",
+  terminals: "/auth/terminals",
+  authorization_codes: null,
+  outbox: null,
+  retention_policies: "/api/retention"
+});
+
+/**
+ * @brief Check whether a collection is reserved.
+ *
+ * MongoDB's own `system.*` collections are always reserved.
+ *
+ * @param {string} name Collection name.
+ * @returns {boolean} True when the generic API must not access it.
+ */
+export function isReservedCollection(name) {
+  return Object.hasOwn(RESERVED_COLLECTIONS, name) || String(name).startsWith("system.");
+}
+
+/**
+ * @brief Build the error message returned for a reserved collection.
+ *
+ * @param {string} name Collection name.
+ * @returns {string} Human readable error message.
+ */
+export function reservedCollectionMessage(name) {
+  const endpoint = Object.hasOwn(RESERVED_COLLECTIONS, name) ? RESERVED_COLLECTIONS[name] : null;
+  return endpoint
+    ? `Forbidden: collection ${name} is reserved; use ${endpoint}`
+    : `Forbidden: collection ${name} is reserved`;
+}
@@ -26,6 +26,11 @@ const options = {
           type: "http",
           scheme: "bearer",
           bearerFormat: "JWT"
+        },
+        basicAuth: {
+          type: "http",
+          scheme: "basic",
+          description: "OAuth2 client_id and client_secret"
         }
       }
     },
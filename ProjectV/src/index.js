@@ -6,23 +6,44 @@
  * and starts the HTTP server after ensuring a MongoDB connection.
  */
 
+// Must stay the first import: ESM evaluates every import before this
+// module's body, and many modules read their settings from
+// process.env when they are loaded.
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import morgan from "morgan";
-import dotenv from "dotenv";
 import { getClient, getDb } from "./config/db.js";
+import { ensureIndexes } from "./config/indexes.js";
+import { getKeyring } from "./config/jwtKeys.js";
+import { getIdentityProviders } from "./services/identityProviders.js";
+import { startMailDispatcher } from "./services/mailDispatcher.js";
+import { startRetentionScheduler } from "./services/retention.js";
 import dbRouter from "./routes/dbRoutes.js";
 import authRouter from "./routes/authRoutes.js";
+import mfaRouter from "./routes/mfaRoutes.js";
 import actionsRouter from "./routes/actionsRoutes.js";
-import { authenticate } from "./middleware/auth.js";
+import aclRouter from "./routes/aclRoutes.js";
+import retentionRouter from "./routes/retentionRoutes.js";
+import userRouter from "./routes/userRoutes.js";
+import apiKeyRouter from "./routes/apiKeyRoutes.js";
+import sessionRouter from "./routes/sessionRoutes.js";
+import terminalRouter from "./routes/terminalRoutes.js";
+import oauthRouter from "./routes/oauthRoutes.js";
+import oauthClientRouter from "./routes/oauthClientRoutes.js";
+import wellKnownRouter from "./routes/wellKnownRoutes.js";
+import { authenticate, authenticateUser } from "./middleware/auth.js";
 import { auditLog } from "./middleware/audit.js";
 import swaggerUi from "swagger-ui-express";
 import { swaggerSpec } from "./config/swagger.js";
 
-dotenv.config();
-
 const app = express();
 
+// Behind a reverse proxy, use X-Forwarded-For for req.ip (per-IP login limits, audit log).
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY);
+}
+
 app.use(cors());
 app.use(express.json({ limit: "1mb" }));
 app.use(morgan("dev"));
@@ -47,10 +68,30 @@ app.get("/health", async (req, res) => {
   }
 });
 
+// User, API key and terminal management (auth + audit, admin only)
+app.use("/auth/users", authenticate, auditLog, userRouter);
+app.use("/auth/api-keys", authenticate, auditLog, apiKeyRouter);
+app.use("/auth/terminals", authenticate, auditLog, terminalRouter);
+
+// Public key discovery (public)
+app.use("/.well-known", wellKnownRouter);
+
+// OAuth2 client registration (auth + audit, admin only) and token endpoint (public)
+app.use("/oauth/clients", authenticate, auditLog, oauthClientRouter);
+app.use("/oauth", oauthRouter);
+
+// The current user's sessions (user tokens only, audited)
+app.use("/auth/sessions", authenticateUser, auditLog, sessionRouter);
+
+// Two-factor authentication (per-route auth)
+app.use("/auth/mfa", mfaRouter);
+
 // Auth routes (public)
 app.use("/auth", authRouter);
 
 // Protected API routes (auth + audit)
+app.use("/api/acl", authenticate, auditLog, aclRouter);
+app.use("/api/retention", authenticate, auditLog, retentionRouter);
 app.use("/api", authenticate, auditLog, dbRouter);
 app.use("/actions", authenticate, auditLog, actionsRouter);
 
@@ -94,14 +135,21 @@ const PORT = process.env.PORT || 3100;
 /**
  * @brief Start the ProjectV HTTP server.
  *
- * Ensures the database connection is established before listening
- * on the configured port.
+ * Loads the JWT signing keys and identity providers (failing fast on
+ * misconfiguration) and ensures the database connection is
+ * established before listening on the configured port. The outbox mail
+ * dispatcher and the retention scheduler start once the indexes exist.
  *
  * @returns {Promise<void>}
  */
 async function start() {
+  getKeyring();
+  getIdentityProviders();
   // ensure DB connects before starting server
   await getDb();
+  await ensureIndexes();
+  startMailDispatcher();
+  startRetentionScheduler();
   app.listen(PORT, () => {
     console.log(`API listening on port ${PORT}`);
   });
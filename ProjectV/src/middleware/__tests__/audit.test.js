@@ -0,0 +1,38 @@
+import { describe, it, expect } from '@jest/globals';
+import { redactSensitive } from '../audit.js';
+
+describe('Audit Middleware', () => {
+  describe('redactSensitive', () => {
+    it('should redact password fields', () => {
+      const body = { username: 'cashier1', password: 'secret', role: 'user' };
+
+      expect(redactSensitive(body)).toEqual({
+        username: 'cashier1',
+        password: '[REDACTED]',
+        role: 'user'
+      });
+    });
+
+    it('should redact nested objects and arrays', () => {
+      const body = { items: [{ refresh_token: 'abc' }], nested: { new_password: 'x', keep: 1 } };
+
+      expect(redactSensitive(body)).toEqual({
+        items: [{ refresh_token: '[REDACTED]' }],
+        nested: { new_password: '[REDACTED]', keep: 1 }
+      });
+    });
+
+    it('should not modify the original body', () => {
+      const body = { password: 'secret' };
+      redactSensitive(body);
+
+      expect(body.password).toBe('secret');
+    });
+
+    it('should pass through non-object values', () => {
+      expect(redactSensitive(undefined)).toBeUndefined();
+      expect(redactSensitive('text')).toBe('text');
+      expect(redactSensitive(42)).toBe(42);
+    });
+  });
+});
@@ -1,12 +1,35 @@
 import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import jwt from 'jsonwebtoken';
-import { authenticate, generateToken } from '../auth.js';
+
+const findOne = jest.fn();
+const updateOne = jest.fn();
+jest.unstable_mockModule('../../config/db.js', () => ({
+  getDb: async () => ({ collection: () => ({ findOne, updateOne }) })
+}));
+
+const {
+  authenticate,
+  authenticateUser,
+  authorize,
+  forbidImpersonation,
+  generateToken,
+  getEffectivePermissions
+} = await import('../auth.js');
+const { clearRevocationCache } = await import('../../services/revocation.js');
+const { clearApiKeyCache } = await import('../../services/apiKeys.js');
+const { clearSessionCache } = await import('../../services/sessions.js');
+const { hashToken } = await import('../../utils/tokens.js');
 
 describe('Auth Middleware', () => {
   const mockSecret = process.env.JWT_SECRET || 'change-this-secret-in-production';
   
   beforeEach(() => {
     jest.clearAllMocks();
+    clearRevocationCache();
+    clearApiKeyCache();
+    clearSessionCache();
+    findOne.mockResolvedValue(null);
+    updateOne.mockResolvedValue({ modifiedCount: 1 });
   });
 
   describe('generateToken', () => {
@@ -39,6 +62,15 @@ describe('Auth Middleware', () => {
       const decoded = jwt.verify(token, mockSecret);
       expect(decoded).toHaveProperty('exp');
     });
+
+    it('should give every token a unique jti', () => {
+      const payload = { username: 'testuser' };
+      const first = jwt.verify(generateToken(payload), mockSecret);
+      const second = jwt.verify(generateToken(payload), mockSecret);
+
+      expect(first.jti).toBeDefined();
+      expect(first.jti).not.toBe(second.jti);
+    });
   });
 
   describe('authenticate', () => {
@@ -90,12 +122,12 @@ describe('Auth Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
-    it('should call next and set req.user when token is valid', () => {
+    it('should call next and set req.user when token is valid', async () => {
       const payload = { username: 'testuser', email: 'test@example.com' };
       const token = generateToken(payload);
       req.headers.authorization = `Bearer ${token}`;
 
-      authenticate(req, res, next);
+      await authenticate(req, res, next);
 
       expect(req.user).toBeDefined();
       expect(req.user.username).toBe(payload.username);
@@ -117,5 +149,287 @@ describe('Auth Middleware', () => {
       });
       expect(next).not.toHaveBeenCalled();
     });
+
+    it('should reject purpose-bound tokens such as MFA challenges', async () => {
+      const token = generateToken({ username: 'testuser', purpose: 'mfa' });
+      req.headers.authorization = `Bearer ${token}`;
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Unauthorized: invalid token'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 when token has been revoked', async () => {
+      const token = generateToken({ username: 'testuser' });
+      const { jti, exp } = jwt.decode(token);
+      findOne.mockImplementation(async (query) =>
+        query.type === 'token' && query.jti === jti
+          ? { type: 'token', jti, expires_at: new Date(exp * 1000) }
+          : null
+      );
+      req.headers.authorization = `Bearer ${token}`;
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Unauthorized: token revoked'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 when token was issued before logout-all', async () => {
+      const token = jwt.sign({ username: 'testuser', iat: Math.floor(Date.now() / 1000) - 60 }, mockSecret);
+      findOne.mockImplementation(async (query) =>
+        query.type === 'user'
+          ? { type: 'user', username: 'testuser', revoked_before: new Date() }
+          : null
+      );
+      req.headers.authorization = `Bearer ${token}`;
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 when the token\'s session was revoked', async () => {
+      const token = generateToken({ username: 'testuser', sid: 'session-1' });
+      findOne.mockImplementation(async (query) =>
+        query.session_id === 'session-1' ? { revoked_at: new Date() } : null
+      );
+      req.headers.authorization = `Bearer ${token}`;
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Unauthorized: session revoked'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 when the impersonating admin\'s session was revoked', async () => {
+      const token = generateToken({ username: 'cashier1', role: 'pos', act: { sub: 'admin1', sid: 'session-3' } });
+      findOne.mockImplementation(async (query) =>
+        query.session_id === 'session-3' ? { revoked_at: new Date() } : null
+      );
+      req.headers.authorization = `Bearer ${token}`;
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Unauthorized: session revoked'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should record last-seen for an active session', async () => {
+      const token = generateToken({ username: 'testuser', sid: 'session-2' });
+      findOne.mockImplementation(async (query) =>
+        query.session_id === 'session-2' ? { session_id: 'session-2' } : null
+      );
+      req.headers.authorization = `Bearer ${token}`;
+
+      await authenticate(req, res, next);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.sid).toBe('session-2');
+      expect(updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ session_id: 'session-2' }),
+        { $set: { last_seen_at: expect.any(Date) } }
+      );
+    });
+  });
+
+  describe('authenticate with OAuth client tokens', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+      req = { headers: {} };
+      res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+      next = jest.fn();
+    });
+
+    it('should expose the scope claim as a list of scopes', async () => {
+      const token = generateToken({ sub: 'pvc_sync', client_id: 'pvc_sync', scope: 'documents:read documents:create' });
+      req.headers.authorization = `Bearer ${token}`;
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.client_id).toBe('pvc_sync');
+      expect(req.user.scopes).toEqual(['documents:read', 'documents:create']);
+    });
+
+    it('should not accept client tokens where a user is required', async () => {
+      const token = generateToken({ sub: 'pvc_sync', client_id: 'pvc_sync', scope: 'documents:read' });
+      req.headers.authorization = `Bearer ${token}`;
+
+      await authenticateUser(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticate with API keys', () => {
+    const apiKey = `pv_0a1b2c3d_${'x'.repeat(43)}`;
+    let req, res, next;
+
+    beforeEach(() => {
+      req = { headers: {} };
+      res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+      next = jest.fn();
+    });
+
+    it('should resolve an X-API-Key to its owner and scopes', async () => {
+      findOne.mockImplementation(async (query) => {
+        if (query.key_hash === hashToken(apiKey)) {
+          return {
+            _id: 'k1',
+            name: 'facilities-sync',
+            prefix: '0a1b2c3d',
+            owner: 'facilities-bot',
+            scopes: ['documents:read'],
+            expires_at: new Date(Date.now() + 60000)
+          };
+        }
+        if (query.username === 'facilities-bot') return { username: 'facilities-bot', role: 'facilities' };
+        return null;
+      });
+      req.headers['x-api-key'] = apiKey;
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({
+        username: 'facilities-bot',
+        email: undefined,
+        role: 'facilities',
+        scopes: ['documents:read'],
+        api_key: { id: 'k1', prefix: '0a1b2c3d', name: 'facilities-sync' }
+      });
+    });
+
+    it('should return 401 for an unknown key in the Authorization header', async () => {
+      req.headers.authorization = `ApiKey ${apiKey}`;
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Unauthorized: invalid API key' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for a revoked key', async () => {
+      findOne.mockImplementation(async (query) =>
+        query.key_hash
+          ? { _id: 'k1', owner: 'facilities-bot', scopes: [], revoked_at: new Date(), expires_at: new Date(Date.now() + 60000) }
+          : { username: 'facilities-bot', role: 'facilities' }
+      );
+      req.headers['x-api-key'] = apiKey;
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authorize', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+      req = { user: { username: 'testuser', role: 'user' } };
+      res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+      next = jest.fn();
+    });
+
+    it('should call next when the role holds the permission', () => {
+      authorize('documents:read')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 listing missing permissions', () => {
+      authorize('documents:read', 'documents:delete', 'actions:read')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Forbidden: missing permission documents:delete, actions:read'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should limit API key callers to the key scopes', () => {
+      req.user = { username: 'facilities-bot', role: 'facilities', scopes: ['documents:read'] };
+
+      authorize('documents:read', 'documents:delete')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Forbidden: missing permission documents:delete'
+      });
+    });
+
+    it('should authorize OAuth clients by scope alone', () => {
+      req.user = { client_id: 'pvc_sync', scopes: ['documents:read'] };
+
+      authorize('documents:read')(req, res, next);
+      authorize('documents:delete')(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Forbidden: missing permission documents:delete'
+      });
+    });
+
+    it('should list effective permissions after scope restrictions', () => {
+      expect(getEffectivePermissions({ role: 'pos' })).toEqual([
+        'collections:read',
+        'documents:read',
+        'documents:create',
+        'documents:update'
+      ]);
+      expect(getEffectivePermissions({ role: 'admin', scopes: ['documents:read'] })).toEqual(['documents:read']);
+    });
+
+    it('should reject impersonation tokens where forbidden', () => {
+      forbidImpersonation(req, res, next);
+      req.user = { username: 'cashier1', role: 'pos', act: { sub: 'admin1' } };
+      forbidImpersonation(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Forbidden: not allowed while impersonating'
+      });
+    });
+
+    it('should return 403 when the token carries no role', () => {
+      req.user = { username: 'legacy' };
+
+      authorize('documents:read')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 });
@@ -0,0 +1,34 @@
+/**
+ * @file acl.js
+ * @brief Collection-level access control middleware.
+ *
+ * Enforces the per-collection ACLs from services/collectionAcl.js on
+ * routes that take a `:name` collection parameter. Runs after
+ * authenticate and the role-level authorize() check.
+ */
+
+import { getCollectionAccess } from "../services/collectionAcl.js";
+
+/**
+ * @brief Build middleware that requires an access level on `req.params.name`.
+ *
+ * Responds with HTTP 403 when the ACLs do not grant the caller the
+ * requested access to the collection.
+ *
+ * @param {"read"|"write"|"delete"} access Required access level.
+ * @returns {import("express").RequestHandler} Express middleware.
+ */
+export function requireCollectionAccess(access) {
+  return async (req, res, next) => {
+    try {
+      const { name } = req.params;
+      const granted = await getCollectionAccess(name, req.user);
+      if (!granted.includes(access)) {
+        return res.status(403).json({ error: `Forbidden: no ${access} access to collection ${name}` });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * @file approval.js
+ * @brief Middleware requiring a manager's approval for sensitive actions.
+ *
+ * Protected routes expect an approval token from POST /auth/approve in
+ * the `X-Approval-Token` header. The redeemed approval is attached as
+ * req.approval, which auditLog stores next to the caller's identity.
+ * Callers holding `approvals:grant` need no approval token.
+ */
+
+import { findApprovalAction } from "../config/approvals.js";
+import { getEffectivePermissions } from "./auth.js";
+import { redeemApprovalToken } from "../services/approvals.js";
+
+/**
+ * @brief Build middleware that requires an approval for an action.
+ *
+ * Must run after authenticate. Responds with HTTP 403 and the
+ * `{ action, resource }` to get approved when the token is missing or
+ * does not apply. OAuth clients have no username and can therefore
+ * only pass with the `approvals:grant` scope.
+ *
+ * @param {string|function(import("express").Request): (string|null)} action
+ *        Action name, or a function returning it (null: no approval needed).
+ * @param {function(import("express").Request): string} resolveResource
+ *        Returns the resource the action applies to.
+ * @returns {import("express").RequestHandler} Express middleware.
+ */
+export function requireApproval(action, resolveResource) {
+  return async (req, res, next) => {
+    try {
+      const required = typeof action === "function" ? action(req) : action;
+      if (!required) return next();
+      if (getEffectivePermissions(req.user).includes("approvals:grant")) return next();
+
+      const resource = resolveResource(req);
+      const token = req.get("x-approval-token");
+      if (!token) {
+        return res.status(403).json({ error: "Manager approval required", approval: { action: required, resource } });
+      }
+
+      const result = await redeemApprovalToken(token, { action: required, resource, requester: req.user });
+      if (result.error) {
+        return res.status(403).json({ error: `Approval rejected: ${result.error}`, approval: { action: required, resource } });
+      }
+
+      req.approval = result.approval;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * @brief Approval check for the generic document routes.
+ *
+ * Looks up APPROVAL_RULES for the operation on `req.params.name`. The
+ * resource is `<collection>/<id>` for single-document routes and the
+ * collection name otherwise.
+ *
+ * @param {"create"|"update"|"delete"} operation Document operation.
+ * @returns {import("express").RequestHandler} Express middleware.
+ */
+export function requireDocumentApproval(operation) {
+  return requireApproval(
+    (req) => findApprovalAction(operation, req.params.name),
+    (req) => (req.params.id ? `${req.params.name}/${req.params.id}` : req.params.name)
+  );
+}
@@ -4,11 +4,45 @@
  *
  * Records details about each HTTP request and response in the
  * `actions` MongoDB collection, including user, path, status,
- * duration, IP address, and user agent.
+ * duration, IP address, and user agent. Security events that are not
+ * tied to an audited route (e.g. account lockouts) are written to the
+ * same collection through recordAuditEvent().
  */
 
 import { getDb } from "../config/db.js";
 
+/**
+ * @brief Body keys whose values are never written to the audit log.
+ */
+const SENSITIVE_KEYS = new Set([
+  "password",
+  "current_password",
+  "new_password",
+  "pin",
+  "token",
+  "refresh_token"
+]);
+
+/**
+ * @brief Replace sensitive values in a request body before logging.
+ *
+ * Walks nested objects and arrays and replaces the values of keys in
+ * SENSITIVE_KEYS with "[REDACTED]".
+ *
+ * @param {unknown} value Request body (or part of it).
+ * @returns {unknown} Copy of the value safe to persist.
+ */
+export function redactSensitive(value) {
+  if (Array.isArray(value)) return value.map(redactSensitive);
+  if (!value || typeof value !== "object" || value.constructor !== Object) return value;
+
+  const redacted = {};
+  for (const [key, inner] of Object.entries(value)) {
+    redacted[key] = SENSITIVE_KEYS.has(key) ? "[REDACTED]" : redactSensitive(inner);
+  }
+  return redacted;
+}
+
 /**
  * @brief Middleware that logs API actions to MongoDB.
  *
@@ -18,8 +52,14 @@ import { getDb } from "../config/db.js";
  *
  * Logged fields include:
  *  - username, email (from req.user when available)
+ *  - impersonated_by when an admin made the request as that user
+ *    (see services/impersonation.js)
+ *  - api_key ({ id, prefix, name }) when the caller used an API key
+ *  - client_id when the caller used an OAuth client token
+ *  - approval ({ approved_by, action, resource, ... }) when a manager
+ *    approved the action (see middleware/approval.js)
  *  - HTTP method and full path
- *  - params, query, body
+ *  - params, query, body (with secrets redacted)
  *  - statusCode and duration (ms)
  *  - timestamp, IP address, user agent
  *
@@ -44,11 +84,15 @@ export async function auditLog(req, res, next) {
       const action = {
         username: req.user?.username || "anonymous",
         email: req.user?.email || null,
+        ...(req.user?.act?.sub && { impersonated_by: req.user.act.sub }),
+        ...(req.user?.api_key && { api_key: req.user.api_key }),
+        ...(req.user?.client_id && { client_id: req.user.client_id }),
+        ...(req.approval && { approval: req.approval }),
         method: req.method,
         path: req.originalUrl || req.url,
         params: req.params,
         query: req.query,
-        body: req.body,
+        body: redactSensitive(req.body),
         statusCode: res.statusCode,
         duration: Date.now() - start,
         timestamp: new Date(),
@@ -63,3 +107,28 @@ export async function auditLog(req, res, next) {
 
   next();
 }
+
+/**
+ * @brief Write a security event to the `actions` audit collection.
+ *
+ * Events carry an `event` name instead of an HTTP method/path so they
+ * can be queried with POST /actions/find, e.g. `{ "event": "login_lockout" }`.
+ * Failures are logged and swallowed so auditing never breaks the caller.
+ *
+ * @param {string} event    Event name, e.g. "login_lockout".
+ * @param {Object} details  Event fields (username, ip, ...).
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEvent(event, details = {}) {
+  try {
+    const db = await getDb();
+    await db.collection("actions").insertOne({
+      event,
+      username: "anonymous",
+      ...details,
+      timestamp: new Date()
+    });
+  } catch (err) {
+    console.error("Audit log error:", err.message);
+  }
+}
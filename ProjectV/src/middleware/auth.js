@@ -2,48 +2,271 @@
  * @file auth.js
  * @brief Authentication helpers and middleware for ProjectV.
  *
- * Provides JWT token generation and verification, and attaches
- * the decoded user object to the request for downstream handlers.
+ * Provides JWT token generation and verification, checks tokens
+ * against the server-side revocation list and their sign-in session,
+ * accepts API keys for machine clients, attaches the caller's identity
+ * to the request for downstream handlers, and enforces role-based
+ * permissions. Admin impersonation tokens are recognised by their
+ * `act` claim.
  */
 
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import { isTokenRevoked } from "../services/revocation.js";
+import { isSessionRevoked, touchSession } from "../services/sessions.js";
+import { authenticateApiKey } from "../services/apiKeys.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { parseScope } from "../utils/oauth.js";
+import { getKeyring, getVerificationKey } from "../config/jwtKeys.js";
 
-const JWT_SECRET = process.env.JWT_SECRET || "change-this-secret-in-production";
+/**
+ * @brief Lifetime of access tokens in seconds.
+ *
+ * Access tokens are intentionally short-lived; clients keep their
+ * session alive through POST /auth/refresh.
+ */
+export const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 900;
+
+/**
+ * @brief Read an API key from the request, if one was sent.
+ *
+ * @param {import("express").Request} req The incoming request.
+ * @returns {string|null} Raw key from `X-API-Key` or `Authorization: ApiKey ...`.
+ */
+function extractApiKey(req) {
+  const header = req.headers["x-api-key"];
+  if (typeof header === "string" && header) return header;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("ApiKey ")) return authHeader.slice(7).trim();
+  return null;
+}
+
+/**
+ * @brief Check whether a request identity is an OAuth client rather than a user.
+ *
+ * @param {Object} [user] req.user.
+ * @returns {boolean} True for client_credentials tokens.
+ */
+export function isClientPrincipal(user) {
+  return !!user?.client_id && !user.username;
+}
+
+/**
+ * @brief Check whether a request identity is an admin impersonating a user.
+ *
+ * @param {Object} [user] req.user.
+ * @returns {boolean} True for impersonation tokens (see services/impersonation.js).
+ */
+export function isImpersonated(user) {
+  return !!user?.act?.sub;
+}
+
+/**
+ * @brief Express middleware authenticating users and machine clients.
+ *
+ * Accepts an API key (`X-API-Key` header or `Authorization: ApiKey
+ * ...`) or a Bearer JWT, including client tokens from POST
+ * /oauth/token. API key callers get req.user set to the key's owner
+ * plus the key's `scopes` and `api_key` ({ id, prefix, name }); client
+ * tokens get `client_id` and `scopes`. authorize then also checks the
+ * scopes. An unknown, revoked or expired key gets HTTP 401.
+ *
+ * @param {import("express").Request} req  The incoming request.
+ * @param {import("express").Response} res The HTTP response.
+ * @param {Function} next                  Next middleware handler.
+ * @returns {Promise<void>}
+ */
+export async function authenticate(req, res, next) {
+  const apiKey = extractApiKey(req);
+  if (!apiKey) return verifyBearer(req, res, next, { allowClients: true });
+
+  try {
+    const principal = await authenticateApiKey(apiKey);
+    if (!principal) {
+      return res.status(401).json({ error: "Unauthorized: invalid API key" });
+    }
+    req.user = principal;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
 
 /**
- * @brief Express middleware for JWT authentication.
+ * @brief Express middleware accepting only user access tokens.
+ *
+ * Used by routes that act on a user's own sign-in (logout, password,
+ * MFA), where API keys and client tokens make no sense.
+ *
+ * @param {import("express").Request} req  The incoming request.
+ * @param {import("express").Response} res The HTTP response.
+ * @param {Function} next                  Next middleware handler.
+ * @returns {Promise<void>}
+ */
+export async function authenticateUser(req, res, next) {
+  return verifyBearer(req, res, next, { allowClients: false });
+}
+
+/**
+ * @brief JWT Bearer authentication shared by authenticate and authenticateUser.
  *
  * Reads the Authorization header, verifies the JWT using the
- * configured secret, and attaches the decoded payload to req.user.
- * If the token is missing or invalid, responds with HTTP 401.
+ * configured secret, rejects revoked tokens and tokens whose session
+ * (`sid` claim, or the admin's `act.sid` for impersonation tokens) was
+ * ended, records session activity, and attaches the
+ * decoded payload to req.user. If the token is missing, invalid or
+ * revoked, responds with HTTP 401.
  *
  * @param {import("express").Request} req  The incoming request.
  * @param {import("express").Response} res The HTTP response.
  * @param {Function} next                  Next middleware handler.
+ * @param {{ allowClients: boolean }} options Whether OAuth client tokens are accepted.
+ * @returns {Promise<void>}
  */
-export function authenticate(req, res, next) {
+async function verifyBearer(req, res, next, { allowClients }) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
     return res.status(401).json({ error: "Unauthorized: missing or invalid token" });
   }
 
   const token = authHeader.split(" ")[1];
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded; // { username, email, ... }
-    next();
+    decoded = verifyToken(token);
   } catch (err) {
     return res.status(401).json({ error: "Unauthorized: invalid token" });
   }
+
+  // Purpose-bound tokens (e.g. MFA challenges) and ID tokens (which have an
+  // audience) are not access tokens, and client tokens are only accepted
+  // where the caller need not be a user.
+  if (decoded.purpose || decoded.aud || (!allowClients && isClientPrincipal(decoded))) {
+    return res.status(401).json({ error: "Unauthorized: invalid token" });
+  }
+
+  try {
+    if (await isTokenRevoked(decoded)) {
+      return res.status(401).json({ error: "Unauthorized: token revoked" });
+    }
+    const sessionId = decoded.sid || decoded.act?.sid;
+    if (sessionId && await isSessionRevoked(sessionId)) {
+      return res.status(401).json({ error: "Unauthorized: session revoked" });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  if (decoded.sid) touchSession(decoded.sid);
+
+  // { username, email, role, jti, ... } or { client_id, scope, jti, ... }
+  req.user = typeof decoded.scope === "string" ? { ...decoded, scopes: parseScope(decoded.scope) } : decoded;
+  next();
+}
+
+/**
+ * @brief Check whether the caller holds a permission.
+ *
+ * Users need it from their role; scoped callers (API keys, OAuth
+ * clients) also need it in their scopes. OAuth clients have no role,
+ * so for them the scopes alone decide.
+ *
+ * @param {Object} [user]     req.user.
+ * @param {string} permission Permission such as `documents:delete`.
+ * @returns {boolean} True when the permission is held.
+ */
+export function holdsPermission(user, permission) {
+  if (user?.scopes && !user.scopes.includes(permission)) return false;
+  return isClientPrincipal(user) || hasPermission(user?.role, permission);
+}
+
+/**
+ * @brief List every permission the caller holds.
+ *
+ * @param {Object} [user] req.user.
+ * @returns {string[]} Permissions, after role and scope restrictions.
+ */
+export function getEffectivePermissions(user) {
+  return PERMISSIONS.filter((permission) => holdsPermission(user, permission));
+}
+
+/**
+ * @brief Build middleware that requires the caller's role to hold permissions.
+ *
+ * Must run after authenticate. Responds with HTTP 403 listing the
+ * missing permissions when the role in the token does not grant all
+ * of them. API key and OAuth client callers additionally need each
+ * permission in their scopes.
+ *
+ * @param {...string} permissions Required permissions, e.g. "documents:delete".
+ * @returns {import("express").RequestHandler} Express middleware.
+ */
+export function authorize(...permissions) {
+  return (req, res, next) => {
+    const missing = permissions.filter((permission) => !holdsPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ error: `Forbidden: missing permission ${missing.join(", ")}` });
+    }
+    next();
+  };
+}
+
+/**
+ * @brief Express middleware rejecting impersonation tokens.
+ *
+ * Must run after authenticate. Guards routes that change the signed-in
+ * user's credentials or sessions, which an admin acting as that user
+ * must not do, with HTTP 403.
+ *
+ * @param {import("express").Request} req  The incoming request.
+ * @param {import("express").Response} res The HTTP response.
+ * @param {Function} next                  Next middleware handler.
+ * @returns {void}
+ */
+export function forbidImpersonation(req, res, next) {
+  if (isImpersonated(req.user)) {
+    return res.status(403).json({ error: "Forbidden: not allowed while impersonating" });
+  }
+  next();
 }
 
 /**
  * @brief Generate a signed JWT for a given payload.
  *
+ * Signs with the active key from config/jwtKeys.js (RS256/ES256 with a
+ * `kid` header, or HS256 when only JWT_SECRET is configured). Every
+ * token gets a unique `jti` claim so it can be revoked individually.
+ *
  * @param {Object} payload   User information to embed in the token.
- * @param {string} [expiresIn="24h"] Expiration time for the token.
+ * @param {string|number} [expiresIn=ACCESS_TOKEN_TTL_SECONDS] Expiration time for the token.
  * @returns {string} Signed JWT string.
  */
-export function generateToken(payload, expiresIn = "24h") {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn });
+export function generateToken(payload, expiresIn = ACCESS_TOKEN_TTL_SECONDS) {
+  const { signing } = getKeyring();
+  return jwt.sign(payload, signing.key, {
+    algorithm: signing.alg,
+    ...(signing.kid && { keyid: signing.kid }),
+    expiresIn,
+    jwtid: crypto.randomUUID()
+  });
+}
+
+/**
+ * @brief Verify a JWT signature and expiry.
+ *
+ * The key is chosen by the token's `kid` header, so tokens signed by
+ * any configured key stay valid during a key rotation. Only the key's
+ * own algorithm is accepted. Does not consult the revocation list;
+ * use authenticate for that.
+ *
+ * @param {string} token Signed JWT string.
+ * @param {{ ignoreExpiration?: boolean }} [options] Pass ignoreExpiration to inspect expired tokens.
+ * @returns {Object} Decoded token payload.
+ * @throws {Error} When the token is malformed, expired, signed by an unknown key or has a bad signature.
+ */
+export function verifyToken(token, { ignoreExpiration = false } = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  const verificationKey = getVerificationKey(decoded?.header);
+  if (!verificationKey) throw new jwt.JsonWebTokenError("unknown signing key");
+  return jwt.verify(token, verificationKey.key, { algorithms: [verificationKey.alg], ignoreExpiration });
 }
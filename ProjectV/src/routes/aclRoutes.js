@@ -0,0 +1,192 @@
+/**
+ * @file aclRoutes.js
+ * @brief Routes for managing per-collection access control lists.
+ *
+ * Lets administrators grant roles, individual users or OAuth clients
+ * read, write and delete access to specific collections (or `*` for
+ * all).
+ */
+
+import { Router } from "express";
+import { authorize } from "../middleware/auth.js";
+import { isValidRole } from "../config/permissions.js";
+import { isReservedCollection } from "../config/reservedCollections.js";
+import {
+  ACL_ACCESS,
+  listAclEntries,
+  setAclEntry,
+  deleteAclEntry
+} from "../services/collectionAcl.js";
+
+const router = Router();
+
+router.use(authorize("acl:manage"));
+
+/**
+ * @brief Validate an ACL principal string.
+ *
+ * @param {string} principal `role:<role>`, `user:<username>` or `client:<client_id>`.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validatePrincipal(principal) {
+  const [type, ...rest] = principal.split(":");
+  const id = rest.join(":");
+  if (!id || !["role", "user", "client"].includes(type)) {
+    return "principal must be role:<role>, user:<username> or client:<client_id>";
+  }
+  if (type === "role" && !isValidRole(id)) {
+    return `Unknown role: ${id}`;
+  }
+  return null;
+}
+
+/**
+ * @openapi
+ * /api/acl:
+ *   get:
+ *     summary: List collection ACL entries
+ *     tags: [ACL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: collection
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ACL entries
+ *       403:
+ *         description: Missing permission acl:manage
+ */
+
+ /**
+  * @brief List ACL entries, optionally for a single collection.
+  *
+  * @route GET /api/acl
+  */
+router.get("/", async (req, res, next) => {
+  try {
+    const { collection } = req.query;
+    const entries = await listAclEntries({ collection: typeof collection === "string" ? collection : undefined });
+    res.json({ ok: true, count: entries.length, entries });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/acl/{collection}/{principal}:
+ *   put:
+ *     summary: Create or replace an ACL entry
+ *     tags: [ACL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         description: Collection name, or * for every collection
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: principal
+ *         required: true
+ *         description: role:<role> or user:<username>
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               access:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read, write, delete]
+ *     responses:
+ *       200:
+ *         description: Stored ACL entry
+ *       400:
+ *         description: Invalid principal or access list, or reserved collection
+ *       403:
+ *         description: Missing permission acl:manage
+ */
+
+ /**
+  * @brief Grant a principal access levels on a collection.
+  *
+  * Replaces the access list of an existing entry.
+  *
+  * @route PUT /api/acl/:collection/:principal
+  */
+router.put("/:collection/:principal", async (req, res, next) => {
+  try {
+    const { collection, principal } = req.params;
+    const { access } = req.body || {};
+
+    if (isReservedCollection(collection)) {
+      return res.status(400).json({ error: `Collection ${collection} is reserved and cannot be granted` });
+    }
+
+    const principalError = validatePrincipal(principal);
+    if (principalError) return res.status(400).json({ error: principalError });
+
+    if (!Array.isArray(access) || access.length === 0 || !access.every((a) => ACL_ACCESS.includes(a))) {
+      return res.status(400).json({ error: `access must be a non-empty array of ${ACL_ACCESS.join(", ")}` });
+    }
+
+    const entry = await setAclEntry(collection, principal, [...new Set(access)], req.user);
+    res.json({ ok: true, entry });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/acl/{collection}/{principal}:
+ *   delete:
+ *     summary: Remove an ACL entry
+ *     tags: [ACL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: principal
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed
+ *       404:
+ *         description: Entry not found
+ */
+
+ /**
+  * @brief Remove a principal's ACL entry on a collection.
+  *
+  * @route DELETE /api/acl/:collection/:principal
+  */
+router.delete("/:collection/:principal", async (req, res, next) => {
+  try {
+    const { collection, principal } = req.params;
+    const removed = await deleteAclEntry(collection, principal);
+    if (!removed) return res.status(404).json({ error: "ACL entry not found" });
+    res.json({ ok: true, deleted: 1 });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
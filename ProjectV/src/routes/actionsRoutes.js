@@ -8,6 +8,7 @@
 
 import { Router } from "express";
 import { getDb } from "../config/db.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = Router();
 
@@ -39,6 +40,8 @@ const router = Router();
  *     responses:
  *       200:
  *         description: Actions log
+ *       403:
+ *         description: Missing permission actions:read
  */
 
  /**
@@ -46,7 +49,8 @@ const router = Router();
   *
   * Accepts a JSON body with filter, projection, sort, limit, and skip
   * to retrieve matching audit log entries. Enforces basic validation
-  * on the filter object and caps the maximum limit.
+  * on the filter object and caps the maximum limit. Requires the
+  * `actions:read` permission.
   *
   * @route POST /actions/find
   *
@@ -55,7 +59,7 @@ const router = Router();
   * @param {Function} next                  Next middleware function.
   * @returns {Promise<void>}
   */
-router.post("/find", async (req, res, next) => {
+router.post("/find", authorize("actions:read"), async (req, res, next) => {
   try {
     const db = await getDb();
     const { filter = {}, projection, sort, limit = 100, skip = 0 } = req.body || {};
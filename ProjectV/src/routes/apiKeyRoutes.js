@@ -0,0 +1,217 @@
+/**
+ * @file apiKeyRoutes.js
+ * @brief Admin routes for managing API keys.
+ *
+ * Exposes the `/auth/api-keys` resource: issue scoped keys for machine
+ * clients, list and inspect them, and revoke them. All routes require
+ * the `api_keys:manage` permission.
+ */
+
+import { Router } from "express";
+import { authorize } from "../middleware/auth.js";
+import { findUser, isActiveUser } from "../services/users.js";
+import {
+  API_KEY_DEFAULT_TTL_DAYS,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  validateScopes
+} from "../services/apiKeys.js";
+
+const router = Router();
+
+router.use(authorize("api_keys:manage"));
+
+/**
+ * @openapi
+ * /auth/api-keys:
+ *   post:
+ *     summary: Create an API key (the key is only returned once)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, owner, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               owner:
+ *                 type: string
+ *                 description: Username the key acts as
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expires_in_days:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Created; includes the raw key
+ *       400:
+ *         description: Invalid input or scopes
+ *       403:
+ *         description: Missing permission api_keys:manage
+ */
+
+ /**
+  * @brief Create an API key for a user.
+  *
+  * Scopes must be permissions held by the owner's role. The raw key is
+  * returned once; only its hash is stored.
+  *
+  * @route POST /auth/api-keys
+  */
+router.post("/", async (req, res, next) => {
+  try {
+    const { name, owner, scopes, expires_in_days: expiresInDays = API_KEY_DEFAULT_TTL_DAYS } = req.body || {};
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "name required" });
+    }
+    if (typeof owner !== "string" || !owner) {
+      return res.status(400).json({ error: "owner required" });
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1) {
+      return res.status(400).json({ error: "expires_in_days must be a positive integer" });
+    }
+
+    const user = await findUser(owner);
+    if (!isActiveUser(user)) {
+      return res.status(400).json({ error: "owner must be an active user" });
+    }
+
+    const problems = validateScopes(scopes, user.role);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: `Invalid scopes: ${problems.join("; ")}` });
+    }
+
+    const { key, doc } = await createApiKey(
+      {
+        name: name.trim(),
+        owner,
+        scopes,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      },
+      req.user
+    );
+    res.status(201).json({ ok: true, key, api_key: doc });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API keys (without secrets)
+ */
+
+ /**
+  * @brief List API keys, optionally for one owner.
+  *
+  * @route GET /auth/api-keys
+  */
+router.get("/", async (req, res, next) => {
+  try {
+    const { owner } = req.query;
+    const keys = await listApiKeys({ owner: typeof owner === "string" && owner ? owner : undefined });
+    res.json({ ok: true, count: keys.length, api_keys: keys });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key (without secret)
+ *       404:
+ *         description: Not found
+ */
+
+ /**
+  * @brief Get one API key, including its last-used timestamp.
+  *
+  * @route GET /auth/api-keys/:id
+  */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const key = await getApiKey(req.params.id);
+    if (!key) return res.status(404).json({ error: "API key not found" });
+    res.json({ ok: true, api_key: key });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revoked
+ *       404:
+ *         description: Not found or already revoked
+ */
+
+ /**
+  * @brief Revoke an API key.
+  *
+  * The key document is kept (with `revoked_at`/`revoked_by`) so audit
+  * entries made with it can still be traced.
+  *
+  * @route DELETE /auth/api-keys/:id
+  */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    if (!(await revokeApiKey(req.params.id, req.user))) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    res.json({ ok: true, revoked: req.params.id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -2,13 +2,74 @@
  * @file authRoutes.js
  * @brief Authentication routes for ProjectV.
  *
- * Exposes endpoints for logging in and obtaining JWT tokens.
+ * Exposes endpoints for logging in (with a password, or with a PIN on
+ * an enrolled POS terminal), rotating refresh tokens, logging out,
+ * changing or resetting passwords and PINs, verifying email addresses,
+ * manager approvals, admin impersonation, and inspecting the current
+ * caller or a token.
  */
 
-import { Router } from "express";
-import bcrypt from "bcryptjs";
-import { getDb } from "../config/db.js";
-import { generateToken } from "../middleware/auth.js";
+import express, { Router } from "express";
+import {
+  authenticate,
+  authenticateUser,
+  authorize,
+  forbidImpersonation,
+  getEffectivePermissions,
+  isClientPrincipal,
+  verifyToken
+} from "../middleware/auth.js";
+import { buildTokenResponse } from "../services/authTokens.js";
+import {
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeUserRefreshTokens
+} from "../services/refreshTokens.js";
+import { revokeToken, revokeAllForUser } from "../services/revocation.js";
+import {
+  PUBLIC_USER_PROJECTION,
+  findUser,
+  isActiveUser,
+  isExternalUser,
+  setPassword,
+  setPin,
+  validatePassword,
+  verifyUserPin
+} from "../services/users.js";
+import { authenticatePassword, verifyPassword } from "../services/identityProviders.js";
+import {
+  checkLoginAttempt,
+  checkTerminalAttempt,
+  clearLoginFailures,
+  recordLoginFailure,
+  recordTerminalFailure
+} from "../services/loginAttempts.js";
+import { authenticateTerminal, isPinLoginAllowed } from "../services/terminals.js";
+import { findOneTimeToken, consumeOneTimeToken } from "../services/oneTimeTokens.js";
+import { isEmailVerified, sendEmailVerification, verifyEmail } from "../services/emailVerification.js";
+import {
+  MFA_POLICY,
+  isMfaEnabled,
+  isMfaEnrollmentRequired,
+  issueMfaChallenge,
+  verifyMfa
+} from "../services/mfa.js";
+import { DEFAULT_ROLE, hasPermission } from "../config/permissions.js";
+import { APPROVAL_ACTIONS, isApprovalAction } from "../config/approvals.js";
+import { APPROVAL_TTL_SECONDS, issueApprovalToken } from "../services/approvals.js";
+import {
+  IMPERSONATION_TTL_SECONDS,
+  describeImpersonation,
+  issueImpersonationToken
+} from "../services/impersonation.js";
+import { recordAuditEvent } from "../middleware/audit.js";
+import { getClient } from "../services/oauthClients.js";
+import { introspectToken } from "../services/introspection.js";
+import { passwordPolicyError } from "../utils/passwordPolicy.js";
+import { checkPinPolicy, pinPolicyError } from "../utils/pinPolicy.js";
+import { oauthError } from "../utils/oauth.js";
 
 const router = Router();
 
@@ -16,7 +77,7 @@ const router = Router();
  * @openapi
  * /auth/login:
  *   post:
- *     summary: Login and receive JWT token
+ *     summary: Login and receive an access token and refresh token
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -31,17 +92,38 @@ const router = Router();
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or an MFA challenge (mfa_required with mfa_token)
+ *       400:
+ *         description: username and password must be non-empty strings
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account disabled
+ *       429:
+ *         description: Too many failed attempts (see Retry-After header)
+ *       503:
+ *         description: An identity provider (e.g. LDAP) could not be reached
  */
 
  /**
   * @brief Login endpoint for issuing JWT tokens.
   *
-  * Validates the provided username and password against the `users`
-  * collection. On success, returns a signed JWT token and basic user
-  * information; otherwise returns an error.
+  * Validates the provided username and password with the configured
+  * identity providers (the `users` collection, and e.g. LDAP; see
+  * services/identityProviders.js). On success, returns a short-lived
+  * signed JWT, a refresh token and basic user information; otherwise
+  * returns an error. Soft-deleted users cannot log in and disabled
+  * users get HTTP 403.
+  *
+  * Users with MFA enabled get `{ mfa_required, mfa_token }` instead of
+  * tokens and finish at POST /auth/mfa/verify. Users whose role
+  * requires MFA but who have not enrolled also get
+  * `mfa_enrollment_required` and must enroll through /auth/mfa first.
+  *
+  * Failed attempts are counted per username and per IP. Attempts made
+  * before the progressive delay has passed, or while locked out, get
+  * HTTP 429 with a Retry-After header. The same responses are given
+  * for unknown usernames, so callers cannot probe which accounts exist.
   *
   * @route POST /auth/login
   *
@@ -53,26 +135,1037 @@ const router = Router();
 router.post("/login", async (req, res, next) => {
   try {
     const { username, password } = req.body || {};
-    if (!username || !password) {
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
       return res.status(400).json({ error: "username and password required" });
     }
 
-    const db = await getDb();
-    const user = await db.collection("users").findOne({ username });
+    const gate = await checkLoginAttempt(username, req.ip);
+    if (!gate.allowed) {
+      res.set("Retry-After", String(Math.ceil(gate.retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many failed login attempts; try again later" });
+    }
+
+    const user = await authenticatePassword(username, password);
     if (!user) {
+      await recordLoginFailure(username, req);
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const valid = await bcrypt.compare(password, user.password);
+    if (!isActiveUser(user)) {
+      return res.status(403).json({ error: "Account disabled" });
+    }
+
+    // Failure counters are only cleared once the second factor passes.
+    if (isMfaEnabled(user) || isMfaEnrollmentRequired(user)) {
+      const enroll = !isMfaEnabled(user);
+      return res.json({
+        ok: true,
+        mfa_required: true,
+        ...(enroll && { mfa_enrollment_required: true }),
+        mfa_token: issueMfaChallenge(user, enroll ? "mfa_enroll" : "mfa"),
+        expires_in: MFA_POLICY.challengeTtlSeconds
+      });
+    }
+
+    await clearLoginFailures(username);
+    res.json(await buildTokenResponse(user, { req }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/pin-login:
+ *   post:
+ *     summary: Cashier login with a PIN on an enrolled POS terminal
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: header
+ *         name: X-Terminal-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device key issued when the terminal was enrolled
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful; the access token carries terminal_id
+ *       401:
+ *         description: Invalid terminal key or credentials
+ *       403:
+ *         description: Account disabled or not allowed to use PIN login
+ *       429:
+ *         description: Too many failed PIN attempts on this terminal (see Retry-After header)
+ */
+
+ /**
+  * @brief PIN login for cashiers at an enrolled register.
+  *
+  * The terminal authenticates with its device key; the cashier with
+  * username and PIN. Tokens are bound to the terminal: the access token
+  * carries `terminal_id` alongside the user, and revoking the terminal
+  * ends the session. Failed PINs are counted per terminal, with the
+  * same progressive delay and lockout as password logins.
+  *
+  * @route POST /auth/pin-login
+  *
+  * @param {import("express").Request} req  Header: X-Terminal-Key. Body: { username, pin }.
+  * @param {import("express").Response} res JSON response with token or error.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/pin-login", async (req, res, next) => {
+  try {
+    const terminal = await authenticateTerminal(req.get("x-terminal-key"));
+    if (!terminal) {
+      return res.status(401).json({ error: "Invalid terminal key" });
+    }
+
+    const { username, pin } = req.body || {};
+    if (typeof username !== "string" || !username || typeof pin !== "string" || !pin) {
+      return res.status(400).json({ error: "username and pin required" });
+    }
+
+    const gate = await checkTerminalAttempt(terminal.terminal_id);
+    if (!gate.allowed) {
+      res.set("Retry-After", String(Math.ceil(gate.retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many failed PIN attempts on this terminal; try again later" });
+    }
+
+    const user = await findUser(username);
+    if (!(await verifyUserPin(user, pin))) {
+      await recordTerminalFailure(terminal.terminal_id, username, req);
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    if (!isActiveUser(user)) {
+      return res.status(403).json({ error: "Account disabled" });
+    }
+    if (!isPinLoginAllowed(user)) {
+      return res.status(403).json({ error: "PIN login is not allowed for this account" });
+    }
+
+    res.json({
+      ...(await buildTokenResponse(user, { req, terminalId: terminal.terminal_id })),
+      terminal: { terminal_id: terminal.terminal_id, name: terminal.name }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/approve:
+ *   post:
+ *     summary: Manager approval of a sensitive action on the cashier's session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Terminal-Key
+ *         schema:
+ *           type: string
+ *         description: Required when the manager approves with a PIN
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, action, resource]
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: The approving manager
+ *               password:
+ *                 type: string
+ *               pin:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: TOTP code, when the manager has MFA enabled and uses a password
+ *               action:
+ *                 type: string
+ *                 enum: [sale.void, sale.refund, price.override]
+ *               resource:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Single-use approval token for the action and resource
+ *       400:
+ *         description: Missing fields or unknown action
+ *       401:
+ *         description: Invalid manager credentials, terminal key or MFA code
+ *       403:
+ *         description: Approver disabled, lacks approvals:grant, is the requester, or must enroll in MFA first
+ *       429:
+ *         description: Too many failed attempts (see Retry-After header)
+ */
+
+ /**
+  * @brief Step-up approval by a manager for the signed-in cashier.
+  *
+  * Called with the cashier's access token; the manager authenticates in
+  * the body with a password (plus a TOTP code when MFA is enabled) or,
+  * on an enrolled terminal, with a PIN. The manager must hold
+  * `approvals:grant` and cannot approve their own requests. Managers
+  * whose role requires MFA but who have not enrolled yet are refused,
+  * as at /auth/login. Failed attempts count towards the same lockouts
+  * as password and PIN logins.
+  *
+  * The returned token is valid for APPROVAL_TTL_SECONDS, for this
+  * cashier and session, this action and resource, and a single request
+  * (sent as `X-Approval-Token`). Every approval is written to the audit
+  * log as an `approval_granted` event.
+  *
+  * @route POST /auth/approve
+  *
+  * @param {import("express").Request} req  Body: { username, password | pin, code?, action, resource }.
+  * @param {import("express").Response} res JSON response with the approval token or error.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/approve", authenticateUser, async (req, res, next) => {
+  try {
+    const { username, password, pin, code, action, resource } = req.body || {};
+    if (!isApprovalAction(action)) {
+      return res.status(400).json({ error: `action must be one of ${Object.keys(APPROVAL_ACTIONS).join(", ")}` });
+    }
+    if (typeof resource !== "string" || !resource) {
+      return res.status(400).json({ error: "resource required" });
+    }
+    const usePin = typeof pin === "string" && !!pin;
+    if (typeof username !== "string" || !username || (!usePin && (typeof password !== "string" || !password))) {
+      return res.status(400).json({ error: "username and password or pin required" });
+    }
+
+    let terminal = null;
+    if (usePin) {
+      terminal = await authenticateTerminal(req.get("x-terminal-key"));
+      if (!terminal) return res.status(401).json({ error: "Invalid terminal key" });
+    }
+
+    const gate = terminal ? await checkTerminalAttempt(terminal.terminal_id) : await checkLoginAttempt(username, req.ip);
+    if (!gate.allowed) {
+      res.set("Retry-After", String(Math.ceil(gate.retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many failed attempts; try again later" });
+    }
+
+    const approver = terminal ? await findUser(username) : await authenticatePassword(username, password);
+    const valid = terminal ? await verifyUserPin(approver, pin) : !!approver;
     if (!valid) {
+      if (terminal) await recordTerminalFailure(terminal.terminal_id, username, req);
+      else await recordLoginFailure(username, req);
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    if (!isActiveUser(approver)) {
+      return res.status(403).json({ error: "Account disabled" });
+    }
+    if (terminal && !isPinLoginAllowed(approver)) {
+      return res.status(403).json({ error: "PIN login is not allowed for this account" });
+    }
+    if (!hasPermission(approver.role || DEFAULT_ROLE, "approvals:grant")) {
+      return res.status(403).json({ error: "Forbidden: approver lacks permission approvals:grant" });
+    }
+    if (approver.username === req.user.username) {
+      return res.status(403).json({ error: "Forbidden: you cannot approve your own request" });
+    }
+    if (!terminal && isMfaEnrollmentRequired(approver)) {
+      return res.status(403).json({ error: "Approver must set up two-factor authentication first" });
+    }
+    if (!terminal && isMfaEnabled(approver)) {
+      if (typeof code !== "string" || !code) {
+        return res.status(401).json({ error: "MFA code required" });
+      }
+      if (!(await verifyMfa(approver, { code }))) {
+        await recordLoginFailure(username, req);
+        return res.status(401).json({ error: "Invalid MFA code" });
+      }
+    }
+    if (!terminal) await clearLoginFailures(username);
+
+    const approvalToken = issueApprovalToken({ approver, requester: req.user, action, resource });
+    await recordAuditEvent("approval_granted", {
+      username: approver.username,
+      requested_by: req.user.username,
+      action,
+      resource,
+      ...(terminal && { terminal_id: terminal.terminal_id }),
+      ip: req.ip,
+      userAgent: req.headers["user-agent"]
+    });
+
+    res.json({
+      ok: true,
+      approval_token: approvalToken,
+      expires_in: APPROVAL_TTL_SECONDS,
+      action,
+      resource,
+      approved_by: approver.username
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/impersonate/{username}:
+ *   post:
+ *     summary: Act as another user for a limited time (admin support)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the user is impersonated, e.g. a support ticket
+ *     responses:
+ *       200:
+ *         description: Impersonation access token (no refresh token)
+ *       400:
+ *         description: Missing reason
+ *       403:
+ *         description: Missing permission users:impersonate, already impersonating, or the user cannot be impersonated
+ *       404:
+ *         description: User not found
+ */
+
+ /**
+  * @brief Issue an access token acting as another user.
+  *
+  * The token carries the user's identity and role plus an `act` claim
+  * naming the admin, expires after IMPERSONATION_TTL_SECONDS and cannot
+  * be refreshed. Logging out with it, or ending the admin's session,
+  * ends the impersonation. Disabled users, the caller themself and
+  * users who could impersonate others cannot be impersonated. Each
+  * impersonation is written to the audit log as an
+  * `impersonation_started` event; requests made with the token are
+  * logged under the user with the admin as `impersonated_by`.
+  *
+  * @route POST /auth/impersonate/:username
+  *
+  * @param {import("express").Request} req  Body: { reason }.
+  * @param {import("express").Response} res JSON response with the token or error.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post(
+  "/impersonate/:username",
+  authenticateUser,
+  forbidImpersonation,
+  authorize("users:impersonate"),
+  async (req, res, next) => {
+    try {
+      const { reason } = req.body || {};
+      if (typeof reason !== "string" || !reason.trim()) {
+        return res.status(400).json({ error: "reason required" });
+      }
+
+      const target = await findUser(req.params.username, { projection: PUBLIC_USER_PROJECTION });
+      if (!target) return res.status(404).json({ error: "User not found" });
+      if (target.username === req.user.username) {
+        return res.status(403).json({ error: "Forbidden: you cannot impersonate yourself" });
+      }
+      if (!isActiveUser(target)) {
+        return res.status(403).json({ error: "Account disabled" });
+      }
+      if (hasPermission(target.role || DEFAULT_ROLE, "users:impersonate")) {
+        return res.status(403).json({ error: "Forbidden: this user cannot be impersonated" });
+      }
+
+      const token = issueImpersonationToken(target, req.user);
+      const { jti, exp } = verifyToken(token);
+      await recordAuditEvent("impersonation_started", {
+        username: req.user.username,
+        email: req.user.email || null,
+        impersonated: target.username,
+        reason: reason.trim(),
+        jti,
+        expires_at: new Date(exp * 1000),
+        ip: req.ip,
+        userAgent: req.headers["user-agent"]
+      });
+
+      res.json({
+        ok: true,
+        token,
+        token_type: "Bearer",
+        expires_in: IMPERSONATION_TTL_SECONDS,
+        user: { username: target.username, email: target.email, role: target.role || DEFAULT_ROLE },
+        impersonated_by: req.user.username
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token (rotates the refresh token)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+
+ /**
+  * @brief Rotate a refresh token and issue a new access token.
+  *
+  * The presented refresh token is invalidated and replaced with a new
+  * one from the same family. Reusing an already rotated token revokes
+  * the whole family, forcing the user to log in again. Tokens bound to
+  * an OAuth client are refused before they are used, so presenting one
+  * here cannot burn it and make the client's next refresh look like
+  * reuse.
+  *
+  * @route POST /auth/refresh
+  *
+  * @param {import("express").Request} req  Body: { refresh_token }.
+  * @param {import("express").Response} res JSON response with tokens or error.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/refresh", async (req, res, next) => {
+  try {
+    const { refresh_token: refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({ error: "refresh_token required" });
+    }
+
+    // Client-bound tokens (client credentials, OpenID Connect) are refreshed at /oauth/token.
+    const stored = await findRefreshToken(refreshToken);
+    if (stored?.client_id) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    const user = await findUser(rotated.username);
+    if (!isActiveUser(user)) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    res.json(await buildTokenResponse(user, {
+      req,
+      refreshToken: rotated.refreshToken,
+      sessionId: rotated.familyId,
+      terminalId: rotated.terminalId
+    }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/logout:
+ *   post:
+ *     summary: End the current session (access token and its refresh tokens)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Missing, invalid or already revoked token
+ */
+
+ /**
+  * @brief Log out the current session.
+  *
+  * Adds the access token's `jti` to the revocation list and ends the
+  * token's session, revoking its refresh tokens so the client cannot
+  * silently obtain a new access token. Tokens issued before sessions
+  * existed have no `sid`; for them the refresh token family is revoked
+  * when a refresh_token is supplied.
+  *
+  * @route POST /auth/logout
+  *
+  * @param {import("express").Request} req  Body: { refresh_token? }.
+  * @param {import("express").Response} res JSON response.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/logout", authenticateUser, async (req, res, next) => {
+  try {
+    const { refresh_token: refreshToken } = req.body || {};
+    await revokeToken(req.user);
+    if (req.user.sid) {
+      await revokeRefreshTokenFamily(req.user.sid, "logout", req.user);
+    } else if (typeof refreshToken === "string" && refreshToken) {
+      await revokeRefreshToken(refreshToken, req.user.username);
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/logout-all:
+ *   post:
+ *     summary: Revoke all access and refresh tokens of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All tokens revoked
+ *       401:
+ *         description: Missing, invalid or already revoked token
+ *       403:
+ *         description: Not allowed while impersonating
+ */
+
+ /**
+  * @brief Log the current user out on every device.
+  *
+  * Rejects every access token issued to the user before now and
+  * revokes all of the user's refresh tokens.
+  *
+  * @route POST /auth/logout-all
+  *
+  * @param {import("express").Request} req  Incoming HTTP request.
+  * @param {import("express").Response} res JSON response.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/logout-all", authenticateUser, forbidImpersonation, async (req, res, next) => {
+  try {
+    await revokeToken(req.user);
+    await revokeAllForUser(req.user.username);
+    const refreshTokensRevoked = await revokeUserRefreshTokens(req.user.username);
+    res.json({ ok: true, refresh_tokens_revoked: refreshTokensRevoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/password:
+ *   post:
+ *     summary: Change the current user's password
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed; new tokens issued
+ *       400:
+ *         description: Missing fields or password policy violations
+ *       401:
+ *         description: Current password is wrong
+ *       403:
+ *         description: Not allowed while impersonating
+ *       409:
+ *         description: The password is managed by an identity provider (e.g. LDAP)
+ *       429:
+ *         description: Too many failed attempts (see Retry-After header)
+ */
+
+ /**
+  * @brief Change the authenticated user's password.
+  *
+  * Requires the current password and a new password that satisfies
+  * the password policy (including history). All existing sessions of
+  * the user are revoked and a fresh access/refresh token pair is
+  * returned so the calling client stays signed in.
+  *
+  * A wrong current password counts towards the same lockout as failed
+  * logins, so a stolen token cannot be used to guess the password.
+  *
+  * @route POST /auth/password
+  *
+  * @param {import("express").Request} req  Body: { current_password, new_password }.
+  * @param {import("express").Response} res JSON response with new tokens or error.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/password", authenticateUser, forbidImpersonation, async (req, res, next) => {
+  try {
+    const { current_password: currentPassword, new_password: newPassword } = req.body || {};
+    if (typeof currentPassword !== "string" || typeof newPassword !== "string" || !currentPassword || !newPassword) {
+      return res.status(400).json({ error: "current_password and new_password required" });
+    }
+
+    const gate = await checkLoginAttempt(req.user.username, req.ip);
+    if (!gate.allowed) {
+      res.set("Retry-After", String(Math.ceil(gate.retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many failed attempts; try again later" });
+    }
+
+    const user = await findUser(req.user.username);
+    if (isExternalUser(user)) {
+      return res.status(409).json({ error: `Password is managed by the ${user.source} identity provider` });
+    }
+    if (!isActiveUser(user) || !(await verifyPassword(user, currentPassword))) {
+      await recordLoginFailure(req.user.username, req);
       return res.status(401).json({ error: "Invalid credentials" });
     }
+    await clearLoginFailures(req.user.username);
+
+    const violations = await validatePassword(newPassword, user);
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicyError(violations));
+    }
+
+    await setPassword(user.username, newPassword, req.user);
+    await revokeToken(req.user);
+    res.json(await buildTokenResponse(user, { req }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/pin:
+ *   put:
+ *     summary: Set or change the current user's terminal PIN
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: PIN set
+ *       400:
+ *         description: Missing fields or PIN policy violations
+ *       401:
+ *         description: Current password is wrong
+ *       403:
+ *         description: The user's role may not use PIN login, or impersonating
+ *       429:
+ *         description: Too many failed attempts (see Retry-After header)
+ */
+
+ /**
+  * @brief Set the authenticated user's PIN.
+  *
+  * Requires the current password, so a token left signed in on a
+  * register cannot be used to change the PIN. A wrong current password
+  * counts towards the same lockout as failed logins. The PIN is hashed
+  * like a password.
+  *
+  * @route PUT /auth/pin
+  *
+  * @param {import("express").Request} req  Body: { current_password, pin }.
+  * @param {import("express").Response} res JSON response.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.put("/pin", authenticateUser, forbidImpersonation, async (req, res, next) => {
+  try {
+    const { current_password: currentPassword, pin } = req.body || {};
+    if (typeof currentPassword !== "string" || !currentPassword || typeof pin !== "string" || !pin) {
+      return res.status(400).json({ error: "current_password and pin required" });
+    }
+
+    const gate = await checkLoginAttempt(req.user.username, req.ip);
+    if (!gate.allowed) {
+      res.set("Retry-After", String(Math.ceil(gate.retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many failed attempts; try again later" });
+    }
+
+    const user = await findUser(req.user.username);
+    if (!isActiveUser(user) || !(await verifyPassword(user, currentPassword))) {
+      await recordLoginFailure(req.user.username, req);
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    await clearLoginFailures(req.user.username);
+    if (!isPinLoginAllowed(user)) {
+      return res.status(403).json({ error: "PIN login is not allowed for this account" });
+    }
+
+    const violations = checkPinPolicy(pin);
+    if (violations.length > 0) {
+      return res.status(400).json(pinPolicyError(violations));
+    }
+
+    await setPin(user.username, pin, req.user);
+    res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/password/reset:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset; all sessions revoked
+ *       400:
+ *         description: Missing fields, password policy violations, or invalid, expired or used token
+ */
+
+ /**
+  * @brief Redeem a password reset token.
+  *
+  * Consumes the single-use token issued by
+  * POST /auth/users/:username/password-reset, sets the new password
+  * and revokes all existing sessions of the user.
+  *
+  * @route POST /auth/password/reset
+  *
+  * @param {import("express").Request} req  Body: { token, new_password }.
+  * @param {import("express").Response} res JSON response.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/password/reset", async (req, res, next) => {
+  try {
+    const { token, new_password: newPassword } = req.body || {};
+    if (typeof token !== "string" || typeof newPassword !== "string" || !token || !newPassword) {
+      return res.status(400).json({ error: "token and new_password required" });
+    }
+
+    const pending = await findOneTimeToken("password_reset", token);
+    const user = pending && await findUser(pending.username);
+    if (!user || isExternalUser(user)) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    // Validate before consuming so a rejected password does not burn the token.
+    const violations = await validatePassword(newPassword, user);
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicyError(violations));
+    }
+
+    if (!await consumeOneTimeToken("password_reset", token)) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    await setPassword(user.username, newPassword, { username: user.username });
 
-    const token = generateToken({ username: user.username, email: user.email });
-    res.json({ ok: true, token, user: { username: user.username, email: user.email } });
+    res.json({ ok: true });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * @openapi
+ * /auth/email/verification:
+ *   post:
+ *     summary: Send a verification message to the current user's email
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Verification message queued
+ *       401:
+ *         description: Missing or invalid token
+ *       409:
+ *         description: No email on the account, or it is already verified
+ */
+
+ /**
+  * @brief Ask for a (new) verification message.
+  *
+  * Invalidates the user's earlier unused verification token.
+  *
+  * @route POST /auth/email/verification
+  *
+  * @param {import("express").Request} req  Incoming HTTP request (no body).
+  * @param {import("express").Response} res JSON response with the address and token expiry, or error.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/email/verification", authenticateUser, forbidImpersonation, async (req, res, next) => {
+  try {
+    const user = await findUser(req.user.username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.email) return res.status(409).json({ error: "No email on this account" });
+    if (isEmailVerified(user)) return res.status(409).json({ error: "Email already verified" });
+
+    const { email, expiresAt } = await sendEmailVerification(user, req.user);
+    res.status(202).json({ ok: true, email, expires_at: expiresAt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/email/verify:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification message
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Missing, invalid, expired or used token, or the email changed since it was sent
+ */
+
+ /**
+  * @brief Redeem an email verification token.
+  *
+  * Public, like the password reset: the token itself proves access to
+  * the mailbox. Sets `email_verified_at` on the user.
+  *
+  * @route POST /auth/email/verify
+  *
+  * @param {import("express").Request} req  Body: { token }.
+  * @param {import("express").Response} res JSON response.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/email/verify", async (req, res, next) => {
+  try {
+    const { token } = req.body || {};
+    if (typeof token !== "string" || !token) {
+      return res.status(400).json({ error: "token required" });
+    }
+
+    const verified = await verifyEmail(token);
+    if (!verified) {
+      return res.status(400).json({ error: "Invalid or expired verification token" });
+    }
+
+    await recordAuditEvent("email_verified", { username: verified.username, email: verified.email });
+    res.json({ ok: true, username: verified.username, email: verified.email, email_verified_at: verified.verifiedAt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @brief Describe how the current request was authenticated.
+ *
+ * @param {Object} user req.user.
+ * @returns {Object} Authentication details for /auth/me.
+ */
+function describeAuthentication(user) {
+  if (user.api_key) {
+    return { method: "api_key", api_key: user.api_key, scopes: user.scopes };
+  }
+  return {
+    method: isClientPrincipal(user) ? "client_token" : "access_token",
+    jti: user.jti,
+    ...(user.sid && { session_id: user.sid }),
+    ...(user.terminal_id && { terminal_id: user.terminal_id }),
+    ...(user.act && { act: user.act }),
+    issued_at: new Date(user.iat * 1000),
+    expires_at: new Date(user.exp * 1000),
+    ...(user.scopes && { scopes: user.scopes })
+  };
+}
+
+/**
+ * @openapi
+ * /auth/me:
+ *   get:
+ *     summary: Current caller's profile, role and effective permissions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User (or OAuth client) profile, permissions and authentication details
+ *       401:
+ *         description: Missing, invalid or revoked credentials
+ *       404:
+ *         description: The user or client no longer exists
+ */
+
+ /**
+  * @brief Return what the server knows about the caller.
+  *
+  * The profile and role are read from the database, not from the
+  * token, so a client can spot a stale token after a role change.
+  * `permissions` are the permissions the current credentials actually
+  * grant (role and, for API keys and OAuth clients, scopes). Under
+  * impersonation the response includes `impersonation` naming the
+  * admin and when the token expires.
+  *
+  * @route GET /auth/me
+  */
+router.get("/me", authenticate, async (req, res, next) => {
+  try {
+    const auth = describeAuthentication(req.user);
+
+    if (isClientPrincipal(req.user)) {
+      const client = await getClient(req.user.client_id);
+      if (!client) return res.status(404).json({ error: "Client not found" });
+      return res.json({ ok: true, client, permissions: getEffectivePermissions(req.user), auth });
+    }
+
+    const user = await findUser(req.user.username, { projection: PUBLIC_USER_PROJECTION });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const current = { ...req.user, role: user.role || DEFAULT_ROLE };
+    const impersonation = describeImpersonation(req.user);
+    res.json({
+      ok: true,
+      user: { ...user, role: current.role },
+      permissions: getEffectivePermissions(current),
+      ...(impersonation && { impersonation }),
+      auth
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/introspect:
+ *   post:
+ *     summary: Introspect an access or refresh token (RFC 7662)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *     responses:
+ *       200:
+ *         description: "{ active, sub, username, client_id, scope, exp, iat, revoked, ... }"
+ *       403:
+ *         description: Missing permission tokens:introspect
+ */
+
+ /**
+  * @brief Report the state of a token to a trusted service.
+  *
+  * Requires the `tokens:introspect` permission (typically an OAuth
+  * client or API key with that scope). See services/introspection.js
+  * for the response fields.
+  *
+  * @route POST /auth/introspect
+  */
+router.post(
+  "/introspect",
+  authenticate,
+  authorize("tokens:introspect"),
+  express.urlencoded({ extended: false }),
+  async (req, res, next) => {
+    res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+    try {
+      const { token, token_type_hint: tokenTypeHint } = req.body || {};
+      if (!token || typeof token !== "string") {
+        return res.status(400).json(oauthError("invalid_request", "token required"));
+      }
+      res.json(await introspectToken(token, tokenTypeHint));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 export default router;
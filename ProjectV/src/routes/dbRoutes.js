@@ -3,17 +3,35 @@
  * @brief Routes for managing collections and documents in MongoDB.
  *
  * Provides endpoints to list and create collections, and to perform
- * CRUD and soft-delete operations on documents within those collections.
+ * CRUD, soft-delete and restore operations on documents within those
+ * collections, and to browse and permanently purge soft-deleted
+ * documents.
+ * Every route requires a permission from config/permissions.js, and
+ * routes on a specific collection are additionally checked against the
+ * per-collection ACLs. Writes configured in APPROVAL_RULES also need a
+ * manager's approval token (see config/approvals.js). Reserved internal
+ * collections (see config/reservedCollections.js) cannot be accessed
+ * through these routes.
  */
 
 import { Router } from "express";
 import { ObjectId } from "mongodb";
 import { getDb } from "../config/db.js";
+import { authorize } from "../middleware/auth.js";
+import { requireCollectionAccess } from "../middleware/acl.js";
+import { requireDocumentApproval } from "../middleware/approval.js";
+import { filterAccessibleCollections } from "../services/collectionAcl.js";
+import { isReservedCollection, reservedCollectionMessage } from "../config/reservedCollections.js";
+import { recordAuditEvent } from "../middleware/audit.js";
+import { purgeDeletedDocuments } from "../services/retention.js";
 import { 
   addSoftDeleteFilter, 
+  addDeletedFilter,
+  buildTrashFilter,
   getCreateMetadata, 
   getUpdateMetadata, 
-  getDeleteMetadata 
+  getDeleteMetadata,
+  getRestoreMetadata
 } from "../utils/softDelete.js";
 
 const router = Router();
@@ -35,6 +53,58 @@ function coerceValue(value) {
   return value;
 }
 
+/**
+ * @brief Update that brings soft-deleted documents back.
+ *
+ * @param {{ username?: string }} [user] Authenticated user object.
+ * @returns {Object} MongoDB update removing the delete fields and stamping restore metadata.
+ */
+function buildRestoreUpdate(user) {
+  return {
+    $unset: { deleted_at: "", deleted_by: "" },
+    $set: getRestoreMetadata(user)
+  };
+}
+
+/**
+ * @brief Parse an optional date from a request body.
+ *
+ * @param {unknown} value ISO 8601 string or epoch milliseconds.
+ * @returns {Date|undefined|null} The date, undefined when absent, or null when invalid.
+ */
+function parseDateInput(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @brief Build the trash filter from a request body.
+ *
+ * Shared by trash/find and trash/purge so both select the same
+ * documents.
+ *
+ * @param {Object} body Request body with `filter`, `deleted_by`, `deleted_after` and `deleted_before`.
+ * @returns {{ filter: Object }|{ error: string }} MongoDB filter, or the validation error.
+ */
+function parseTrashQuery(body) {
+  const {
+    filter = {},
+    deleted_by: deletedBy,
+    deleted_after: deletedAfterInput,
+    deleted_before: deletedBeforeInput
+  } = body;
+  if (typeof filter !== "object" || filter === null || Array.isArray(filter)) return { error: "filter must be an object" };
+  if (deletedBy !== undefined && typeof deletedBy !== "string") return { error: "deleted_by must be a string" };
+  const deletedAfter = parseDateInput(deletedAfterInput);
+  const deletedBefore = parseDateInput(deletedBeforeInput);
+  if (deletedAfter === null || deletedBefore === null) {
+    return { error: "deleted_after and deleted_before must be ISO 8601 dates" };
+  }
+  return { filter: buildTrashFilter(filter, { deletedBy, deletedAfter, deletedBefore }) };
+}
+
 /**
  * @brief Parse a filter input into an object.
  *
@@ -56,29 +126,48 @@ function parseFilterInput(input) {
   return {};
 }
 
+/**
+ * @brief Reject any route whose `:name` is a reserved collection.
+ *
+ * Runs before the route handlers, so reserved collections can never be
+ * read, written or deleted through the generic document API regardless
+ * of role or ACL.
+ */
+router.param("name", (req, res, next, name) => {
+  if (isReservedCollection(name)) {
+    return res.status(403).json({ error: reservedCollectionMessage(name) });
+  }
+  next();
+});
+
 /**
  * @openapi
  * /api/collections:
  *   get:
- *     summary: List collections in the database
+ *     summary: List non-reserved collections in the database that the caller may access
  *     tags: [Collections]
  *     responses:
  *       200:
  *         description: Array of collection names
+ *       403:
+ *         description: Forbidden (missing permission)
  */
 
  /**
-  * @brief List all collections in the database.
+  * @brief List the collections the caller may access.
   *
-  * Returns an array of collection names from the current database.
+  * Returns an array of collection names from the current database,
+  * excluding reserved collections and filtered by the per-collection ACLs.
   *
   * @route GET /api/collections
   */
-router.get("/collections", async (req, res, next) => {
+router.get("/collections", authorize("collections:read"), async (req, res, next) => {
   try {
     const db = await getDb();
     const collections = await db.listCollections().toArray();
-    res.json({ ok: true, collections: collections.map(c => c.name) });
+    const visible = collections.map(c => c.name).filter(name => !isReservedCollection(name));
+    const names = await filterAccessibleCollections(visible, req.user);
+    res.json({ ok: true, collections: names });
   } catch (err) {
     next(err);
   }
@@ -100,6 +189,8 @@ router.get("/collections", async (req, res, next) => {
  *     responses:
  *       201:
  *         description: Created
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
  */
 
  /**
@@ -110,7 +201,7 @@ router.get("/collections", async (req, res, next) => {
   *
   * @route POST /api/collections/:name
   */
-router.post("/collections/:name", async (req, res, next) => {
+router.post("/collections/:name", authorize("collections:create"), requireCollectionAccess("write"), async (req, res, next) => {
   try {
     const db = await getDb();
     const { name } = req.params;
@@ -150,6 +241,8 @@ router.post("/collections/:name", async (req, res, next) => {
  *     responses:
  *       201:
  *         description: Inserted
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
  */
 
  /**
@@ -160,7 +253,7 @@ router.post("/collections/:name", async (req, res, next) => {
   *
   * @route POST /api/collections/:name/documents
   */
-router.post("/collections/:name/documents", async (req, res, next) => {
+router.post("/collections/:name/documents", authorize("documents:create"), requireCollectionAccess("write"), requireDocumentApproval("create"), async (req, res, next) => {
   try {
     const db = await getDb();
     const { name } = req.params;
@@ -205,6 +298,8 @@ router.post("/collections/:name/documents", async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Updated
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
  */
 
  /**
@@ -215,7 +310,7 @@ router.post("/collections/:name/documents", async (req, res, next) => {
   *
   * @route PATCH /api/collections/:name/documents/:id
   */
-router.patch("/collections/:name/documents/:id", async (req, res, next) => {
+router.patch("/collections/:name/documents/:id", authorize("documents:update"), requireCollectionAccess("write"), requireDocumentApproval("update"), async (req, res, next) => {
   try {
     const db = await getDb();
     const { name, id } = req.params;
@@ -282,6 +377,8 @@ router.patch("/collections/:name/documents/:id", async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Results
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
  */
 
 
@@ -293,7 +390,7 @@ router.patch("/collections/:name/documents/:id", async (req, res, next) => {
  *
  * @route POST /api/collections/:name/find
  */
-router.post("/collections/:name/find", async (req, res, next) => {
+router.post("/collections/:name/find", authorize("documents:read"), requireCollectionAccess("read"), async (req, res, next) => {
   try {
     const db = await getDb();
     const { name } = req.params;
@@ -309,6 +406,156 @@ router.post("/collections/:name/find", async (req, res, next) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/collections/{name}/trash/find:
+ *   post:
+ *     summary: Find soft-deleted documents by JSON filter, deleting user and deletion date
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filter:
+ *                 type: object
+ *               projection:
+ *                 type: object
+ *               sort:
+ *                 type: object
+ *                 description: Defaults to the most recently deleted first
+ *               limit:
+ *                 type: integer
+ *               skip:
+ *                 type: integer
+ *               deleted_by:
+ *                 type: string
+ *               deleted_after:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only documents deleted at or after this time
+ *               deleted_before:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only documents deleted before this time
+ *     responses:
+ *       200:
+ *         description: Soft-deleted documents
+ *       400:
+ *         description: Invalid filter or date
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
+ */
+
+/**
+ * @brief Query the soft-deleted documents of a collection.
+ *
+ * Same contract as /find, but only matches documents with `deleted_at`,
+ * so they can be reviewed before being restored or purged. Needs the
+ * same permission and collection access as deleting.
+ *
+ * @route POST /api/collections/:name/trash/find
+ */
+router.post("/collections/:name/trash/find", authorize("documents:delete"), requireCollectionAccess("delete"), async (req, res, next) => {
+  try {
+    const db = await getDb();
+    const { name } = req.params;
+    const { projection, sort, limit = 50, skip = 0 } = req.body || {};
+    const query = parseTrashQuery(req.body || {});
+    if (query.error) return res.status(400).json({ error: query.error });
+
+    const cursor = db.collection(name).find(query.filter, { projection }).sort(sort || { deleted_at: -1 }).skip(Number(skip) || 0).limit(Math.min(Number(limit) || 50, 500));
+    const docs = await cursor.toArray();
+    res.json({ ok: true, count: docs.length, documents: docs });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/collections/{name}/trash/purge:
+ *   post:
+ *     summary: Permanently remove soft-deleted documents (admin only), with a dry run count
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filter:
+ *                 type: object
+ *               deleted_by:
+ *                 type: string
+ *               deleted_after:
+ *                 type: string
+ *                 format: date-time
+ *               deleted_before:
+ *                 type: string
+ *                 format: date-time
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Only count the documents that would be purged
+ *     responses:
+ *       200:
+ *         description: Purge result, or the matching count for a dry run
+ *       400:
+ *         description: Invalid filter or date
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
+ */
+
+/**
+ * @brief Permanently remove soft-deleted documents of a collection.
+ *
+ * Selects documents like trash/find; live documents are never removed.
+ * Purges (not dry runs) are recorded as `documents_purged` audit events.
+ *
+ * @route POST /api/collections/:name/trash/purge
+ */
+router.post("/collections/:name/trash/purge", authorize("documents:purge"), requireCollectionAccess("delete"), async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const { dry_run: dryRun = false } = req.body || {};
+    if (typeof dryRun !== "boolean") return res.status(400).json({ error: "dry_run must be a boolean" });
+    const query = parseTrashQuery(req.body || {});
+    if (query.error) return res.status(400).json({ error: query.error });
+
+    if (dryRun) {
+      const matched = await purgeDeletedDocuments(name, query.filter, { dryRun: true });
+      return res.json({ ok: true, dry_run: true, matched });
+    }
+
+    const purged = await purgeDeletedDocuments(name, query.filter);
+    await recordAuditEvent("documents_purged", {
+      username: req.user.username,
+      reason: "manual",
+      collection: name,
+      filter: query.filter,
+      purged
+    });
+    res.json({ ok: true, purged });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @openapi
  * /api/collections/{name}/documents:
@@ -333,6 +580,8 @@ router.post("/collections/:name/find", async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Deletion result
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
  */
 
  /**
@@ -343,7 +592,7 @@ router.post("/collections/:name/find", async (req, res, next) => {
   *
   * @route DELETE /api/collections/:name/documents
   */
-router.delete("/collections/:name/documents", async (req, res, next) => {
+router.delete("/collections/:name/documents", authorize("documents:delete"), requireCollectionAccess("delete"), requireDocumentApproval("delete"), async (req, res, next) => {
   try {
     const db = await getDb();
     const { name } = req.params;
@@ -381,6 +630,8 @@ router.delete("/collections/:name/documents", async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Deletion result
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
  */
 
  /**
@@ -391,7 +642,7 @@ router.delete("/collections/:name/documents", async (req, res, next) => {
   *
   * @route POST /api/collections/:name/documents/delete
   */
-router.post("/collections/:name/documents/delete", async (req, res, next) => {
+router.post("/collections/:name/documents/delete", authorize("documents:delete"), requireCollectionAccess("delete"), requireDocumentApproval("delete"), async (req, res, next) => {
   try {
     const db = await getDb();
     const { name } = req.params;
@@ -405,6 +656,61 @@ router.post("/collections/:name/documents/delete", async (req, res, next) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/collections/{name}/documents/restore:
+ *   post:
+ *     summary: Restore soft-deleted documents by JSON filter (clears deleted_at/deleted_by, sets restored_at/restored_by)
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filter:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Restore result
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
+ */
+
+ /**
+  * @brief Restore every soft-deleted document matching a filter.
+  *
+  * Only documents that are currently soft deleted are touched. Needs
+  * the same permission and collection access as deleting them.
+  *
+  * @route POST /api/collections/:name/documents/restore
+  */
+router.post("/collections/:name/documents/restore", authorize("documents:delete"), requireCollectionAccess("delete"), async (req, res, next) => {
+  try {
+    const db = await getDb();
+    const { name } = req.params;
+    const { filter = {} } = req.body || {};
+    if (typeof filter !== "object" || Array.isArray(filter)) return res.status(400).json({ error: "filter must be an object" });
+    const result = await db.collection(name).updateMany(addDeletedFilter(filter), buildRestoreUpdate(req.user));
+    await recordAuditEvent("documents_restored", {
+      username: req.user.username,
+      collection: name,
+      filter,
+      restored: result.modifiedCount
+    });
+    res.json({ ok: true, restored: result.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @openapi
  * /api/collections/{name}/documents/{id}:
@@ -425,6 +731,8 @@ router.post("/collections/:name/documents/delete", async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Found
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
  */
 
  /**
@@ -432,7 +740,7 @@ router.post("/collections/:name/documents/delete", async (req, res, next) => {
   *
   * @route GET /api/collections/:name/documents/:id
   */
-router.get("/collections/:name/documents/:id", async (req, res, next) => {
+router.get("/collections/:name/documents/:id", authorize("documents:read"), requireCollectionAccess("read"), async (req, res, next) => {
   try {
     const db = await getDb();
     const { name, id } = req.params;
@@ -468,6 +776,8 @@ router.get("/collections/:name/documents/:id", async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Deleted
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
  */
 
  /**
@@ -478,7 +788,7 @@ router.get("/collections/:name/documents/:id", async (req, res, next) => {
   *
   * @route DELETE /api/collections/:name/documents/:id
   */
-router.delete("/collections/:name/documents/:id", async (req, res, next) => {
+router.delete("/collections/:name/documents/:id", authorize("documents:delete"), requireCollectionAccess("delete"), requireDocumentApproval("delete"), async (req, res, next) => {
   try {
     const db = await getDb();
     const { name, id } = req.params;
@@ -497,5 +807,58 @@ router.delete("/collections/:name/documents/:id", async (req, res, next) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/collections/{name}/documents/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted document by id (clears deleted_at/deleted_by, sets restored_at/restored_by)
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restored
+ *       403:
+ *         description: Forbidden (missing permission or collection access)
+ *       404:
+ *         description: No soft-deleted document with this id
+ */
+
+ /**
+  * @brief Restore a single soft-deleted document by ID.
+  *
+  * @route POST /api/collections/:name/documents/:id/restore
+  */
+router.post("/collections/:name/documents/:id/restore", authorize("documents:delete"), requireCollectionAccess("delete"), async (req, res, next) => {
+  try {
+    const db = await getDb();
+    const { name, id } = req.params;
+    let _id;
+    try { _id = new ObjectId(id); } catch {
+      return res.status(400).json({ error: "Invalid id format" });
+    }
+    const result = await db.collection(name).updateOne(addDeletedFilter({ _id }), buildRestoreUpdate(req.user));
+    if (result.modifiedCount === 0) return res.status(404).json({ error: "Deleted document not found" });
+    await recordAuditEvent("documents_restored", {
+      username: req.user.username,
+      collection: name,
+      document_id: _id,
+      restored: result.modifiedCount
+    });
+    res.json({ ok: true, restored: result.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
 
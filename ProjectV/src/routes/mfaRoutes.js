@@ -0,0 +1,328 @@
+/**
+ * @file mfaRoutes.js
+ * @brief Two-factor authentication routes for ProjectV.
+ *
+ * Exposes TOTP enrollment, the second login step and disabling MFA
+ * under `/auth/mfa`. Enrollment accepts either a normal access token
+ * or the `mfa_enroll` challenge token returned by /auth/login when the
+ * user's role requires MFA.
+ */
+
+import { Router } from "express";
+import { authenticateUser, forbidImpersonation } from "../middleware/auth.js";
+import { recordAuditEvent } from "../middleware/audit.js";
+import { buildTokenResponse } from "../services/authTokens.js";
+import { revokeToken, isTokenRevoked } from "../services/revocation.js";
+import { findUser, isActiveUser } from "../services/users.js";
+import { verifyPassword } from "../services/identityProviders.js";
+import { checkLoginAttempt, recordLoginFailure, clearLoginFailures } from "../services/loginAttempts.js";
+import {
+  activateEnrollment,
+  disableMfa,
+  isMfaEnabled,
+  isMfaRequired,
+  startEnrollment,
+  verifyMfa,
+  verifyMfaChallenge
+} from "../services/mfa.js";
+
+const router = Router();
+
+/**
+ * @brief Resolve the user enrolling in MFA.
+ *
+ * Uses the `mfa_token` from the body when present (enrollment during
+ * login), otherwise falls back to regular Bearer authentication. Sets
+ * req.user and, for the login flow, req.mfaChallenge.
+ *
+ * @param {import("express").Request} req  The incoming request.
+ * @param {import("express").Response} res The HTTP response.
+ * @param {Function} next                  Next middleware handler.
+ * @returns {Promise<void>}
+ */
+async function authenticateEnrollment(req, res, next) {
+  const { mfa_token: mfaToken } = req.body || {};
+  if (!mfaToken) return authenticateUser(req, res, next);
+
+  try {
+    const claims = verifyMfaChallenge(mfaToken, "mfa_enroll");
+    if (!claims || await isTokenRevoked(claims)) {
+      return res.status(401).json({ error: "Invalid or expired MFA token" });
+    }
+    req.user = { username: claims.username };
+    req.mfaChallenge = claims;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * @openapi
+ * /auth/mfa/enroll:
+ *   post:
+ *     summary: Start TOTP enrollment and receive a secret and otpauth URI
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *                 description: Enrollment token from /auth/login (instead of a Bearer token)
+ *     responses:
+ *       200:
+ *         description: Pending secret and otpauth URI
+ *       401:
+ *         description: Missing or invalid token
+ *       409:
+ *         description: MFA already enabled
+ */
+
+ /**
+  * @brief Start MFA enrollment.
+  *
+  * Generates a pending TOTP secret. It only takes effect once a code
+  * for it is confirmed at POST /auth/mfa/activate; calling this again
+  * replaces the pending secret.
+  *
+  * @route POST /auth/mfa/enroll
+  */
+router.post("/enroll", authenticateEnrollment, forbidImpersonation, async (req, res, next) => {
+  try {
+    const user = await findUser(req.user.username);
+    if (!isActiveUser(user)) {
+      return res.status(401).json({ error: "Unauthorized: invalid token" });
+    }
+    if (isMfaEnabled(user)) {
+      return res.status(409).json({ error: "MFA already enabled" });
+    }
+
+    const { secret, otpauthUri } = await startEnrollment(user);
+    res.json({ ok: true, secret, otpauth_uri: otpauthUri });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/mfa/activate:
+ *   post:
+ *     summary: Confirm enrollment with a TOTP code and receive recovery codes
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               mfa_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA enabled; recovery codes (shown once) and, for the login flow, tokens
+ *       400:
+ *         description: Invalid code or no pending enrollment
+ */
+
+ /**
+  * @brief Activate MFA.
+  *
+  * Verifies a code from the pending secret and enables MFA. Recovery
+  * codes are returned once and stored only as hashes. When enrolling
+  * with an `mfa_enroll` token the login completes as well and the
+  * response includes access and refresh tokens.
+  *
+  * @route POST /auth/mfa/activate
+  */
+router.post("/activate", authenticateEnrollment, forbidImpersonation, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code || typeof code !== "string") {
+      return res.status(400).json({ error: "code required" });
+    }
+
+    const user = await findUser(req.user.username);
+    if (!isActiveUser(user)) {
+      return res.status(401).json({ error: "Unauthorized: invalid token" });
+    }
+    if (isMfaEnabled(user)) {
+      return res.status(409).json({ error: "MFA already enabled" });
+    }
+
+    const recoveryCodes = await activateEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: "Invalid code or no pending enrollment" });
+    }
+    await recordAuditEvent("mfa_enabled", { username: user.username });
+
+    if (!req.mfaChallenge) {
+      return res.json({ ok: true, recovery_codes: recoveryCodes });
+    }
+
+    await revokeToken(req.mfaChallenge);
+    await clearLoginFailures(user.username);
+    res.json({ ...(await buildTokenResponse(user, { req })), recovery_codes: recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/mfa/verify:
+ *   post:
+ *     summary: Complete login with a TOTP code or recovery code
+ *     tags: [MFA]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access token and refresh token
+ *       400:
+ *         description: mfa_token and code or recovery_code must be non-empty strings
+ *       401:
+ *         description: Invalid MFA token or code
+ *       429:
+ *         description: Too many failed attempts (see Retry-After header)
+ */
+
+ /**
+  * @brief Second login step.
+  *
+  * Exchanges the `mfa_token` from /auth/login plus a current TOTP code
+  * (or an unused recovery code) for tokens. Each code and each
+  * challenge token can be used once. Wrong codes count as failed
+  * logins for the username and IP.
+  *
+  * @route POST /auth/mfa/verify
+  */
+router.post("/verify", async (req, res, next) => {
+  try {
+    const { mfa_token: mfaToken, code, recovery_code: recoveryCode } = req.body || {};
+    const useCode = typeof code === "string" && !!code;
+    if (typeof mfaToken !== "string" || !mfaToken || (!useCode && (typeof recoveryCode !== "string" || !recoveryCode))) {
+      return res.status(400).json({ error: "mfa_token and code or recovery_code required" });
+    }
+
+    const claims = verifyMfaChallenge(mfaToken, "mfa");
+    if (!claims || await isTokenRevoked(claims)) {
+      return res.status(401).json({ error: "Invalid or expired MFA token" });
+    }
+
+    const gate = await checkLoginAttempt(claims.username, req.ip);
+    if (!gate.allowed) {
+      res.set("Retry-After", String(Math.ceil(gate.retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many failed login attempts; try again later" });
+    }
+
+    const user = await findUser(claims.username);
+    if (!isActiveUser(user)) {
+      return res.status(401).json({ error: "Invalid or expired MFA token" });
+    }
+
+    const factor = useCode ? { code } : { recoveryCode };
+    if (!(await verifyMfa(user, factor))) {
+      await recordLoginFailure(user.username, req);
+      return res.status(401).json({ error: "Invalid code" });
+    }
+
+    if (factor.recoveryCode) {
+      await recordAuditEvent("mfa_recovery_code_used", { username: user.username });
+    }
+
+    await revokeToken(claims);
+    await clearLoginFailures(user.username);
+    res.json(await buildTokenResponse(user, { req }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/mfa/disable:
+ *   post:
+ *     summary: Turn off MFA for the current user
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: The user's role requires MFA
+ */
+
+ /**
+  * @brief Disable MFA for the caller.
+  *
+  * Requires the current password and a current TOTP code. Not allowed
+  * when the user's role is listed in MFA_REQUIRED_ROLES; an admin can
+  * still reset MFA through POST /auth/users/:username/mfa/reset.
+  *
+  * @route POST /auth/mfa/disable
+  */
+router.post("/disable", authenticateUser, forbidImpersonation, async (req, res, next) => {
+  try {
+    const { password, code } = req.body || {};
+    if (typeof password !== "string" || typeof code !== "string" || !password || !code) {
+      return res.status(400).json({ error: "password and code required" });
+    }
+
+    const user = await findUser(req.user.username);
+    if (!isMfaEnabled(user)) {
+      return res.status(400).json({ error: "MFA is not enabled" });
+    }
+    if (!(await verifyPassword(user, password)) || !(await verifyMfa(user, { code }))) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    if (isMfaRequired(user)) {
+      return res.status(403).json({ error: "MFA is required for your role" });
+    }
+
+    await disableMfa(user.username);
+    await recordAuditEvent("mfa_disabled", { username: user.username });
+    res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,248 @@
+/**
+ * @file oauthClientRoutes.js
+ * @brief Admin routes for registering OAuth2 clients.
+ *
+ * Exposes the `/oauth/clients` resource: register clients with their
+ * allowed scopes (and redirect URIs for OpenID Connect sign-in), list
+ * them, rotate secrets and revoke clients. All routes require the
+ * `clients:manage` permission.
+ */
+
+import { Router } from "express";
+import { authorize } from "../middleware/auth.js";
+import {
+  createClient,
+  getClient,
+  listClients,
+  revokeClient,
+  rotateClientSecret,
+  validateClientScopes,
+  validateRedirectUris
+} from "../services/oauthClients.js";
+
+const router = Router();
+
+router.use(authorize("clients:manage"));
+
+/**
+ * @openapi
+ * /oauth/clients:
+ *   post:
+ *     summary: Register an OAuth2 client (the secret is only returned once)
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Permissions the client may request; optional for sign-in clients
+ *               redirect_uris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Redirect URIs for OpenID Connect sign-in
+ *               public:
+ *                 type: boolean
+ *                 description: Client without a secret (requires redirect_uris)
+ *     responses:
+ *       201:
+ *         description: Created; includes client_id and client_secret (null for public clients)
+ *       400:
+ *         description: Invalid name, scopes or redirect URIs
+ *       403:
+ *         description: Missing permission clients:manage
+ */
+
+ /**
+  * @brief Register a client with the permissions it may request.
+  *
+  * Clients with `redirect_uris` can sign users in with OpenID Connect
+  * and may omit `scopes`. Public clients get no secret.
+  *
+  * @route POST /oauth/clients
+  */
+router.post("/", async (req, res, next) => {
+  try {
+    const { name, redirect_uris: redirectUris, public: isPublic = false } = req.body || {};
+    const signIn = redirectUris !== undefined;
+    const scopes = req.body?.scopes ?? (signIn ? [] : undefined);
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "name required" });
+    }
+    if (typeof isPublic !== "boolean") {
+      return res.status(400).json({ error: "public must be a boolean" });
+    }
+    if (isPublic && !signIn) {
+      return res.status(400).json({ error: "Public clients require redirect_uris" });
+    }
+    const problems = validateClientScopes(scopes, { allowEmpty: signIn });
+    if (problems.length > 0) {
+      return res.status(400).json({ error: `Invalid scopes: ${problems.join("; ")}` });
+    }
+    const uriProblems = signIn ? validateRedirectUris(redirectUris) : [];
+    if (uriProblems.length > 0) {
+      return res.status(400).json({ error: `Invalid redirect_uris: ${uriProblems.join("; ")}` });
+    }
+
+    const { client, clientSecret } = await createClient(
+      { name: name.trim(), scopes, ...(signIn && { redirectUris }), isPublic },
+      req.user
+    );
+    res.status(201).json({ ok: true, client, client_secret: clientSecret });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /oauth/clients:
+ *   get:
+ *     summary: List OAuth2 clients
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Clients (without secrets)
+ */
+
+ /**
+  * @brief List registered clients.
+  *
+  * @route GET /oauth/clients
+  */
+router.get("/", async (req, res, next) => {
+  try {
+    const clients = await listClients();
+    res.json({ ok: true, count: clients.length, clients });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /oauth/clients/{clientId}:
+ *   get:
+ *     summary: Get an OAuth2 client
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client (without secret)
+ *       404:
+ *         description: Not found
+ */
+
+ /**
+  * @brief Get one client.
+  *
+  * @route GET /oauth/clients/:clientId
+  */
+router.get("/:clientId", async (req, res, next) => {
+  try {
+    const client = await getClient(req.params.clientId);
+    if (!client) return res.status(404).json({ error: "Client not found" });
+    res.json({ ok: true, client });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /oauth/clients/{clientId}/secret:
+ *   post:
+ *     summary: Rotate a client's secret (the new secret is only returned once)
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New client_secret
+ *       404:
+ *         description: Not found, revoked or a public client
+ */
+
+ /**
+  * @brief Replace a client's secret; the old one stops working at once.
+  *
+  * @route POST /oauth/clients/:clientId/secret
+  */
+router.post("/:clientId/secret", async (req, res, next) => {
+  try {
+    const clientSecret = await rotateClientSecret(req.params.clientId, req.user);
+    if (!clientSecret) return res.status(404).json({ error: "Client not found" });
+    res.json({ ok: true, client_id: req.params.clientId, client_secret: clientSecret });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /oauth/clients/{clientId}:
+ *   delete:
+ *     summary: Revoke an OAuth2 client and its refresh tokens
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revoked
+ *       404:
+ *         description: Not found or already revoked
+ */
+
+ /**
+  * @brief Revoke a client.
+  *
+  * The client can no longer obtain tokens and its refresh tokens are
+  * revoked. Access tokens already issued stay valid until they expire
+  * (ACCESS_TOKEN_TTL_SECONDS).
+  *
+  * @route DELETE /oauth/clients/:clientId
+  */
+router.delete("/:clientId", async (req, res, next) => {
+  try {
+    if (!(await revokeClient(req.params.clientId, req.user))) {
+      return res.status(404).json({ error: "Client not found" });
+    }
+    res.json({ ok: true, revoked: req.params.clientId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,619 @@
+/**
+ * @file oauthRoutes.js
+ * @brief OAuth2 and OpenID Connect endpoints for ProjectV.
+ *
+ * Implements POST /oauth/token (RFC 6749) with the `client_credentials`,
+ * `refresh_token` and `authorization_code` grants, the authorization
+ * endpoint of the authorization code flow with PKCE, and the OpenID
+ * Connect userinfo endpoint. Token requests may be form-encoded or
+ * JSON; errors use the standard `{ error, error_description }` body.
+ */
+
+import express, { Router } from "express";
+import { authenticateUser } from "../middleware/auth.js";
+import { hasAsymmetricSigningKey } from "../config/jwtKeys.js";
+import { recordAuditEvent } from "../middleware/audit.js";
+import { buildClientTokenResponse, buildTokenResponse } from "../services/authTokens.js";
+import { authenticateClient, findPublicClient, getClient } from "../services/oauthClients.js";
+import { getIssuer, issueAuthorizationCode, issueIdToken, redeemAuthorizationCode } from "../services/oidc.js";
+import { findRefreshToken, rotateRefreshToken } from "../services/refreshTokens.js";
+import { revokeToken, isTokenRevoked } from "../services/revocation.js";
+import { findUser, isActiveUser } from "../services/users.js";
+import { authenticatePassword } from "../services/identityProviders.js";
+import { checkLoginAttempt, recordLoginFailure, clearLoginFailures } from "../services/loginAttempts.js";
+import {
+  isMfaEnabled,
+  isMfaEnrollmentRequired,
+  issueMfaChallenge,
+  verifyMfa,
+  verifyMfaChallenge
+} from "../services/mfa.js";
+import {
+  oauthError,
+  parseClientCredentials,
+  parseScope,
+  resolveRequestedScopes
+} from "../utils/oauth.js";
+import {
+  OIDC_SCOPES,
+  OIDC_UNAVAILABLE,
+  appendQuery,
+  buildUserClaims,
+  isValidCodeChallenge,
+  resolveAuthorizationScopes,
+  verifyPkce
+} from "../utils/oidc.js";
+import { AUTHORIZATION_PARAMS, renderErrorPage, renderLoginPage } from "../utils/loginPage.js";
+
+const router = Router();
+
+router.use(express.urlencoded({ extended: false }));
+
+/**
+ * @brief Set the headers of the sign-in pages.
+ *
+ * The pages must not be cached or framed (clickjacking of the
+ * password form).
+ *
+ * @param {import("express").Response} res The HTTP response.
+ * @returns {void}
+ */
+function setPageHeaders(res) {
+  res.set({
+    "Cache-Control": "no-store",
+    "X-Frame-Options": "DENY",
+    "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'"
+  });
+}
+
+/**
+ * @brief Read the authorization request parameters.
+ *
+ * @param {Object} [source] Query string or form body.
+ * @returns {Object<string, string>} String parameters (repeated or nested ones are dropped).
+ */
+function readAuthorizationParams(source = {}) {
+  const params = {};
+  for (const name of [...AUTHORIZATION_PARAMS, "prompt"]) {
+    if (typeof source[name] === "string") params[name] = source[name];
+  }
+  return params;
+}
+
+/**
+ * @brief Validate an authorization request.
+ *
+ * The client and redirect URI are checked first: when either is wrong
+ * the user must not be redirected (`fatal`). Other problems are
+ * reported to the client through the redirect URI (`error`).
+ *
+ * @param {Object<string, string>} params Authorization request parameters.
+ * @returns {Promise<{ fatal: string }|{ client: Object, redirectUri: string, error?: Object, scopes?: string[] }>}
+ *          Validated request.
+ */
+async function resolveAuthorizationRequest(params) {
+  const { client_id: clientId, redirect_uri: redirectUri } = params;
+  const client = clientId ? await getClient(clientId) : null;
+  if (!client || client.revoked_at || !client.redirect_uris) {
+    return { fatal: "Unknown client" };
+  }
+  if (!client.redirect_uris.includes(redirectUri)) {
+    return { fatal: "redirect_uri is not registered for this client" };
+  }
+
+  const fail = (error, description) => ({ client, redirectUri, error: oauthError(error, description) });
+  if (params.response_type !== "code") {
+    return fail("unsupported_response_type", "Only response_type=code is supported");
+  }
+  const scopes = resolveAuthorizationScopes(parseScope(params.scope), client.scopes);
+  if (!scopes) {
+    return fail("invalid_scope", "scope must include openid and only scopes the client may use");
+  }
+  if (params.code_challenge_method !== "S256" || !isValidCodeChallenge(params.code_challenge)) {
+    return fail("invalid_request", "PKCE with code_challenge_method=S256 is required");
+  }
+  return { client, redirectUri, scopes };
+}
+
+/**
+ * @openapi
+ * /oauth/authorize:
+ *   get:
+ *     summary: OpenID Connect authorization endpoint (authorization code flow with PKCE)
+ *     tags: [OAuth]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: response_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [code]
+ *       - in: query
+ *         name: client_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect_uri
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         required: true
+ *         description: Space-delimited scopes; must include openid
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge
+ *         required: true
+ *         description: BASE64URL(SHA256(code_verifier))
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge_method
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [S256]
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: nonce
+ *         description: Copied into the ID token
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: prompt
+ *         description: The value none always fails with login_required
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML sign-in form
+ *       302:
+ *         description: Redirect to the client with an OAuth error
+ *       400:
+ *         description: HTML error page (unknown client or redirect URI)
+ *       404:
+ *         description: HTML error page (OpenID Connect is off without an asymmetric signing key)
+ */
+
+ /**
+  * @brief Show the sign-in form for an authorization request.
+  *
+  * ProjectV keeps no sign-in cookie, so every authorization asks for
+  * credentials and `prompt=none` always fails with `login_required`.
+  *
+  * @route GET /oauth/authorize
+  */
+router.get("/authorize", async (req, res, next) => {
+  setPageHeaders(res);
+
+  try {
+    if (!hasAsymmetricSigningKey()) {
+      return res.status(404).send(renderErrorPage(OIDC_UNAVAILABLE));
+    }
+    const params = readAuthorizationParams(req.query);
+    const request = await resolveAuthorizationRequest(params);
+    if (request.fatal) {
+      return res.status(400).send(renderErrorPage(request.fatal));
+    }
+    if (request.error) {
+      return res.redirect(appendQuery(request.redirectUri, { ...request.error, state: params.state }));
+    }
+    if (parseScope(params.prompt).includes("none")) {
+      return res.redirect(appendQuery(request.redirectUri, { error: "login_required", state: params.state }));
+    }
+
+    res.send(renderLoginPage({ clientName: request.client.name, params }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /oauth/authorize:
+ *   post:
+ *     summary: Submit the sign-in form (password, then the MFA code when enabled)
+ *     tags: [OAuth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             description: The authorization request parameters plus the credentials
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: HTML form for the MFA step
+ *       303:
+ *         description: Redirect to the client with `code` and `state`
+ *       401:
+ *         description: HTML form with an error (invalid credentials or code)
+ *       404:
+ *         description: HTML error page (OpenID Connect is off without an asymmetric signing key)
+ *       429:
+ *         description: Too many failed attempts
+ */
+
+ /**
+  * @brief Sign the user in and redirect back with an authorization code.
+  *
+  * Applies the same lockout, identity providers and MFA rules as POST
+  * /auth/login and /auth/mfa/verify. Users who still have to enroll in
+  * MFA must do so through the API first.
+  *
+  * @route POST /oauth/authorize
+  */
+router.post("/authorize", async (req, res, next) => {
+  setPageHeaders(res);
+
+  try {
+    if (!hasAsymmetricSigningKey()) {
+      return res.status(404).send(renderErrorPage(OIDC_UNAVAILABLE));
+    }
+    const params = readAuthorizationParams(req.body);
+    const request = await resolveAuthorizationRequest(params);
+    if (request.fatal) {
+      return res.status(400).send(renderErrorPage(request.fatal));
+    }
+    if (request.error) {
+      return res.redirect(303, appendQuery(request.redirectUri, { ...request.error, state: params.state }));
+    }
+
+    const page = (status, error, mfaToken) =>
+      res.status(status).send(renderLoginPage({ clientName: request.client.name, params, error, mfaToken }));
+    const tooManyAttempts = (gate) => {
+      res.set("Retry-After", String(Math.ceil(gate.retryAfterMs / 1000)));
+      return page(429, "Too many failed sign-in attempts; try again later");
+    };
+
+    const { username, password, mfa_token: mfaToken, code, recovery_code: recoveryCode } = req.body;
+    let user;
+    if (typeof mfaToken === "string" && mfaToken) {
+      const claims = verifyMfaChallenge(mfaToken, "mfa");
+      if (!claims || await isTokenRevoked(claims)) {
+        return page(401, "Sign-in expired; please sign in again");
+      }
+      const useRecoveryCode = typeof recoveryCode === "string" && !!recoveryCode;
+      if (!useRecoveryCode && (typeof code !== "string" || !code)) {
+        return page(400, "Code required", mfaToken);
+      }
+
+      const gate = await checkLoginAttempt(claims.username, req.ip);
+      if (!gate.allowed) return tooManyAttempts(gate);
+
+      user = await findUser(claims.username);
+      if (!isActiveUser(user)) {
+        return page(401, "Sign-in expired; please sign in again");
+      }
+
+      const factor = useRecoveryCode ? { recoveryCode } : { code };
+      if (!(await verifyMfa(user, factor))) {
+        await recordLoginFailure(user.username, req);
+        return page(401, "Invalid code", mfaToken);
+      }
+      if (factor.recoveryCode) {
+        await recordAuditEvent("mfa_recovery_code_used", { username: user.username });
+      }
+      await revokeToken(claims);
+    } else {
+      if (typeof username !== "string" || !username || typeof password !== "string" || !password) {
+        return page(400, "Username and password required");
+      }
+
+      const gate = await checkLoginAttempt(username, req.ip);
+      if (!gate.allowed) return tooManyAttempts(gate);
+
+      user = await authenticatePassword(username, password);
+      if (!user) {
+        await recordLoginFailure(username, req);
+        return page(401, "Invalid username or password");
+      }
+      if (!isActiveUser(user)) {
+        return page(403, "Account disabled");
+      }
+      if (isMfaEnabled(user)) {
+        return page(200, undefined, issueMfaChallenge(user, "mfa"));
+      }
+      if (isMfaEnrollmentRequired(user)) {
+        return page(403, "Set up two-factor authentication before signing in to other applications");
+      }
+    }
+
+    await clearLoginFailures(user.username);
+    const authorizationCode = await issueAuthorizationCode({
+      clientId: request.client.client_id,
+      username: user.username,
+      redirectUri: request.redirectUri,
+      scopes: request.scopes,
+      codeChallenge: params.code_challenge,
+      nonce: params.nonce
+    });
+    res.redirect(303, appendQuery(request.redirectUri, { code: authorizationCode, state: params.state }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /oauth/token:
+ *   post:
+ *     summary: OAuth2 token endpoint (client_credentials, refresh_token and authorization_code grants)
+ *     tags: [OAuth]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [grant_type]
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [client_credentials, refresh_token, authorization_code]
+ *               scope:
+ *                 type: string
+ *                 description: Space-delimited permissions (client_credentials only)
+ *               refresh_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: access_token, token_type, expires_in, refresh_token (plus scope for clients, id_token for authorization codes)
+ *       400:
+ *         description: invalid_request, invalid_grant, invalid_scope, unauthorized_client or unsupported_grant_type
+ *       401:
+ *         description: invalid_client
+ */
+
+ /**
+  * @brief Issue tokens for OAuth2 grants.
+  *
+  * `client_credentials` requires client authentication (HTTP Basic or
+  * `client_id`/`client_secret` in the body) and grants the requested
+  * scopes, or all of the client's scopes when none are requested.
+  *
+  * `authorization_code` redeems a code from /oauth/authorize for a user
+  * session bound to the client, after checking the redirect URI and the
+  * PKCE code verifier, and adds an ID token. Public clients send only
+  * their `client_id`. It is unsupported while tokens are signed with
+  * HS256, since clients could not verify the ID token.
+  *
+  * `refresh_token` rotates a refresh token exactly like POST
+  * /auth/refresh. Tokens issued to a client can only be refreshed by
+  * that client; user refresh tokens need no client authentication.
+  *
+  * @route POST /oauth/token
+  *
+  * @param {import("express").Request} req  Body: { grant_type, scope?, refresh_token?, code?, redirect_uri?,
+  *                                         code_verifier?, client_id?, client_secret? }.
+  * @param {import("express").Response} res JSON token response or OAuth error.
+  * @param {Function} next                  Next middleware function.
+  * @returns {Promise<void>}
+  */
+router.post("/token", async (req, res, next) => {
+  res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+
+  try {
+    const { grant_type: grantType, scope, refresh_token: refreshToken, client_id: publicClientId } = req.body || {};
+
+    let client = null;
+    const credentials = parseClientCredentials(req.headers.authorization, req.body);
+    if (credentials) {
+      client = await authenticateClient(credentials.clientId, credentials.clientSecret);
+      if (!client) {
+        if (credentials.method === "basic") res.set("WWW-Authenticate", 'Basic realm="ProjectV"');
+        return res.status(401).json(oauthError("invalid_client", "Client authentication failed"));
+      }
+    } else if (typeof publicClientId === "string" && publicClientId) {
+      client = await findPublicClient(publicClientId);
+      if (!client) {
+        return res.status(401).json(oauthError("invalid_client", "Client authentication failed"));
+      }
+    }
+
+    if (grantType === "client_credentials") {
+      if (!client) {
+        return res.status(401).json(oauthError("invalid_client", "Client authentication required"));
+      }
+      if (client.public) {
+        return res.status(400).json(oauthError("unauthorized_client", "Public clients cannot use client_credentials"));
+      }
+      const scopes = resolveRequestedScopes(parseScope(scope), client.scopes);
+      if (!scopes) {
+        return res.status(400).json(oauthError("invalid_scope", "Requested scope exceeds the client's allowed scopes"));
+      }
+      return res.json(await buildClientTokenResponse(client, scopes));
+    }
+
+    if (grantType === "authorization_code") {
+      if (!hasAsymmetricSigningKey()) {
+        return res.status(400).json(oauthError("unsupported_grant_type", OIDC_UNAVAILABLE));
+      }
+      const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+      if (!client) {
+        return res.status(401).json(oauthError("invalid_client", "Client authentication required"));
+      }
+      if (typeof code !== "string" || !code || typeof redirectUri !== "string") {
+        return res.status(400).json(oauthError("invalid_request", "code and redirect_uri required"));
+      }
+
+      const grant = await redeemAuthorizationCode(code);
+      if (!grant || grant.client_id !== client.client_id || grant.redirect_uri !== redirectUri) {
+        return res.status(400).json(oauthError("invalid_grant", "Invalid authorization code"));
+      }
+      if (!verifyPkce(codeVerifier, grant.code_challenge)) {
+        return res.status(400).json(oauthError("invalid_grant", "PKCE verification failed"));
+      }
+
+      const user = await findUser(grant.username);
+      if (!isActiveUser(user)) {
+        return res.status(400).json(oauthError("invalid_grant", "Invalid authorization code"));
+      }
+      const tokens = await buildTokenResponse(user, {
+        req,
+        sessionId: grant.session_id,
+        clientId: client.client_id,
+        scopes: grant.scope
+      });
+      return res.json({
+        access_token: tokens.token,
+        token_type: tokens.token_type,
+        expires_in: tokens.expires_in,
+        refresh_token: tokens.refresh_token,
+        id_token: issueIdToken(user, grant, getIssuer(req)),
+        scope: tokens.scope
+      });
+    }
+
+    if (grantType === "refresh_token") {
+      if (!refreshToken || typeof refreshToken !== "string") {
+        return res.status(400).json(oauthError("invalid_request", "refresh_token required"));
+      }
+
+      // Check the client binding before rotating, so another client cannot burn the token.
+      const stored = await findRefreshToken(refreshToken);
+      if (stored?.client_id && client?.client_id !== stored.client_id) {
+        return res.status(400).json(oauthError("invalid_grant", "Refresh token was issued to another client"));
+      }
+
+      const rotated = await rotateRefreshToken(refreshToken);
+      if (!rotated) {
+        return res.status(400).json(oauthError("invalid_grant", "Invalid refresh token"));
+      }
+      if (!rotated.username) {
+        // Scopes removed from the client since the token was issued are dropped.
+        const scopes = rotated.scope.filter((s) => client.scopes.includes(s));
+        return res.json(await buildClientTokenResponse(client, scopes, rotated.refreshToken));
+      }
+
+      const user = await findUser(rotated.username);
+      if (!isActiveUser(user)) {
+        return res.status(400).json(oauthError("invalid_grant", "Invalid refresh token"));
+      }
+      // Sessions started through an OpenID Connect client stay bound to it.
+      const binding = rotated.clientId && {
+        clientId: rotated.clientId,
+        scopes: rotated.scope.filter((s) => OIDC_SCOPES.includes(s) || client.scopes.includes(s))
+      };
+      const tokens = await buildTokenResponse(user, {
+        req,
+        refreshToken: rotated.refreshToken,
+        sessionId: rotated.familyId,
+        terminalId: rotated.terminalId,
+        ...binding
+      });
+      return res.json({
+        access_token: tokens.token,
+        token_type: tokens.token_type,
+        expires_in: tokens.expires_in,
+        refresh_token: tokens.refresh_token,
+        ...(binding && { scope: tokens.scope })
+      });
+    }
+
+    if (!grantType) {
+      return res.status(400).json(oauthError("invalid_request", "grant_type required"));
+    }
+    res.status(400).json(oauthError("unsupported_grant_type"));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @brief Return the OpenID Connect claims of the token's user.
+ *
+ * Only tokens from the authorization code flow carry the `openid`
+ * scope; claims are read from the `users` collection, so they reflect
+ * changes made since the token was issued.
+ *
+ * @param {import("express").Request} req  The incoming request (after authenticateUser).
+ * @param {import("express").Response} res Claims, or an OAuth error.
+ * @param {Function} next                  Next middleware function.
+ * @returns {Promise<void>}
+ */
+async function sendUserinfo(req, res, next) {
+  res.set("Cache-Control", "no-store");
+  if (!req.user.scopes?.includes("openid")) {
+    res.set("WWW-Authenticate", 'Bearer error="insufficient_scope", scope="openid"');
+    return res.status(403).json(oauthError("insufficient_scope", "Token was not issued with the openid scope"));
+  }
+
+  try {
+    const user = await findUser(req.user.username);
+    if (!isActiveUser(user)) {
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      return res.status(401).json(oauthError("invalid_token", "User no longer active"));
+    }
+    res.json(buildUserClaims(user, req.user.scopes));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * @openapi
+ * /oauth/userinfo:
+ *   get:
+ *     summary: OpenID Connect userinfo (claims for the token's scopes)
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: sub plus profile (preferred_username, role, updated_at) and email (email, email_verified) claims
+ *       401:
+ *         description: Missing, invalid or revoked token
+ *       403:
+ *         description: insufficient_scope (token without the openid scope)
+ *   post:
+ *     summary: OpenID Connect userinfo (same as GET)
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Claims
+ */
+
+ /**
+  * @brief OpenID Connect userinfo endpoint.
+  *
+  * @route GET /oauth/userinfo
+  * @route POST /oauth/userinfo
+  */
+router.get("/userinfo", authenticateUser, sendUserinfo);
+router.post("/userinfo", authenticateUser, sendUserinfo);
+
+export default router;
@@ -0,0 +1,148 @@
+/**
+ * @file retentionRoutes.js
+ * @brief Routes for managing retention policies of soft-deleted documents.
+ *
+ * Lets administrators set how many days soft-deleted documents of a
+ * collection are kept before the retention scheduler purges them (see
+ * services/retention.js). All routes require the `documents:purge`
+ * permission.
+ */
+
+import { Router } from "express";
+import { authorize } from "../middleware/auth.js";
+import { isReservedCollection } from "../config/reservedCollections.js";
+import {
+  MAX_RETAIN_DAYS,
+  isValidRetainDays,
+  listRetentionPolicies,
+  setRetentionPolicy,
+  deleteRetentionPolicy
+} from "../services/retention.js";
+
+const router = Router();
+
+router.use(authorize("documents:purge"));
+
+/**
+ * @openapi
+ * /api/retention:
+ *   get:
+ *     summary: List retention policies
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retention policies
+ *       403:
+ *         description: Missing permission documents:purge
+ */
+
+ /**
+  * @brief List every collection's retention policy.
+  *
+  * @route GET /api/retention
+  */
+router.get("/", async (req, res, next) => {
+  try {
+    const policies = await listRetentionPolicies();
+    res.json({ ok: true, count: policies.length, policies });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/retention/{collection}:
+ *   put:
+ *     summary: Create or replace a collection's retention policy
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               retain_days:
+ *                 type: integer
+ *                 description: Days after deleted_at before soft-deleted documents are purged
+ *     responses:
+ *       200:
+ *         description: Stored retention policy
+ *       400:
+ *         description: Invalid retention period, or reserved collection
+ *       403:
+ *         description: Missing permission documents:purge
+ */
+
+ /**
+  * @brief Set how long a collection keeps soft-deleted documents.
+  *
+  * @route PUT /api/retention/:collection
+  */
+router.put("/:collection", async (req, res, next) => {
+  try {
+    const { collection } = req.params;
+    const { retain_days: retainDays } = req.body || {};
+
+    if (isReservedCollection(collection)) {
+      return res.status(400).json({ error: `Collection ${collection} is reserved and cannot have a retention policy` });
+    }
+    if (!isValidRetainDays(retainDays)) {
+      return res.status(400).json({ error: `retain_days must be an integer from 1 to ${MAX_RETAIN_DAYS}` });
+    }
+
+    const policy = await setRetentionPolicy(collection, retainDays, req.user);
+    res.json({ ok: true, policy });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/retention/{collection}:
+ *   delete:
+ *     summary: Remove a collection's retention policy
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed; soft-deleted documents are kept until purged by hand
+ *       404:
+ *         description: Policy not found
+ */
+
+ /**
+  * @brief Remove a collection's retention policy.
+  *
+  * @route DELETE /api/retention/:collection
+  */
+router.delete("/:collection", async (req, res, next) => {
+  try {
+    const removed = await deleteRetentionPolicy(req.params.collection);
+    if (!removed) return res.status(404).json({ error: "Retention policy not found" });
+    res.json({ ok: true, deleted: 1 });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
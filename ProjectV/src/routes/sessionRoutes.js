@@ -0,0 +1,96 @@
+/**
+ * @file sessionRoutes.js
+ * @brief Routes for a user's own sign-in sessions.
+ *
+ * Exposes the `/auth/sessions` resource: list the devices the current
+ * user is signed in on and sign individual ones out. Admins manage
+ * other users' sessions through /auth/users/:username/sessions.
+ */
+
+import { Router } from "express";
+import { forbidImpersonation } from "../middleware/auth.js";
+import { revokeRefreshTokenFamily } from "../services/refreshTokens.js";
+import { formatSession, getSession, listSessions } from "../services/sessions.js";
+
+const router = Router();
+
+/**
+ * @openapi
+ * /auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with user agent, IP, created and last seen; the caller's own is flagged `current`
+ *       401:
+ *         description: Missing, invalid or revoked token
+ */
+
+ /**
+  * @brief List the caller's active sessions.
+  *
+  * @route GET /auth/sessions
+  */
+router.get("/", async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.username);
+    res.json({
+      ok: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => formatSession(session, req.user.sid))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of the current user's sessions
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       403:
+ *         description: Not allowed while impersonating
+ *       404:
+ *         description: Session not found or already ended
+ */
+
+ /**
+  * @brief End one of the caller's sessions.
+  *
+  * Revokes the session's refresh tokens; access tokens already issued
+  * for it are rejected by authenticate. Ending the current session is
+  * the same as POST /auth/logout.
+  *
+  * @route DELETE /auth/sessions/:id
+  */
+router.delete("/:id", forbidImpersonation, async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.id);
+    if (!session || session.username !== req.user.username || session.revoked_at) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    await revokeRefreshTokenFamily(session.session_id, "session_revoked", req.user);
+    res.json({ ok: true, revoked: session.session_id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
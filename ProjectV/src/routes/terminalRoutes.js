@@ -0,0 +1,212 @@
+/**
+ * @file terminalRoutes.js
+ * @brief Admin routes for enrolling POS terminals.
+ *
+ * Exposes the `/auth/terminals` resource: enroll a register and hand
+ * out its device key, list and inspect terminals, revoke them and lift
+ * PIN lockouts. All routes require the `terminals:manage` permission.
+ */
+
+import { Router } from "express";
+import { authorize } from "../middleware/auth.js";
+import { clearTerminalFailures } from "../services/loginAttempts.js";
+import { createTerminal, getTerminal, listTerminals, revokeTerminal } from "../services/terminals.js";
+
+const router = Router();
+
+router.use(authorize("terminals:manage"));
+
+/**
+ * @openapi
+ * /auth/terminals:
+ *   post:
+ *     summary: Enroll a POS terminal (the device key is only returned once)
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Enrolled; includes the raw device key
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Missing permission terminals:manage
+ */
+
+ /**
+  * @brief Enroll a terminal.
+  *
+  * The device key is returned once and must be configured on the
+  * register; only its hash is stored.
+  *
+  * @route POST /auth/terminals
+  */
+router.post("/", async (req, res, next) => {
+  try {
+    const { name, location } = req.body || {};
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "name required" });
+    }
+    if (location !== undefined && typeof location !== "string") {
+      return res.status(400).json({ error: "location must be a string" });
+    }
+
+    const { key, terminal } = await createTerminal({ name: name.trim(), location: location?.trim() }, req.user);
+    res.status(201).json({ ok: true, key, terminal });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/terminals:
+ *   get:
+ *     summary: List enrolled terminals
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Terminals (without device keys)
+ */
+
+ /**
+  * @brief List enrolled terminals.
+  *
+  * @route GET /auth/terminals
+  */
+router.get("/", async (req, res, next) => {
+  try {
+    const terminals = await listTerminals();
+    res.json({ ok: true, count: terminals.length, terminals });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/terminals/{id}:
+ *   get:
+ *     summary: Get a terminal
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Terminal (without device key)
+ *       404:
+ *         description: Not found
+ */
+
+ /**
+  * @brief Get one terminal, including when it was last used.
+  *
+  * @route GET /auth/terminals/:id
+  */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const terminal = await getTerminal(req.params.id);
+    if (!terminal) return res.status(404).json({ error: "Terminal not found" });
+    res.json({ ok: true, terminal });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/terminals/{id}:
+ *   delete:
+ *     summary: Revoke a terminal and sign out its sessions
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revoked; number of sessions ended
+ *       404:
+ *         description: Not found or already revoked
+ */
+
+ /**
+  * @brief Revoke a terminal, e.g. when a register is stolen.
+  *
+  * @route DELETE /auth/terminals/:id
+  */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const sessionsRevoked = await revokeTerminal(req.params.id, req.user);
+    if (sessionsRevoked === null) {
+      return res.status(404).json({ error: "Terminal not found" });
+    }
+    res.json({ ok: true, revoked: req.params.id, sessions_revoked: sessionsRevoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/terminals/{id}/unlock:
+ *   post:
+ *     summary: Lift a PIN login lockout on a terminal
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Counter cleared (unlocked is false when there was nothing to clear)
+ *       404:
+ *         description: Terminal not found
+ */
+
+ /**
+  * @brief Reset the PIN failure counter of a terminal.
+  *
+  * @route POST /auth/terminals/:id/unlock
+  */
+router.post("/:id/unlock", async (req, res, next) => {
+  try {
+    if (!(await getTerminal(req.params.id))) {
+      return res.status(404).json({ error: "Terminal not found" });
+    }
+    const unlocked = await clearTerminalFailures(req.params.id);
+    res.json({ ok: true, terminal_id: req.params.id, unlocked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
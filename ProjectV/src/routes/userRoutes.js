@@ -0,0 +1,894 @@
+/**
+ * @file userRoutes.js
+ * @brief Admin routes for managing user accounts.
+ *
+ * Exposes the `/auth/users` resource: create users with hashed
+ * passwords, list and search them, change role and email, disable or
+ * enable accounts, soft-delete them, start password resets, set PINs,
+ * reset MFA, lift login lockouts, terminate sessions and report legacy
+ * password hashes. All routes require the `users:manage` permission.
+ */
+
+import { Router } from "express";
+import { getDb } from "../config/db.js";
+import { authorize } from "../middleware/auth.js";
+import { DEFAULT_ROLE, isValidRole } from "../config/permissions.js";
+import {
+  USERS_COLLECTION,
+  PUBLIC_USER_PROJECTION,
+  PASSWORD_HASH_VERSION,
+  findUser,
+  getPasswordHashReport,
+  hashPassword,
+  isExternalUser,
+  revokeUserSessions,
+  setPin,
+  validatePassword
+} from "../services/users.js";
+import { passwordPolicyError } from "../utils/passwordPolicy.js";
+import { checkPinPolicy, pinPolicyError } from "../utils/pinPolicy.js";
+import { isPinLoginAllowed } from "../services/terminals.js";
+import { issueOneTimeToken } from "../services/oneTimeTokens.js";
+import { isEmailVerified, sendEmailVerification } from "../services/emailVerification.js";
+import { notifyPasswordReset } from "../services/notifications.js";
+import { clearLoginFailures } from "../services/loginAttempts.js";
+import { disableMfa } from "../services/mfa.js";
+import { revokeRefreshTokenFamily } from "../services/refreshTokens.js";
+import { formatSession, getSession, listSessions } from "../services/sessions.js";
+import {
+  addSoftDeleteFilter,
+  getCreateMetadata,
+  getUpdateMetadata,
+  getDeleteMetadata
+} from "../utils/softDelete.js";
+
+const router = Router();
+
+router.use(authorize("users:manage"));
+
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,64}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @brief Escape a string for literal use inside a regular expression.
+ *
+ * @param {string} value Raw search text.
+ * @returns {string} Escaped pattern.
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * @openapi
+ * /auth/users:
+ *   post:
+ *     summary: Create a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Created; a verification message is sent to the email
+ *       400:
+ *         description: Invalid input or password policy violations
+ *       403:
+ *         description: Missing permission users:manage
+ *       409:
+ *         description: Username already exists
+ */
+
+ /**
+  * @brief Create a new user with a hashed password.
+  *
+  * The password must satisfy the password policy. When an email is
+  * given, a verification message is queued for it.
+  *
+  * @route POST /auth/users
+  */
+router.post("/", async (req, res, next) => {
+  try {
+    const { username, password, email, role = DEFAULT_ROLE } = req.body || {};
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({ error: "username must be 3-64 characters of letters, digits, '.', '_' or '-'" });
+    }
+    if (typeof password !== "string" || !password) {
+      return res.status(400).json({ error: "password required" });
+    }
+    if (email !== undefined && (typeof email !== "string" || !EMAIL_PATTERN.test(email))) {
+      return res.status(400).json({ error: "Invalid email" });
+    }
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `Unknown role: ${role}` });
+    }
+
+    const violations = await validatePassword(password, { username });
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicyError(violations));
+    }
+
+    const db = await getDb();
+    const user = {
+      username,
+      email: email || null,
+      role,
+      password: await hashPassword(password),
+      hash_version: PASSWORD_HASH_VERSION,
+      ...getCreateMetadata(req.user)
+    };
+
+    try {
+      await db.collection(USERS_COLLECTION).insertOne(user);
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ error: "Username already exists" });
+      throw err;
+    }
+    if (user.email) await sendEmailVerification(user, req.user);
+
+    res.status(201).json({ ok: true, user: { username, email: user.email, role } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Case-insensitive match on username or email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: disabled
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Users (without password hashes)
+ */
+
+ /**
+  * @brief List users that have not been soft deleted.
+  *
+  * @route GET /auth/users
+  */
+router.get("/", async (req, res, next) => {
+  try {
+    const { search, role, disabled, limit = 50, skip = 0 } = req.query;
+    const filter = {};
+    if (typeof search === "string" && search) {
+      const pattern = { $regex: escapeRegex(search), $options: "i" };
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (typeof role === "string" && role) filter.role = role;
+    if (disabled === "true") filter.disabled_at = { $exists: true };
+    if (disabled === "false") filter.disabled_at = { $exists: false };
+
+    const db = await getDb();
+    const users = await db.collection(USERS_COLLECTION)
+      .find(addSoftDeleteFilter(filter), { projection: PUBLIC_USER_PROJECTION })
+      .sort({ username: 1 })
+      .skip(Number(skip) || 0)
+      .limit(Math.min(Number(limit) || 50, 500))
+      .toArray();
+    res.json({ ok: true, count: users.length, users });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/password-hashes:
+ *   get:
+ *     summary: Report how many accounts still use legacy password hash parameters
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts of local accounts by hash version (e.g. bcrypt:12), against the target version
+ */
+
+ /**
+  * @brief Count local accounts by password hash version.
+  *
+  * Legacy hashes are upgraded when their users next sign in; accounts
+  * that stay on legacy parameters are the ones that have not.
+  *
+  * @route GET /auth/users/password-hashes
+  */
+router.get("/password-hashes", async (req, res, next) => {
+  try {
+    res.json({ ok: true, ...(await getPasswordHashReport()) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}:
+ *   get:
+ *     summary: Get a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Found
+ *       404:
+ *         description: User not found
+ */
+
+ /**
+  * @brief Get a single user by username.
+  *
+  * @route GET /auth/users/:username
+  */
+router.get("/:username", async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.username, { projection: PUBLIC_USER_PROJECTION });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json({ ok: true, user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}:
+ *   patch:
+ *     summary: Change a user's email or role
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated; a new email must be verified again
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The role is managed by an identity provider (e.g. LDAP)
+ */
+
+ /**
+  * @brief Update a user's email and/or role.
+  *
+  * Changing the role revokes the user's existing tokens, since the
+  * role is embedded in them. Roles of users provisioned by an identity
+  * provider come from their directory groups and cannot be changed here.
+  * A changed email loses its verification and a verification message
+  * is queued for the new address.
+  *
+  * @route PATCH /auth/users/:username
+  */
+router.patch("/:username", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const { email, role } = req.body || {};
+    const updates = {};
+
+    if (email !== undefined) {
+      if (email !== null && (typeof email !== "string" || !EMAIL_PATTERN.test(email))) {
+        return res.status(400).json({ error: "Invalid email" });
+      }
+      updates.email = email;
+    }
+    if (role !== undefined) {
+      if (!isValidRole(role)) return res.status(400).json({ error: `Unknown role: ${role}` });
+      updates.role = role;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "Nothing to update; provide email and/or role" });
+    }
+    const current = await findUser(username);
+    if (!current) return res.status(404).json({ error: "User not found" });
+    if (updates.role !== undefined && isExternalUser(current)) {
+      return res.status(409).json({ error: `Role is managed by the ${current.source} identity provider` });
+    }
+    const emailChanged = updates.email !== undefined && updates.email !== current.email;
+
+    const db = await getDb();
+    const before = await db.collection(USERS_COLLECTION).findOneAndUpdate(
+      addSoftDeleteFilter({ username }),
+      {
+        $set: { ...updates, ...getUpdateMetadata(req.user) },
+        ...(emailChanged && { $unset: { email_verified_at: "" } })
+      },
+      { projection: PUBLIC_USER_PROJECTION }
+    );
+    if (!before) return res.status(404).json({ error: "User not found" });
+
+    if (updates.role !== undefined && updates.role !== before.role) {
+      await revokeUserSessions(username, "role_changed");
+    }
+    if (emailChanged && updates.email) {
+      await sendEmailVerification({ username, email: updates.email }, req.user);
+    }
+
+    const user = { ...before, ...updates };
+    if (emailChanged) delete user.email_verified_at;
+    res.json({ ok: true, user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/disable:
+ *   post:
+ *     summary: Disable a user account and revoke its tokens
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       400:
+ *         description: Cannot disable your own account
+ *       404:
+ *         description: User not found
+ */
+
+ /**
+  * @brief Disable a user account.
+  *
+  * Disabled users cannot log in or refresh, and all of their existing
+  * tokens are revoked so authenticate rejects them immediately.
+  *
+  * @route POST /auth/users/:username/disable
+  */
+router.post("/:username/disable", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    if (username === req.user.username) {
+      return res.status(400).json({ error: "Cannot disable your own account" });
+    }
+
+    const db = await getDb();
+    const result = await db.collection(USERS_COLLECTION).updateOne(
+      addSoftDeleteFilter({ username }),
+      { $set: { disabled_at: new Date(), disabled_by: req.user.username, ...getUpdateMetadata(req.user) } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ error: "User not found" });
+
+    await revokeUserSessions(username, "user_disabled");
+    res.json({ ok: true, disabled: username });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/enable:
+ *   post:
+ *     summary: Re-enable a disabled user account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Enabled
+ *       404:
+ *         description: User not found
+ */
+
+ /**
+  * @brief Re-enable a disabled user account.
+  *
+  * @route POST /auth/users/:username/enable
+  */
+router.post("/:username/enable", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const db = await getDb();
+    const result = await db.collection(USERS_COLLECTION).updateOne(
+      addSoftDeleteFilter({ username }),
+      { $unset: { disabled_at: "", disabled_by: "" }, $set: getUpdateMetadata(req.user) }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ error: "User not found" });
+    res.json({ ok: true, enabled: username });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}:
+ *   delete:
+ *     summary: Soft-delete a user (sets deleted_at/deleted_by) and revoke its tokens
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       400:
+ *         description: Cannot delete your own account
+ *       404:
+ *         description: User not found
+ */
+
+ /**
+  * @brief Soft-delete a user account.
+  *
+  * Uses the shared soft-delete metadata; the username stays reserved
+  * while the document exists.
+  *
+  * @route DELETE /auth/users/:username
+  */
+router.delete("/:username", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    if (username === req.user.username) {
+      return res.status(400).json({ error: "Cannot delete your own account" });
+    }
+
+    const db = await getDb();
+    const result = await db.collection(USERS_COLLECTION).updateOne(
+      addSoftDeleteFilter({ username }),
+      { $set: getDeleteMetadata(req.user) }
+    );
+    if (result.modifiedCount === 0) return res.status(404).json({ error: "User not found" });
+
+    await revokeUserSessions(username, "user_deleted");
+    res.json({ ok: true, deleted: result.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/password-reset:
+ *   post:
+ *     summary: Issue a single-use password reset token for a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Reset token (shown once), its expiry and whether it was emailed to the user
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The password is managed by an identity provider (e.g. LDAP)
+ */
+
+ /**
+  * @brief Start an admin-triggered password reset.
+  *
+  * Issues a single-use reset token valid for PASSWORD_RESET_TTL_MINUTES
+  * that the user redeems at POST /auth/password/reset. Any earlier
+  * unused reset token of the user is invalidated. Users with a verified
+  * email also receive the token by email.
+  *
+  * @route POST /auth/users/:username/password-reset
+  */
+router.post("/:username/password-reset", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const user = await findUser(username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (isExternalUser(user)) {
+      return res.status(409).json({ error: `Password is managed by the ${user.source} identity provider` });
+    }
+
+    const { token, expiresAt } = await issueOneTimeToken(
+      "password_reset",
+      username,
+      PASSWORD_RESET_TTL_MINUTES * 60,
+      req.user
+    );
+    const emailed = await notifyPasswordReset(user, token, expiresAt);
+    res.status(201).json({ ok: true, username, reset_token: token, expires_at: expiresAt, emailed });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/email-verification:
+ *   post:
+ *     summary: Send a user a new email verification message
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Verification message queued
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user has no email or it is already verified
+ */
+
+ /**
+  * @brief Queue a verification message for a user's email.
+  *
+  * Invalidates the user's earlier unused verification token.
+  *
+  * @route POST /auth/users/:username/email-verification
+  */
+router.post("/:username/email-verification", async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.email) return res.status(409).json({ error: "User has no email" });
+    if (isEmailVerified(user)) return res.status(409).json({ error: "Email already verified" });
+
+    const { email, expiresAt } = await sendEmailVerification(user, req.user);
+    res.status(202).json({ ok: true, username: user.username, email, expires_at: expiresAt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/unlock:
+ *   post:
+ *     summary: Clear failed login attempts and lift a lockout for a username
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Counter cleared (unlocked is false when there was nothing to clear)
+ */
+
+ /**
+  * @brief Lift a login lockout.
+  *
+  * Works for any username, since failed attempts are tracked for
+  * unknown usernames too. Per-IP counters are not affected.
+  *
+  * @route POST /auth/users/:username/unlock
+  */
+router.post("/:username/unlock", async (req, res, next) => {
+  try {
+    const unlocked = await clearLoginFailures(req.params.username);
+    res.json({ ok: true, username: req.params.username, unlocked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/mfa/reset:
+ *   post:
+ *     summary: Remove a user's MFA enrollment (e.g. lost device)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: MFA removed and sessions revoked
+ *       404:
+ *         description: User not found
+ */
+
+ /**
+  * @brief Reset a user's MFA.
+  *
+  * Removes the TOTP secret and recovery codes and revokes the user's
+  * sessions. If the user's role requires MFA they are asked to enroll
+  * again at their next login.
+  *
+  * @route POST /auth/users/:username/mfa/reset
+  */
+router.post("/:username/mfa/reset", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const user = await findUser(username);
+    if (!user || !(await disableMfa(username))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await revokeUserSessions(username, "mfa_reset");
+    res.json({ ok: true, username });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/pin:
+ *   put:
+ *     summary: Set a user's terminal PIN
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: PIN set
+ *       400:
+ *         description: PIN policy violations, or the user's role may not use PIN login
+ *       404:
+ *         description: User not found
+ */
+
+ /**
+  * @brief Set a cashier's PIN, e.g. when onboarding them.
+  *
+  * @route PUT /auth/users/:username/pin
+  */
+router.put("/:username/pin", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    const { pin } = req.body || {};
+    const user = await findUser(username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!isPinLoginAllowed(user)) {
+      return res.status(400).json({ error: "PIN login is not allowed for this user (role, or MFA is required)" });
+    }
+
+    const violations = checkPinPolicy(pin);
+    if (violations.length > 0) {
+      return res.status(400).json(pinPolicyError(violations));
+    }
+
+    await setPin(username, pin, req.user);
+    res.json({ ok: true, username });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/sessions:
+ *   get:
+ *     summary: List a user's sessions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: include_revoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Sessions with user agent, IP, created and last seen
+ *       404:
+ *         description: User not found
+ */
+
+ /**
+  * @brief List a user's sessions, optionally including ended ones.
+  *
+  * @route GET /auth/users/:username/sessions
+  */
+router.get("/:username/sessions", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    if (!(await findUser(username))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const sessions = await listSessions(username, { includeRevoked: req.query.include_revoked === "true" });
+    res.json({ ok: true, count: sessions.length, sessions: sessions.map((session) => formatSession(session)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/sessions/{id}:
+ *   delete:
+ *     summary: Terminate one of a user's sessions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       404:
+ *         description: Session not found or already ended
+ */
+
+ /**
+  * @brief Terminate a single session, e.g. on a lost or stolen device.
+  *
+  * @route DELETE /auth/users/:username/sessions/:id
+  */
+router.delete("/:username/sessions/:id", async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.id);
+    if (!session || session.username !== req.params.username || session.revoked_at) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    await revokeRefreshTokenFamily(session.session_id, "revoked_by_admin", req.user);
+    res.json({ ok: true, revoked: session.session_id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /auth/users/{username}/sessions:
+ *   delete:
+ *     summary: Terminate all of a user's sessions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: All sessions ended and access tokens revoked
+ *       404:
+ *         description: User not found
+ */
+
+ /**
+  * @brief Sign a user out everywhere.
+  *
+  * @route DELETE /auth/users/:username/sessions
+  */
+router.delete("/:username/sessions", async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    if (!(await findUser(username))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await revokeUserSessions(username, "revoked_by_admin");
+    res.json({ ok: true, username });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
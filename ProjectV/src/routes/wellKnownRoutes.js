@@ -0,0 +1,79 @@
+/**
+ * @file wellKnownRoutes.js
+ * @brief Public discovery documents under `/.well-known`.
+ *
+ * Lets other services fetch the public keys needed to verify ProjectV
+ * access tokens without sharing a secret, and OpenID Connect clients
+ * discover the provider's endpoints.
+ */
+
+import { Router } from "express";
+import { getJwks, getKeyring, hasAsymmetricSigningKey } from "../config/jwtKeys.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { getIssuer } from "../services/oidc.js";
+import { OIDC_SCOPES, OIDC_UNAVAILABLE, buildDiscoveryDocument } from "../utils/oidc.js";
+
+const router = Router();
+
+/**
+ * @openapi
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys for verifying access tokens (JSON Web Key Set)
+ *     tags: [Auth]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: JWKS document; empty when tokens are signed with a shared secret
+ */
+
+ /**
+  * @brief Serve the JSON Web Key Set.
+  *
+  * Contains every configured verification key, so tokens signed with a
+  * key that is being rotated out can still be verified. Clients should
+  * match keys by the token's `kid` header and refetch on unknown ids.
+  *
+  * @route GET /.well-known/jwks.json
+  */
+router.get("/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(getJwks());
+});
+
+/**
+ * @openapi
+ * /.well-known/openid-configuration:
+ *   get:
+ *     summary: OpenID Connect provider metadata (discovery)
+ *     tags: [Auth]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Issuer, endpoints, supported scopes, claims and algorithms
+ *       404:
+ *         description: OpenID Connect is off because no asymmetric signing key is configured
+ */
+
+ /**
+  * @brief Serve the OpenID Provider metadata.
+  *
+  * Supported scopes are the OpenID Connect scopes plus every
+  * permission; a client may only request the permissions it is
+  * registered with. Not served while tokens are signed with HS256,
+  * since clients could not verify the ID tokens.
+  *
+  * @route GET /.well-known/openid-configuration
+  */
+router.get("/openid-configuration", (req, res) => {
+  if (!hasAsymmetricSigningKey()) {
+    return res.status(404).json({ error: OIDC_UNAVAILABLE });
+  }
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(buildDiscoveryDocument(getIssuer(req), {
+    signingAlg: getKeyring().signing.alg,
+    scopes: [...OIDC_SCOPES, ...PERMISSIONS]
+  }));
+});
+
+export default router;
@@ -0,0 +1,34 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseApiKeyPrefix, validateScopes } from '../apiKeys.js';
+
+describe('API Keys', () => {
+  describe('parseApiKeyPrefix', () => {
+    it('should extract the prefix of a well-formed key', () => {
+      expect(parseApiKeyPrefix(`pv_0a1b2c3d_${'A'.repeat(43)}`)).toBe('0a1b2c3d');
+    });
+
+    it('should reject malformed keys', () => {
+      expect(parseApiKeyPrefix('pv_0a1b2c3d_short')).toBeNull();
+      expect(parseApiKeyPrefix(`xx_0a1b2c3d_${'A'.repeat(43)}`)).toBeNull();
+      expect(parseApiKeyPrefix(undefined)).toBeNull();
+    });
+  });
+
+  describe('validateScopes', () => {
+    it('should accept permissions held by the owner role', () => {
+      expect(validateScopes(['documents:read', 'documents:delete'], 'facilities')).toEqual([]);
+    });
+
+    it('should reject permissions the owner role does not hold', () => {
+      expect(validateScopes(['documents:delete'], 'pos')).toEqual([
+        "owner's role does not grant documents:delete"
+      ]);
+    });
+
+    it('should reject unknown permissions and empty scope lists', () => {
+      expect(validateScopes(['documents:explode'], 'admin')).toEqual(['unknown permission documents:explode']);
+      expect(validateScopes([], 'admin')).toHaveLength(1);
+      expect(validateScopes('documents:read', 'admin')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from '@jest/globals';
+import { checkApprovalClaims } from '../approvals.js';
+
+describe('Approvals', () => {
+  describe('checkApprovalClaims', () => {
+    const claims = {
+      purpose: 'approval',
+      approved_by: 'manager1',
+      requested_by: 'cashier1',
+      sid: 'session-1',
+      action: 'sale.void',
+      resource: 'sales/665f1c2e9b1e8a0012345678'
+    };
+    const expected = {
+      action: 'sale.void',
+      resource: 'sales/665f1c2e9b1e8a0012345678',
+      requester: { username: 'cashier1', sid: 'session-1' }
+    };
+
+    it('should accept an approval for the same action, resource, user and session', () => {
+      expect(checkApprovalClaims(claims, expected)).toBeNull();
+    });
+
+    it('should reject tokens that are not approvals', () => {
+      expect(checkApprovalClaims({ ...claims, purpose: undefined }, expected)).toBe('not an approval token');
+    });
+
+    it('should reject another action or resource', () => {
+      expect(checkApprovalClaims(claims, { ...expected, action: 'sale.refund' })).toMatch('not sale.refund');
+      expect(checkApprovalClaims(claims, { ...expected, resource: 'sales/other' })).toMatch('another resource');
+    });
+
+    it('should reject another user or session', () => {
+      expect(checkApprovalClaims(claims, { ...expected, requester: { username: 'cashier2', sid: 'session-1' } }))
+        .toMatch('another user');
+      expect(checkApprovalClaims(claims, { ...expected, requester: { username: 'cashier1', sid: 'session-2' } }))
+        .toMatch('another session');
+    });
+  });
+});
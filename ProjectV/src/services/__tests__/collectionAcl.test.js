@@ -0,0 +1,66 @@
+import { describe, it, expect } from '@jest/globals';
+import { resolveAccess } from '../collectionAcl.js';
+
+describe('Collection ACL', () => {
+  const entries = [
+    { collection: 'WorkOrders', principal: 'role:facilities', access: ['read', 'write', 'delete'] },
+    { collection: 'Assets', principal: 'role:facilities', access: ['read'] },
+    { collection: 'Assets', principal: 'user:bob', access: ['write'] },
+    { collection: 'products', principal: 'role:pos', access: ['read', 'write'] },
+    { collection: 'orders', principal: 'role:pos', access: ['read', 'write'] },
+    { collection: '*', principal: 'role:user', access: ['read'] },
+    { collection: 'Locations', principal: 'client:pvc_sync', access: ['read'] }
+  ];
+  const facilities = { username: 'bob', role: 'facilities' };
+  const pos = { username: 'till-1', role: 'pos' };
+
+  describe('resolveAccess', () => {
+    it('should grant the access listed for the caller role', () => {
+      expect(resolveAccess(entries, 'WorkOrders', facilities)).toEqual(['read', 'write', 'delete']);
+    });
+
+    it('should combine role and user entries', () => {
+      expect(resolveAccess(entries, 'Assets', facilities)).toEqual(['read', 'write']);
+    });
+
+    it('should deny collections covered only by other principals', () => {
+      expect(resolveAccess(entries, 'WorkOrders', pos)).toEqual([]);
+      expect(resolveAccess(entries, 'products', facilities)).toEqual([]);
+    });
+
+    it('should treat * entries as covering every collection', () => {
+      const user = { username: 'alice', role: 'user' };
+
+      expect(resolveAccess(entries, 'customers', user)).toEqual(['read']);
+      expect(resolveAccess(entries, 'customers', pos)).toEqual([]);
+    });
+
+    it('should apply the default policy to uncovered collections', () => {
+      const onlyScoped = entries.filter((entry) => entry.collection !== '*');
+
+      expect(resolveAccess(onlyScoped, 'customers', pos, 'allow')).toEqual(['read', 'write', 'delete']);
+      expect(resolveAccess(onlyScoped, 'customers', pos, 'deny')).toEqual([]);
+    });
+
+    it('should match OAuth clients by client id', () => {
+      const client = { client_id: 'pvc_sync', scopes: ['documents:read'] };
+
+      expect(resolveAccess(entries, 'Locations', client)).toEqual(['read']);
+      expect(resolveAccess(entries, 'Locations', pos)).toEqual([]);
+    });
+
+    it('should let roles that manage ACLs bypass them', () => {
+      const admin = { username: 'admin', role: 'admin' };
+
+      expect(resolveAccess(entries, 'WorkOrders', admin, 'deny')).toEqual(['read', 'write', 'delete']);
+    });
+
+    it('should not let an admin API key without the acl:manage scope bypass them', () => {
+      const scopedKey = { username: 'admin', role: 'admin', scopes: ['documents:read'] };
+
+      expect(resolveAccess(entries, 'WorkOrders', scopedKey, 'deny')).toEqual([]);
+      expect(resolveAccess(entries, 'WorkOrders', { ...scopedKey, scopes: ['acl:manage'] }, 'deny'))
+        .toEqual(['read', 'write', 'delete']);
+    });
+  });
+});
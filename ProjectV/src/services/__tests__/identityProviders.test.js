@@ -0,0 +1,17 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseProviderList } from '../identityProviders.js';
+
+describe('Identity Providers', () => {
+  describe('parseProviderList', () => {
+    it('should keep the configured order and default to local', () => {
+      expect(parseProviderList('ldap, local')).toEqual(['ldap', 'local']);
+      expect(parseProviderList('local,local')).toEqual(['local']);
+      expect(parseProviderList(undefined)).toEqual(['local']);
+      expect(parseProviderList(' ')).toEqual(['local']);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => parseProviderList('local,saml')).toThrow('unknown provider "saml"');
+    });
+  });
+});
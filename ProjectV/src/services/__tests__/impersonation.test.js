@@ -0,0 +1,39 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildImpersonationClaims, describeImpersonation } from '../impersonation.js';
+
+describe('Impersonation', () => {
+  const admin = { username: 'admin1', role: 'admin', sid: 'session-1', jti: 'jti-1' };
+
+  describe('buildImpersonationClaims', () => {
+    it('should carry the user identity and the admin as act', () => {
+      const claims = buildImpersonationClaims({ username: 'cashier1', email: 'c1@example.com', role: 'pos' }, admin);
+
+      expect(claims).toEqual({
+        username: 'cashier1',
+        email: 'c1@example.com',
+        role: 'pos',
+        act: { sub: 'admin1', role: 'admin', sid: 'session-1' }
+      });
+    });
+
+    it('should default the role and omit a missing admin session', () => {
+      const claims = buildImpersonationClaims({ username: 'legacy' }, { username: 'admin1', role: 'admin' });
+
+      expect(claims.role).toBe('user');
+      expect(claims.act).toEqual({ sub: 'admin1', role: 'admin' });
+    });
+  });
+
+  describe('describeImpersonation', () => {
+    it('should describe impersonation tokens only', () => {
+      expect(describeImpersonation({ username: 'cashier1', act: { sub: 'admin1' }, iat: 1700000000, exp: 1700000900 }))
+        .toEqual({
+          impersonated_by: 'admin1',
+          started_at: new Date(1700000000 * 1000),
+          expires_at: new Date(1700000900 * 1000)
+        });
+      expect(describeImpersonation({ username: 'cashier1', iat: 1700000000, exp: 1700000900 })).toBeNull();
+      expect(describeImpersonation(undefined)).toBeNull();
+    });
+  });
+});
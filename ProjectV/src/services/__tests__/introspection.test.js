@@ -0,0 +1,74 @@
+import { describe, it, expect } from '@jest/globals';
+import { describeAccessToken, describeRefreshToken } from '../introspection.js';
+
+describe('Token Introspection', () => {
+  const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+  const nowSeconds = now / 1000;
+
+  describe('describeAccessToken', () => {
+    const claims = {
+      username: 'cashier1',
+      role: 'pos',
+      jti: 'abc',
+      iat: nowSeconds - 60,
+      exp: nowSeconds + 840
+    };
+
+    it('should report a live user token as active', () => {
+      expect(describeAccessToken(claims, { revoked: false, now })).toEqual({
+        active: true,
+        token_type: 'access_token',
+        sub: 'cashier1',
+        username: 'cashier1',
+        role: 'pos',
+        iat: nowSeconds - 60,
+        exp: nowSeconds + 840,
+        jti: 'abc',
+        revoked: false,
+        expired: false
+      });
+    });
+
+    it('should report revoked and expired tokens as inactive', () => {
+      expect(describeAccessToken(claims, { revoked: true, now })).toMatchObject({ active: false, revoked: true });
+      expect(describeAccessToken({ ...claims, exp: nowSeconds - 1 }, { revoked: false, now }))
+        .toMatchObject({ active: false, expired: true });
+    });
+
+    it('should report the client and scope of client tokens', () => {
+      const clientClaims = { sub: 'pvc_1', client_id: 'pvc_1', scope: 'documents:read', iat: nowSeconds, exp: nowSeconds + 900 };
+
+      expect(describeAccessToken(clientClaims, { revoked: false, now })).toMatchObject({
+        active: true,
+        sub: 'pvc_1',
+        client_id: 'pvc_1',
+        scope: 'documents:read'
+      });
+    });
+  });
+
+  describe('describeRefreshToken', () => {
+    const doc = {
+      username: 'cashier1',
+      created_at: new Date(now - 1000),
+      expires_at: new Date(now + 1000)
+    };
+
+    it('should report an unused refresh token as active', () => {
+      expect(describeRefreshToken(doc, now)).toMatchObject({
+        active: true,
+        token_type: 'refresh_token',
+        sub: 'cashier1',
+        revoked: false,
+        expired: false
+      });
+    });
+
+    it('should report rotated and revoked refresh tokens with a reason', () => {
+      expect(describeRefreshToken({ ...doc, rotated_at: new Date(now) }, now))
+        .toMatchObject({ active: false, revoked: true, revoked_reason: 'rotated' });
+      expect(describeRefreshToken({ ...doc, revoked_at: new Date(now), revoked_reason: 'logout' }, now))
+        .toMatchObject({ active: false, revoked: true, revoked_reason: 'logout' });
+    });
+  });
+});
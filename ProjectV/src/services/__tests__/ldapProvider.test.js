@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+class InvalidCredentialsError extends Error {}
+
+const client = {
+  bind: jest.fn(),
+  search: jest.fn(),
+  unbind: jest.fn(),
+  startTLS: jest.fn()
+};
+jest.unstable_mockModule('ldapts', () => ({
+  Client: jest.fn(() => client),
+  InvalidCredentialsError
+}));
+
+const findOne = jest.fn();
+const insertOne = jest.fn();
+const updateOne = jest.fn();
+jest.unstable_mockModule('../../config/db.js', () => ({
+  getDb: async () => ({ collection: () => ({ findOne, insertOne, updateOne }) })
+}));
+
+const { createLdapProvider } = await import('../ldapProvider.js');
+
+describe('LDAP identity provider', () => {
+  const config = {
+    url: 'ldap://localhost:389',
+    bindDn: 'cn=admin,dc=projectv,dc=local',
+    bindPassword: 'admin',
+    userBaseDn: 'ou=people,dc=projectv,dc=local',
+    userFilter: '(uid={{username}})',
+    usernameAttribute: 'uid',
+    emailAttribute: 'mail',
+    groupAttribute: 'memberOf',
+    groupRoles: { 'store-managers': 'manager', cashiers: 'pos' },
+    defaultRole: null,
+    startTls: false,
+    timeoutMs: 1000
+  };
+  const entry = {
+    dn: 'uid=mgarcia,ou=people,dc=projectv,dc=local',
+    uid: 'mgarcia',
+    mail: 'mgarcia@projectv.local',
+    memberOf: ['cn=store-managers,ou=groups,dc=projectv,dc=local']
+  };
+  const provider = createLdapProvider(config);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client.bind.mockResolvedValue(undefined);
+    client.unbind.mockResolvedValue(undefined);
+    client.search.mockResolvedValue({ searchEntries: [entry], searchReferences: [] });
+    findOne.mockResolvedValue(null);
+    insertOne.mockResolvedValue({ acknowledged: true });
+  });
+
+  it('should bind as the user and provision them with the mapped role', async () => {
+    const user = await provider.authenticate('mgarcia', 'Directory-Pass-1');
+
+    expect(client.bind).toHaveBeenCalledWith(config.bindDn, config.bindPassword);
+    expect(client.bind).toHaveBeenCalledWith(entry.dn, 'Directory-Pass-1');
+    expect(insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      username: 'mgarcia',
+      email: 'mgarcia@projectv.local',
+      role: 'manager',
+      source: 'ldap',
+      external_id: entry.dn
+    }));
+    expect(user).toMatchObject({ username: 'mgarcia', role: 'manager', source: 'ldap' });
+    expect(client.unbind).toHaveBeenCalled();
+  });
+
+  it('should return null for a wrong password', async () => {
+    client.bind.mockImplementation(async (dn) => {
+      if (dn === entry.dn) throw new InvalidCredentialsError('Invalid Credentials');
+    });
+
+    await expect(provider.authenticate('mgarcia', 'wrong')).resolves.toBeNull();
+    expect(insertOne).not.toHaveBeenCalled();
+    expect(client.unbind).toHaveBeenCalled();
+  });
+
+  it('should reject users in no mapped group and empty passwords', async () => {
+    client.search.mockResolvedValue({ searchEntries: [{ ...entry, memberOf: [] }], searchReferences: [] });
+
+    await expect(provider.authenticate('mgarcia', 'Directory-Pass-1')).resolves.toBeNull();
+    await expect(provider.authenticate('mgarcia', '')).resolves.toBeNull();
+    expect(insertOne).not.toHaveBeenCalled();
+  });
+
+  it('should not take over a local account with the same username', async () => {
+    findOne.mockResolvedValue({ _id: 'u1', username: 'mgarcia', role: 'admin', password: 'hash' });
+
+    await expect(provider.authenticate('mgarcia', 'Directory-Pass-1')).resolves.toBeNull();
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
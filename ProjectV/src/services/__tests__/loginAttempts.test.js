@@ -0,0 +1,78 @@
+import { describe, it, expect } from '@jest/globals';
+import { attemptKeys, terminalAttemptKeys, progressiveDelayMs, evaluateAttempt } from '../loginAttempts.js';
+
+describe('Login Attempts', () => {
+  const policy = {
+    maxFailures: 5,
+    maxFailuresPerIp: 20,
+    maxFailuresPerTerminal: 10,
+    lockoutMs: 15 * 60 * 1000,
+    delayBaseMs: 1000,
+    delayMaxMs: 30000,
+    windowMs: 15 * 60 * 1000
+  };
+  const now = Date.parse('2025-01-01T12:00:00Z');
+
+  describe('attemptKeys', () => {
+    it('should build username and IP keys with their limits', () => {
+      expect(attemptKeys('Cashier1', '10.0.0.5', policy)).toEqual([
+        { key: 'user:cashier1', limit: 5 },
+        { key: 'ip:10.0.0.5', limit: 20 }
+      ]);
+    });
+
+    it('should omit the IP key when the IP is unknown', () => {
+      expect(attemptKeys('cashier1', undefined, policy)).toHaveLength(1);
+    });
+  });
+
+  describe('terminalAttemptKeys', () => {
+    it('should count PIN failures per terminal only', () => {
+      expect(terminalAttemptKeys('0123456789abcdef', policy)).toEqual([
+        { key: 'terminal:0123456789abcdef', limit: 10 }
+      ]);
+    });
+  });
+
+  describe('progressiveDelayMs', () => {
+    it('should double the delay after each failure', () => {
+      expect(progressiveDelayMs(0, policy)).toBe(0);
+      expect(progressiveDelayMs(1, policy)).toBe(1000);
+      expect(progressiveDelayMs(2, policy)).toBe(2000);
+      expect(progressiveDelayMs(4, policy)).toBe(8000);
+    });
+
+    it('should cap the delay', () => {
+      expect(progressiveDelayMs(10, policy)).toBe(30000);
+    });
+
+    it('should be disabled when the base delay is 0', () => {
+      expect(progressiveDelayMs(3, { ...policy, delayBaseMs: 0 })).toBe(0);
+    });
+  });
+
+  describe('evaluateAttempt', () => {
+    it('should allow attempts without a counter', () => {
+      expect(evaluateAttempt(null, now, policy)).toEqual({ allowed: true, locked: false, retryAfterMs: 0 });
+    });
+
+    it('should block attempts inside the progressive delay', () => {
+      const record = { failures: 3, last_failure_at: new Date(now - 1000) };
+
+      expect(evaluateAttempt(record, now, policy)).toEqual({ allowed: false, locked: false, retryAfterMs: 3000 });
+    });
+
+    it('should allow attempts once the delay has passed', () => {
+      const record = { failures: 3, last_failure_at: new Date(now - 5000) };
+
+      expect(evaluateAttempt(record, now, policy).allowed).toBe(true);
+    });
+
+    it('should block locked keys until the lockout ends', () => {
+      const record = { failures: 5, last_failure_at: new Date(now), locked_until: new Date(now + 60000) };
+
+      expect(evaluateAttempt(record, now, policy)).toEqual({ allowed: false, locked: true, retryAfterMs: 60000 });
+      expect(evaluateAttempt(record, now + 60001, policy).allowed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const claimNextMessage = jest.fn();
+const markMessageSent = jest.fn();
+const markMessageFailed = jest.fn();
+jest.unstable_mockModule('../outbox.js', () => ({ claimNextMessage, markMessageSent, markMessageFailed }));
+
+const { retryDelayMs, isPermanentFailure, dispatchOutbox } = await import('../mailDispatcher.js');
+
+describe('Mail Dispatcher', () => {
+  const config = {
+    from: 'ProjectV <no-reply@projectv.local>',
+    maxAttempts: 4,
+    retryBaseMs: 1000,
+    retryMaxMs: 3000
+  };
+  const message = { _id: 'm1', to: 'alice@example.com', subject: 'Hi', text: 'Hello', attempts: 0 };
+  const smtpError = (responseCode) => Object.assign(new Error(`SMTP ${responseCode}`), { responseCode });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    claimNextMessage.mockResolvedValueOnce(message).mockResolvedValueOnce(null);
+  });
+
+  it('should back off exponentially up to the maximum and give up after the last attempt', () => {
+    expect([1, 2, 3].map((attempts) => retryDelayMs(attempts, config))).toEqual([1000, 2000, 3000]);
+    expect(retryDelayMs(4, config)).toBeNull();
+  });
+
+  it('should only treat 5xx SMTP replies as permanent', () => {
+    expect(isPermanentFailure(smtpError(550))).toBe(true);
+    expect(isPermanentFailure(smtpError(421))).toBe(false);
+    expect(isPermanentFailure(new Error('ECONNREFUSED'))).toBe(false);
+  });
+
+  it('should send due messages and record the Message-ID', async () => {
+    const transport = { sendMail: jest.fn().mockResolvedValue({ messageId: '<1@projectv>' }) };
+
+    expect(await dispatchOutbox(transport, config)).toEqual({ sent: 1, failed: 0 });
+    expect(transport.sendMail).toHaveBeenCalledWith({
+      from: config.from,
+      to: 'alice@example.com',
+      subject: 'Hi',
+      text: 'Hello'
+    });
+    expect(markMessageSent).toHaveBeenCalledWith(message, '<1@projectv>');
+  });
+
+  it('should schedule a retry for temporary failures and give up on permanent ones', async () => {
+    const transport = { sendMail: jest.fn().mockRejectedValueOnce(smtpError(421)).mockRejectedValueOnce(smtpError(550)) };
+
+    expect(await dispatchOutbox(transport, config)).toEqual({ sent: 0, failed: 1 });
+    expect(markMessageFailed).toHaveBeenLastCalledWith(message, expect.any(Error), 1000);
+
+    claimNextMessage.mockResolvedValueOnce(message).mockResolvedValueOnce(null);
+    await dispatchOutbox(transport, config);
+    expect(markMessageFailed).toHaveBeenLastCalledWith(message, expect.any(Error), null);
+  });
+});
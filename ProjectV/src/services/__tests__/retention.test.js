@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const policies = [];
+const countDocuments = jest.fn();
+const deleteMany = jest.fn();
+const collection = jest.fn((name) => (name === 'retention_policies'
+  ? { find: () => ({ sort: () => ({ toArray: async () => policies }) }) }
+  : { countDocuments, deleteMany }));
+jest.unstable_mockModule('../../config/db.js', () => ({ getDb: async () => ({ collection }) }));
+
+const recordAuditEvent = jest.fn();
+jest.unstable_mockModule('../../middleware/audit.js', () => ({ recordAuditEvent }));
+
+const {
+  isValidRetainDays,
+  retentionCutoff,
+  purgeDeletedDocuments,
+  runRetentionPolicies,
+  startRetentionScheduler
+} = await import('../retention.js');
+
+describe('Retention', () => {
+  const now = new Date('2025-04-01T00:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    policies.length = 0;
+  });
+
+  it('should accept whole days within the limit and compute the cutoff', () => {
+    expect(isValidRetainDays(90)).toBe(true);
+    expect([0, 1.5, '90', 3651].some(isValidRetainDays)).toBe(false);
+    expect(retentionCutoff(90, now)).toEqual(new Date('2025-01-01T00:00:00Z'));
+  });
+
+  it('should only ever purge soft-deleted documents and count them on a dry run', async () => {
+    countDocuments.mockResolvedValue(4);
+    deleteMany.mockResolvedValue({ deletedCount: 3 });
+    const filter = { status: 'void', deleted_at: { $exists: false } };
+
+    expect(await purgeDeletedDocuments('sales', filter, { dryRun: true })).toBe(4);
+    expect(deleteMany).not.toHaveBeenCalled();
+    expect(await purgeDeletedDocuments('sales', filter)).toBe(3);
+    expect(deleteMany).toHaveBeenCalledWith({ $and: [filter, { deleted_at: { $exists: true } }] });
+  });
+
+  it('should purge past retention, audit purges and skip reserved collections', async () => {
+    policies.push({ collection: 'sales', retain_days: 90 }, { collection: 'users', retain_days: 1 });
+    deleteMany.mockResolvedValue({ deletedCount: 2 });
+
+    const results = await runRetentionPolicies(now);
+
+    const cutoff = new Date('2025-01-01T00:00:00Z');
+    expect(results).toEqual([{ collection: 'sales', retain_days: 90, cutoff, purged: 2 }]);
+    expect(deleteMany).toHaveBeenCalledWith({
+      $and: [{ deleted_at: { $exists: true, $lt: cutoff } }, { deleted_at: { $exists: true } }]
+    });
+    expect(recordAuditEvent).toHaveBeenCalledWith('documents_purged', {
+      username: 'system',
+      reason: 'retention',
+      collection: 'sales',
+      retain_days: 90,
+      cutoff,
+      purged: 2
+    });
+  });
+
+  it('should keep going after a failing policy and audit failed and empty purges', async () => {
+    policies.push({ collection: 'orders', retain_days: 30 }, { collection: 'sales', retain_days: 90 });
+    deleteMany.mockRejectedValueOnce(new Error('timeout')).mockResolvedValueOnce({ deletedCount: 0 });
+
+    const results = await runRetentionPolicies(now);
+
+    expect(results.map((r) => r.error ?? r.purged)).toEqual(['timeout', 0]);
+    expect(recordAuditEvent).toHaveBeenCalledTimes(2);
+    expect(recordAuditEvent).toHaveBeenCalledWith('documents_purged', expect.objectContaining({
+      reason: 'retention',
+      collection: 'orders',
+      error: 'timeout'
+    }));
+    expect(recordAuditEvent).toHaveBeenCalledWith('documents_purged', expect.objectContaining({
+      collection: 'sales',
+      purged: 0
+    }));
+  });
+
+  it('should run once at startup, log failures and not keep the process alive', async () => {
+    collection.mockImplementationOnce(() => {
+      throw new Error('connection refused');
+    });
+
+    const timer = startRetentionScheduler();
+    await new Promise((resolve) => setImmediate(resolve));
+    clearInterval(timer);
+
+    expect(collection).toHaveBeenCalledWith('retention_policies');
+    expect(console.error).toHaveBeenCalledWith('Retention run failed:', 'connection refused');
+    expect(timer.hasRef()).toBe(false);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+const findOne = jest.fn();
+const updateOne = jest.fn();
+jest.unstable_mockModule('../../config/db.js', () => ({
+  getDb: async () => ({ collection: () => ({ findOne, updateOne }) })
+}));
+
+const {
+  revokeAllForUser,
+  isTokenRevoked,
+  waitForRevocationCutoff,
+  clearRevocationCache
+} = await import('../revocation.js');
+
+describe('Revocation', () => {
+  const revokedAt = new Date('2026-10-19T10:00:00.400Z');
+  const second = (iso) => Math.floor(new Date(iso).getTime() / 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: revokedAt });
+    clearRevocationCache();
+    findOne.mockResolvedValue(null);
+    updateOne.mockResolvedValue({ upsertedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should revoke tokens issued earlier in the same second as a logout-all', async () => {
+    await revokeAllForUser('cashier');
+
+    expect(updateOne.mock.calls[0][1].$set.revoked_before).toEqual(new Date('2026-10-19T10:00:01Z'));
+    expect(await isTokenRevoked({ username: 'cashier', iat: second('2026-10-19T10:00:00Z') })).toBe(true);
+    expect(await isTokenRevoked({ username: 'cashier', iat: second('2026-10-19T10:00:01Z') })).toBe(false);
+  });
+
+  it('should hold new tokens back until the revoking second has passed', async () => {
+    await revokeAllForUser('cashier');
+    let done = false;
+    const waiting = waitForRevocationCutoff('cashier').then(() => { done = true; });
+
+    await jest.advanceTimersByTimeAsync(599);
+    expect(done).toBe(false);
+    await jest.advanceTimersByTimeAsync(1);
+    await waiting;
+    expect(done).toBe(true);
+    expect(await isTokenRevoked({ username: 'cashier', iat: Math.floor(Date.now() / 1000) })).toBe(false);
+  });
+});
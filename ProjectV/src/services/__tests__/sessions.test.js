@@ -0,0 +1,39 @@
+import { describe, it, expect } from '@jest/globals';
+import { formatSession } from '../sessions.js';
+
+describe('Sessions', () => {
+  const session = {
+    session_id: 'a1b2',
+    username: 'cashier',
+    user_agent: 'POS/2.1',
+    ip: '10.0.0.7',
+    created_at: new Date('2026-01-01T08:00:00Z'),
+    last_seen_at: new Date('2026-01-01T09:30:00Z')
+  };
+
+  describe('formatSession', () => {
+    it('should flag the caller\'s own session as current', () => {
+      expect(formatSession(session, 'a1b2')).toMatchObject({ session_id: 'a1b2', active: true, current: true });
+      expect(formatSession(session, 'other').current).toBe(false);
+      expect(formatSession(session).current).toBe(false);
+    });
+
+    it('should include revocation details only for ended sessions', () => {
+      expect(formatSession(session)).not.toHaveProperty('revoked_at');
+
+      const revoked = formatSession({
+        ...session,
+        revoked_at: new Date('2026-01-01T10:00:00Z'),
+        revoked_by: 'admin',
+        revoked_reason: 'revoked_by_admin'
+      });
+      expect(revoked).toMatchObject({ active: false, revoked_by: 'admin', revoked_reason: 'revoked_by_admin' });
+    });
+
+    it('should not expose internal fields', () => {
+      const formatted = formatSession({ ...session, _id: 'x', expires_at: new Date() });
+      expect(formatted).not.toHaveProperty('_id');
+      expect(formatted).not.toHaveProperty('expires_at');
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from '@jest/globals';
+import { isPinLoginAllowed, parseTerminalKey } from '../terminals.js';
+
+describe('Terminals', () => {
+  describe('parseTerminalKey', () => {
+    it('should extract the terminal id of a well-formed key', () => {
+      expect(parseTerminalKey(`pvt_0123456789abcdef_${'A'.repeat(43)}`)).toBe('0123456789abcdef');
+    });
+
+    it('should reject malformed keys and API keys', () => {
+      expect(parseTerminalKey('pvt_0123456789abcdef_short')).toBeNull();
+      expect(parseTerminalKey(`pv_0a1b2c3d_${'A'.repeat(43)}`)).toBeNull();
+      expect(parseTerminalKey(undefined)).toBeNull();
+    });
+  });
+
+  describe('isPinLoginAllowed', () => {
+    it('should only allow the configured roles', () => {
+      expect(isPinLoginAllowed({ role: 'pos' }, ['pos'])).toBe(true);
+      expect(isPinLoginAllowed({ role: 'admin' }, ['pos'])).toBe(false);
+    });
+
+    it('should treat users without a role as the default role', () => {
+      expect(isPinLoginAllowed({}, ['user'])).toBe(true);
+      expect(isPinLoginAllowed({}, ['pos'])).toBe(false);
+    });
+
+    it('should refuse users with MFA enabled, even in an allowed role', () => {
+      expect(isPinLoginAllowed({ role: 'manager', mfa: { enabled: true } }, ['pos', 'manager'])).toBe(false);
+      expect(isPinLoginAllowed({ role: 'manager', mfa: { enabled: false } }, ['pos', 'manager'])).toBe(true);
+    });
+  });
+});
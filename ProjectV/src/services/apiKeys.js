@@ -0,0 +1,235 @@
+/**
+ * @file apiKeys.js
+ * @brief Scoped, revocable API keys for machine clients.
+ *
+ * Keys look like `pv_<prefix>_<secret>`. Only the SHA-256 hash of the
+ * full key is stored in the `api_keys` collection; the prefix is kept
+ * in clear text so admins can tell keys apart. A key acts as its owner
+ * but is limited to its `scopes`, which must be permissions the
+ * owner's role holds.
+ *
+ * Lookups are cached in-process for API_KEY_CACHE_TTL_MS (default
+ * 30000 ms). Revocations made by this process apply immediately;
+ * revocations on other instances, and owner role or status changes,
+ * apply once the cached entry expires.
+ */
+
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { getDb } from "../config/db.js";
+import { DEFAULT_ROLE, PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { findUser, isActiveUser } from "./users.js";
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js";
+import { createTtlCache } from "../utils/ttlCache.js";
+
+export const API_KEYS_COLLECTION = "api_keys";
+
+/**
+ * @brief Fields of API key documents that are safe to return.
+ */
+export const PUBLIC_API_KEY_PROJECTION = Object.freeze({ key_hash: 0 });
+
+/**
+ * @brief Lifetime of new keys when the request does not set one.
+ */
+export const API_KEY_DEFAULT_TTL_DAYS = Number(process.env.API_KEY_DEFAULT_TTL_DAYS) || 365;
+
+const CACHE_TTL_MS = Number(process.env.API_KEY_CACHE_TTL_MS) || 30000;
+
+/**
+ * @brief Minimum time between two `last_used_at` writes for a key.
+ */
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const API_KEY_PATTERN = /^pv_([a-f0-9]{8})_[A-Za-z0-9_-]{43}$/;
+
+const keyCache = createTtlCache();
+const touchCache = createTtlCache();
+
+/**
+ * @brief Extract the public prefix of an API key.
+ *
+ * @param {string} key Raw key as presented by the client.
+ * @returns {string|null} Prefix, or null when the key is malformed.
+ */
+export function parseApiKeyPrefix(key) {
+  const match = typeof key === "string" ? API_KEY_PATTERN.exec(key) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * @brief Check requested scopes against the owner's role.
+ *
+ * @param {unknown} scopes Requested scopes.
+ * @param {string} [role]  Owner's role.
+ * @returns {string[]} Problems found, empty when the scopes are valid.
+ */
+export function validateScopes(scopes, role) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return ["scopes must be a non-empty array of permissions"];
+  }
+  const problems = [];
+  for (const scope of scopes) {
+    if (!PERMISSIONS.includes(scope)) {
+      problems.push(`unknown permission ${scope}`);
+    } else if (!hasPermission(role || DEFAULT_ROLE, scope)) {
+      problems.push(`owner's role does not grant ${scope}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * @brief Create an API key.
+ *
+ * @param {Object} options
+ * @param {string} options.name       Human readable label.
+ * @param {string} options.owner      Username the key acts as.
+ * @param {string[]} options.scopes   Permissions granted to the key.
+ * @param {Date} options.expiresAt    Expiry of the key.
+ * @param {{ username?: string }} [createdBy] Admin creating the key.
+ * @returns {Promise<{ key: string, doc: Object }>} Raw key (shown once) and the stored document without its hash.
+ */
+export async function createApiKey({ name, owner, scopes, expiresAt }, createdBy) {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const key = `pv_${prefix}_${generateOpaqueToken()}`;
+  const doc = {
+    name,
+    prefix,
+    key_hash: hashToken(key),
+    owner,
+    scopes: [...new Set(scopes)],
+    created_at: new Date(),
+    created_by: createdBy?.username || "system",
+    expires_at: expiresAt,
+    last_used_at: null
+  };
+
+  const db = await getDb();
+  const { insertedId } = await db.collection(API_KEYS_COLLECTION).insertOne(doc);
+  const { key_hash: _hash, ...publicDoc } = doc;
+  return { key, doc: { _id: insertedId, ...publicDoc } };
+}
+
+/**
+ * @brief List API keys, newest first.
+ *
+ * @param {{ owner?: string }} [filter] Optional owner filter.
+ * @returns {Promise<Object[]>} Key documents without their hashes.
+ */
+export async function listApiKeys({ owner } = {}) {
+  const db = await getDb();
+  return db.collection(API_KEYS_COLLECTION)
+    .find(owner ? { owner } : {}, { projection: PUBLIC_API_KEY_PROJECTION })
+    .sort({ created_at: -1 })
+    .toArray();
+}
+
+/**
+ * @brief Fetch one API key by id.
+ *
+ * @param {string} id Key id.
+ * @returns {Promise<Object|null>} Key document without its hash, or null.
+ */
+export async function getApiKey(id) {
+  if (!ObjectId.isValid(id)) return null;
+  const db = await getDb();
+  return db.collection(API_KEYS_COLLECTION).findOne(
+    { _id: new ObjectId(id) },
+    { projection: PUBLIC_API_KEY_PROJECTION }
+  );
+}
+
+/**
+ * @brief Revoke an API key.
+ *
+ * @param {string} id Key id.
+ * @param {{ username?: string }} [revokedBy] Admin revoking the key.
+ * @returns {Promise<boolean>} True when an active key was revoked.
+ */
+export async function revokeApiKey(id, revokedBy) {
+  if (!ObjectId.isValid(id)) return false;
+  const db = await getDb();
+  const doc = await db.collection(API_KEYS_COLLECTION).findOneAndUpdate(
+    { _id: new ObjectId(id), revoked_at: { $exists: false } },
+    { $set: { revoked_at: new Date(), revoked_by: revokedBy?.username || "system" } }
+  );
+  if (!doc) return false;
+  keyCache.delete(doc.key_hash);
+  return true;
+}
+
+/**
+ * @brief Load a key and its owner, using the cache.
+ *
+ * @param {string} keyHash Hash of the presented key.
+ * @returns {Promise<{ key: Object, owner: Object|null }|null>} Cached lookup result.
+ */
+async function lookupApiKey(keyHash) {
+  const cached = keyCache.get(keyHash);
+  if (cached !== undefined) return cached;
+
+  const db = await getDb();
+  const key = await db.collection(API_KEYS_COLLECTION).findOne({ key_hash: keyHash });
+  const entry = key ? { key, owner: await findUser(key.owner) } : null;
+  keyCache.set(keyHash, entry, CACHE_TTL_MS);
+  return entry;
+}
+
+/**
+ * @brief Record that a key was used, at most once per minute.
+ *
+ * Runs in the background; failures are logged and ignored.
+ *
+ * @param {Object} key API key document.
+ */
+function touchApiKey(key) {
+  const id = String(key._id);
+  if (touchCache.get(id)) return;
+  touchCache.set(id, true, LAST_USED_RESOLUTION_MS);
+
+  getDb()
+    .then((db) => db.collection(API_KEYS_COLLECTION).updateOne(
+      { _id: key._id },
+      { $set: { last_used_at: new Date() } }
+    ))
+    .catch((err) => console.error("API key last_used_at update failed:", err.message));
+}
+
+/**
+ * @brief Resolve a raw API key to the identity it acts as.
+ *
+ * @param {string} rawKey Key as presented by the client.
+ * @returns {Promise<Object|null>} req.user-shaped principal, or null when
+ *   the key is unknown, revoked, expired or its owner is inactive.
+ */
+export async function authenticateApiKey(rawKey) {
+  if (!parseApiKeyPrefix(rawKey)) return null;
+
+  const entry = await lookupApiKey(hashToken(rawKey));
+  if (!entry) return null;
+
+  const { key, owner } = entry;
+  if (key.revoked_at || key.expires_at <= new Date() || !isActiveUser(owner)) {
+    return null;
+  }
+
+  touchApiKey(key);
+  return {
+    username: owner.username,
+    email: owner.email,
+    role: owner.role || DEFAULT_ROLE,
+    scopes: key.scopes,
+    api_key: { id: String(key._id), prefix: key.prefix, name: key.name }
+  };
+}
+
+/**
+ * @brief Drop all cached API key lookups.
+ *
+ * Mainly useful in tests.
+ */
+export function clearApiKeyCache() {
+  keyCache.clear();
+  touchCache.clear();
+}
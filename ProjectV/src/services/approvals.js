@@ -0,0 +1,97 @@
+/**
+ * @file approvals.js
+ * @brief Manager approval tokens for sensitive register actions.
+ *
+ * A manager authenticates at POST /auth/approve on the cashier's
+ * session and the cashier receives an approval token: a short-lived
+ * JWT with `purpose: "approval"` naming the approver, the cashier, the
+ * action and the resource. It is only valid for that exact action and
+ * resource, for that cashier (and session), and only once.
+ *
+ * Settings (environment):
+ *  - APPROVAL_TTL_SECONDS  lifetime of approval tokens (default 120)
+ */
+
+import { generateToken, verifyToken } from "../middleware/auth.js";
+import { DEFAULT_ROLE } from "../config/permissions.js";
+import { consumeToken } from "./revocation.js";
+
+/**
+ * @brief Lifetime of approval tokens in seconds.
+ */
+export const APPROVAL_TTL_SECONDS = Number(process.env.APPROVAL_TTL_SECONDS) || 120;
+
+/**
+ * @brief Issue an approval token.
+ *
+ * @param {Object} options
+ * @param {Object} options.approver   Approving manager's user document.
+ * @param {Object} options.requester  req.user of the cashier asking for approval.
+ * @param {string} options.action     Approved action, e.g. "sale.void".
+ * @param {string} options.resource   Resource the action applies to.
+ * @returns {string} Signed approval token.
+ */
+export function issueApprovalToken({ approver, requester, action, resource }) {
+  return generateToken(
+    {
+      purpose: "approval",
+      approved_by: approver.username,
+      approver_role: approver.role || DEFAULT_ROLE,
+      requested_by: requester.username,
+      ...(requester.sid && { sid: requester.sid }),
+      action,
+      resource
+    },
+    APPROVAL_TTL_SECONDS
+  );
+}
+
+/**
+ * @brief Check verified approval claims against the request they are used for.
+ *
+ * @param {Object} claims Verified token claims.
+ * @param {{ action: string, resource: string, requester: Object }} expected What is being done, and by whom.
+ * @returns {string|null} Why the approval does not apply, or null when it does.
+ */
+export function checkApprovalClaims(claims, { action, resource, requester }) {
+  if (claims.purpose !== "approval") return "not an approval token";
+  if (claims.action !== action) return `approval is for ${claims.action}, not ${action}`;
+  if (claims.resource !== resource) return "approval is for another resource";
+  if (claims.requested_by !== requester.username) return "approval was issued to another user";
+  if (claims.sid && claims.sid !== requester.sid) return "approval was issued to another session";
+  return null;
+}
+
+/**
+ * @brief Verify and consume an approval token.
+ *
+ * @param {string} token Approval token from the `X-Approval-Token` header.
+ * @param {{ action: string, resource: string, requester: Object }} expected What is being done, and by whom.
+ * @returns {Promise<{ approval: Object }|{ error: string }>} Approval details for the audit log, or why it was refused.
+ */
+export async function redeemApprovalToken(token, expected) {
+  let claims;
+  try {
+    claims = verifyToken(token);
+  } catch {
+    return { error: "invalid or expired approval token" };
+  }
+
+  const problem = checkApprovalClaims(claims, expected);
+  if (problem) return { error: problem };
+
+  if (!(await consumeToken({ jti: claims.jti, username: claims.approved_by, exp: claims.exp }))) {
+    return { error: "approval token was already used" };
+  }
+
+  return {
+    approval: {
+      approved_by: claims.approved_by,
+      approver_role: claims.approver_role,
+      action: claims.action,
+      resource: claims.resource,
+      approved_at: new Date(claims.iat * 1000),
+      jti: claims.jti
+    }
+  };
+}
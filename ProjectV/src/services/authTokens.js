@@ -0,0 +1,95 @@
+/**
+ * @file authTokens.js
+ * @brief Token responses issued after a successful sign-in.
+ *
+ * Every flow that completes a sign-in (password login, refresh, MFA
+ * verification, ...) builds its response here so clients always get
+ * the same shape. OAuth client tokens use the RFC 6749 response shape.
+ */
+
+import crypto from "crypto";
+import { generateToken, ACCESS_TOKEN_TTL_SECONDS } from "../middleware/auth.js";
+import { issueRefreshToken } from "./refreshTokens.js";
+import { waitForRevocationCutoff } from "./revocation.js";
+import { recordSession } from "./sessions.js";
+import { DEFAULT_ROLE } from "../config/permissions.js";
+
+/**
+ * @brief Build the token response for an authenticated user.
+ *
+ * Issues a short-lived access token and a refresh token. When a
+ * refresh token is supplied it is returned as-is (rotation already
+ * happened) and the session continues; otherwise a new token family,
+ * and with it a new session, is started. The access token carries the
+ * session id as its `sid` claim and, for PIN logins, the POS terminal
+ * as `terminal_id`. Sign-ins through an OpenID Connect client also
+ * bind the token (and its refresh token) to the client with the
+ * granted scopes as `client_id` and `scope` claims, which limits the
+ * user's permissions to those scopes.
+ *
+ * Right after a "log out everywhere" of the user this waits up to a
+ * second, so the new access token is not covered by it.
+ *
+ * @param {Object} user User document from the `users` collection.
+ * @param {Object} [options]
+ * @param {import("express").Request} [options.req] Request, for the session's IP and user agent.
+ * @param {string} [options.refreshToken] Already issued (rotated) refresh token.
+ * @param {string} [options.sessionId]    Session (token family) of that refresh token.
+ * @param {string} [options.terminalId]   POS terminal the session is bound to.
+ * @param {string} [options.clientId]     OAuth client the user signed in through.
+ * @param {string[]} [options.scopes]     Scopes granted to that client.
+ * @returns {Promise<Object>} JSON body for the response.
+ */
+export async function buildTokenResponse(user, {
+  req,
+  refreshToken,
+  sessionId = crypto.randomUUID(),
+  terminalId,
+  clientId,
+  scopes = []
+} = {}) {
+  const role = user.role || DEFAULT_ROLE;
+  const scope = scopes.join(" ");
+  await recordSession(sessionId, user.username, req, terminalId);
+  await waitForRevocationCutoff(user.username);
+  const token = generateToken({
+    username: user.username,
+    email: user.email,
+    role,
+    sid: sessionId,
+    ...(terminalId && { terminal_id: terminalId }),
+    ...(clientId && { client_id: clientId, scope })
+  });
+  return {
+    ok: true,
+    token,
+    token_type: "Bearer",
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token: refreshToken || await issueRefreshToken(user.username, sessionId, { terminalId, clientId, scope: scopes }),
+    ...(clientId && { scope }),
+    user: { username: user.username, email: user.email, role }
+  };
+}
+
+/**
+ * @brief Build the RFC 6749 token response for an OAuth client.
+ *
+ * The access token has the client as subject (`sub` and `client_id`)
+ * and the granted permissions as a space-delimited `scope` claim.
+ *
+ * @param {Object} client           Client document from `oauth_clients`.
+ * @param {string[]} scopes         Granted scopes.
+ * @param {string} [refreshToken]   Already issued refresh token.
+ * @returns {Promise<Object>} JSON body for the response.
+ */
+export async function buildClientTokenResponse(client, scopes, refreshToken) {
+  const scope = scopes.join(" ");
+  const accessToken = generateToken({ sub: client.client_id, client_id: client.client_id, scope });
+  return {
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token: refreshToken || await issueRefreshToken(null, undefined, { clientId: client.client_id, scope: scopes }),
+    scope
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * @file collectionAcl.js
+ * @brief Per-collection access control lists.
+ *
+ * ACL entries live in the `collection_acls` collection, one document
+ * per (collection, principal) pair:
+ *
+ *     { collection: "WorkOrders", principal: "role:facilities", access: ["read", "write"] }
+ *
+ * `collection` may be `*` to match every collection and `principal` is
+ * `role:<role>`, `user:<username>` or `client:<client_id>` (OAuth
+ * clients). A caller's access to a
+ * collection is the union of all entries matching them. Collections
+ * that no entry covers fall back to ACL_DEFAULT_POLICY ("allow" keeps
+ * the pre-ACL behaviour, "deny" requires an explicit grant).
+ *
+ * Callers holding the `acl:manage` permission bypass ACLs, since they
+ * could grant themselves access anyway. Scopes count: an API key or
+ * OAuth token of an admin without the `acl:manage` scope does not
+ * bypass them.
+ */
+
+import { getDb } from "../config/db.js";
+import { holdsPermission } from "../middleware/auth.js";
+import { createTtlCache } from "../utils/ttlCache.js";
+import { getCreateMetadata, getUpdateMetadata } from "../utils/softDelete.js";
+
+export const COLLECTION_ACLS_COLLECTION = "collection_acls";
+
+/**
+ * @brief Access levels an ACL entry can grant.
+ */
+export const ACL_ACCESS = Object.freeze(["read", "write", "delete"]);
+
+const ACL_DEFAULT_POLICY = process.env.ACL_DEFAULT_POLICY === "deny" ? "deny" : "allow";
+const CACHE_TTL_MS = Number(process.env.ACL_CACHE_TTL_MS) || 30000;
+
+const cache = createTtlCache({ maxEntries: 1 });
+
+/**
+ * @brief Load all ACL entries, cached in-process.
+ *
+ * The ACL table is small, so it is read as a whole and reused until
+ * the cache expires or an entry is changed through this process.
+ *
+ * @returns {Promise<Object[]>} ACL entry documents.
+ */
+async function loadAclEntries() {
+  const cached = cache.get("entries");
+  if (cached) return cached;
+
+  const db = await getDb();
+  const entries = await db.collection(COLLECTION_ACLS_COLLECTION).find({}).toArray();
+  cache.set("entries", entries, CACHE_TTL_MS);
+  return entries;
+}
+
+/**
+ * @brief Compute a user's access to a collection from ACL entries.
+ *
+ * @param {Object[]} entries   ACL entry documents.
+ * @param {string} collection  Collection name.
+ * @param {{ username?: string, role?: string, client_id?: string }} user Authenticated user or client.
+ * @param {string} [defaultPolicy=ACL_DEFAULT_POLICY] Policy for uncovered collections.
+ * @returns {string[]} Granted access levels.
+ */
+export function resolveAccess(entries, collection, user, defaultPolicy = ACL_DEFAULT_POLICY) {
+  if (holdsPermission(user, "acl:manage")) return [...ACL_ACCESS];
+
+  const covering = entries.filter((entry) => entry.collection === collection || entry.collection === "*");
+  if (covering.length === 0) {
+    return defaultPolicy === "allow" ? [...ACL_ACCESS] : [];
+  }
+
+  const principals = [
+    user?.role && `role:${user.role}`,
+    user?.username && `user:${user.username}`,
+    user?.client_id && `client:${user.client_id}`
+  ].filter(Boolean);
+  const granted = new Set();
+  for (const entry of covering) {
+    if (principals.includes(entry.principal)) {
+      entry.access.forEach((access) => granted.add(access));
+    }
+  }
+  return ACL_ACCESS.filter((access) => granted.has(access));
+}
+
+/**
+ * @brief Get a user's access levels for a collection.
+ *
+ * @param {string} collection Collection name.
+ * @param {{ username?: string, role?: string }} user Authenticated user.
+ * @returns {Promise<string[]>} Granted access levels.
+ */
+export async function getCollectionAccess(collection, user) {
+  return resolveAccess(await loadAclEntries(), collection, user);
+}
+
+/**
+ * @brief Keep only the collections a user has any access to.
+ *
+ * @param {string[]} collections Collection names.
+ * @param {{ username?: string, role?: string }} user Authenticated user.
+ * @returns {Promise<string[]>} Accessible collection names.
+ */
+export async function filterAccessibleCollections(collections, user) {
+  const entries = await loadAclEntries();
+  return collections.filter((name) => resolveAccess(entries, name, user).length > 0);
+}
+
+/**
+ * @brief List ACL entries.
+ *
+ * @param {{ collection?: string }} [query] Optional collection filter.
+ * @returns {Promise<Object[]>} ACL entry documents.
+ */
+export async function listAclEntries({ collection } = {}) {
+  const db = await getDb();
+  return db.collection(COLLECTION_ACLS_COLLECTION)
+    .find(collection ? { collection } : {})
+    .sort({ collection: 1, principal: 1 })
+    .toArray();
+}
+
+/**
+ * @brief Create or replace an ACL entry.
+ *
+ * @param {string} collection Collection name or `*`.
+ * @param {string} principal  `role:<role>` or `user:<username>`.
+ * @param {string[]} access   Access levels to grant.
+ * @param {{ username?: string }} user Authenticated user making the change.
+ * @returns {Promise<Object>} The stored entry.
+ */
+export async function setAclEntry(collection, principal, access, user) {
+  const db = await getDb();
+  const entry = await db.collection(COLLECTION_ACLS_COLLECTION).findOneAndUpdate(
+    { collection, principal },
+    {
+      $set: { access, ...getUpdateMetadata(user) },
+      $setOnInsert: { collection, principal, ...getCreateMetadata(user) }
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+  cache.clear();
+  return entry;
+}
+
+/**
+ * @brief Remove an ACL entry.
+ *
+ * @param {string} collection Collection name or `*`.
+ * @param {string} principal  `role:<role>` or `user:<username>`.
+ * @returns {Promise<boolean>} True when an entry was removed.
+ */
+export async function deleteAclEntry(collection, principal) {
+  const db = await getDb();
+  const result = await db.collection(COLLECTION_ACLS_COLLECTION).deleteOne({ collection, principal });
+  cache.clear();
+  return result.deletedCount > 0;
+}
@@ -0,0 +1,83 @@
+/**
+ * @file emailVerification.js
+ * @brief Confirming that users own their email address.
+ *
+ * A verification message with a single-use token is sent to the
+ * address; redeeming the token at POST /auth/email/verify sets
+ * `users.email_verified_at`. The token is bound to the address it was
+ * sent to, so it stops working when the email changes, and changing the
+ * email clears the verification. Only verified addresses receive
+ * security notices (see notifications.js).
+ *
+ * Settings (environment):
+ *  - EMAIL_VERIFICATION_TTL_HOURS  lifetime of verification tokens (default 48)
+ */
+
+import { getDb } from "../config/db.js";
+import { issueOneTimeToken, consumeOneTimeToken } from "./oneTimeTokens.js";
+import { buildActionLink, enqueueEmail } from "./outbox.js";
+import { USERS_COLLECTION } from "./users.js";
+import { addSoftDeleteFilter } from "../utils/softDelete.js";
+
+/**
+ * @brief Lifetime of verification tokens in hours.
+ */
+export const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+/**
+ * @brief Check whether a user's current email address is verified.
+ *
+ * @param {Object|null} user User document.
+ * @returns {boolean} True when the user has an email and it was verified.
+ */
+export function isEmailVerified(user) {
+  return !!user?.email && !!user.email_verified_at;
+}
+
+/**
+ * @brief Send a verification message to a user's email address.
+ *
+ * Replaces any earlier unused verification token of the user.
+ *
+ * @param {Object} user User document with an `email`.
+ * @param {{ username?: string }} [requestedBy] User requesting the verification.
+ * @returns {Promise<{ email: string, expiresAt: Date }>} Address and token expiry.
+ */
+export async function sendEmailVerification(user, requestedBy) {
+  const { token, expiresAt } = await issueOneTimeToken(
+    "email_verification",
+    user.username,
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60,
+    requestedBy,
+    { email: user.email }
+  );
+  await enqueueEmail("email_verification", user.email, {
+    username: user.username,
+    token,
+    link: buildActionLink("/verify-email", token),
+    expiresAt
+  }, user.username);
+  return { email: user.email, expiresAt };
+}
+
+/**
+ * @brief Redeem a verification token.
+ *
+ * @param {string} token Raw token from the message.
+ * @returns {Promise<{ username: string, email: string, verifiedAt: Date }|null>}
+ *          Verified address, or null when the token is invalid, expired, used,
+ *          or the user's email changed since it was sent.
+ */
+export async function verifyEmail(token) {
+  const pending = await consumeOneTimeToken("email_verification", token);
+  if (!pending) return null;
+
+  const verifiedAt = new Date();
+  const db = await getDb();
+  const result = await db.collection(USERS_COLLECTION).updateOne(
+    addSoftDeleteFilter({ username: pending.username, email: pending.email }),
+    { $set: { email_verified_at: verifiedAt } }
+  );
+  if (result.matchedCount === 0) return null;
+  return { username: pending.username, email: pending.email, verifiedAt };
+}
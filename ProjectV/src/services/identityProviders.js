@@ -0,0 +1,143 @@
+/**
+ * @file identityProviders.js
+ * @brief Pluggable identity providers for password sign-in.
+ *
+ * IDENTITY_PROVIDERS lists the providers tried at login, in order
+ * (comma separated, default "local"):
+ *
+ *  - local  password hash stored in the `users` collection
+ *  - ldap   bind against a corporate directory (services/ldapProvider.js)
+ *
+ * The first provider that accepts the credentials wins. Users record
+ * the provider that created them in `source`, and later password
+ * checks (MFA disable, PIN changes, approvals) go to that provider.
+ *
+ * A provider is an object `{ name, authenticate(username, password),
+ * verify(user, password) }`: authenticate returns the user document
+ * (provisioning it if needed) or null, verify checks the password of
+ * an existing user.
+ */
+
+import { findUser, upgradePasswordHash, verifyUserPassword } from "./users.js";
+import { createLdapProvider } from "./ldapProvider.js";
+
+/**
+ * @brief Provider backed by the password hashes in `users`.
+ *
+ * A successful sign-in upgrades a hash made with outdated parameters.
+ */
+const localProvider = Object.freeze({
+  name: "local",
+  async authenticate(username, password) {
+    const user = await findUser(username);
+    if (!(await verifyUserPassword(user, password))) return null;
+    await upgradePasswordHash(user, password);
+    return user;
+  },
+  verify: verifyUserPassword
+});
+
+/**
+ * @brief Factories of the known providers.
+ */
+const PROVIDER_FACTORIES = Object.freeze({
+  local: () => localProvider,
+  ldap: () => createLdapProvider()
+});
+
+/**
+ * @brief Parse an IDENTITY_PROVIDERS specification.
+ *
+ * @param {string} [spec] Comma separated provider names.
+ * @returns {string[]} Provider names in order, without duplicates; ["local"] when empty.
+ * @throws {Error} On unknown provider names.
+ */
+export function parseProviderList(spec) {
+  const names = (spec || "").split(",").map((name) => name.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!Object.hasOwn(PROVIDER_FACTORIES, name)) {
+      throw new Error(`IDENTITY_PROVIDERS: unknown provider "${name}" (expected ${Object.keys(PROVIDER_FACTORIES).join(", ")})`);
+    }
+  }
+  return names.length > 0 ? [...new Set(names)] : ["local"];
+}
+
+let providers = null;
+
+/**
+ * @brief Build the HTTP 503 error reported when a provider cannot be reached.
+ *
+ * @param {Object} provider Failed provider.
+ * @param {Error} cause     Underlying error, logged.
+ * @returns {Error} Error with `status` 503 for the error handler.
+ */
+function unavailableError(provider, cause) {
+  console.error(`Identity provider ${provider.name} failed:`, cause.message);
+  const err = new Error(`Identity provider ${provider.name} is unavailable`);
+  err.status = 503;
+  return err;
+}
+
+/**
+ * @brief Get the configured providers, creating them on first use.
+ *
+ * Called at startup so misconfiguration fails fast.
+ *
+ * @returns {Object[]} Providers in login order.
+ * @throws {Error} When IDENTITY_PROVIDERS or a provider's settings are invalid.
+ */
+export function getIdentityProviders() {
+  if (!providers) {
+    providers = parseProviderList(process.env.IDENTITY_PROVIDERS).map((name) => PROVIDER_FACTORIES[name]());
+  }
+  return providers;
+}
+
+/**
+ * @brief Sign a user in with a username and password.
+ *
+ * Tries each configured provider in order. When none accepts the
+ * credentials but one of them failed (e.g. the directory is down),
+ * throws an HTTP 503 error instead of reporting bad credentials, so
+ * the failure is not counted against the user.
+ *
+ * @param {string} username Username typed at sign-in.
+ * @param {string} password Password typed at sign-in.
+ * @returns {Promise<Object|null>} User document, or null for invalid credentials.
+ * @throws {Error} With status 503 when a provider was unavailable.
+ */
+export async function authenticatePassword(username, password) {
+  let unavailable = null;
+  for (const provider of getIdentityProviders()) {
+    try {
+      const user = await provider.authenticate(username, password);
+      if (user) return user;
+    } catch (err) {
+      unavailable = unavailableError(provider, err);
+    }
+  }
+
+  if (unavailable) throw unavailable;
+  return null;
+}
+
+/**
+ * @brief Check the password of an existing user with the provider that manages them.
+ *
+ * @param {Object|null} user User document.
+ * @param {string} password  Password to check.
+ * @returns {Promise<boolean>} True when the password is correct; false when the
+ *          user's provider is no longer configured.
+ * @throws {Error} With status 503 when the provider is unavailable.
+ */
+export async function verifyPassword(user, password) {
+  const source = user?.source || "local";
+  const provider = getIdentityProviders().find((candidate) => candidate.name === source);
+  if (!provider) return false;
+
+  try {
+    return await provider.verify(user, password);
+  } catch (err) {
+    throw unavailableError(provider, err);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * @file impersonation.js
+ * @brief Access tokens that let an admin act as another user.
+ *
+ * Support staff reproduce what a cashier sees by signing in as them.
+ * An impersonation token carries the impersonated user's identity and
+ * role like any access token, plus an RFC 8693 `act` claim naming the
+ * admin really making the requests. It has no refresh token and is
+ * tied to the admin's own session (`act.sid`): ending that session
+ * ends the impersonation too.
+ *
+ * Settings (environment):
+ *  - IMPERSONATION_TTL_SECONDS  lifetime of impersonation tokens (default 900)
+ */
+
+import { generateToken } from "../middleware/auth.js";
+import { DEFAULT_ROLE } from "../config/permissions.js";
+
+/**
+ * @brief Lifetime of impersonation tokens in seconds.
+ */
+export const IMPERSONATION_TTL_SECONDS = Number(process.env.IMPERSONATION_TTL_SECONDS) || 900;
+
+/**
+ * @brief Build the claims of an impersonation token.
+ *
+ * @param {Object} target User document of the impersonated user.
+ * @param {Object} actor  req.user of the admin starting the impersonation.
+ * @returns {Object} Token claims.
+ */
+export function buildImpersonationClaims(target, actor) {
+  return {
+    username: target.username,
+    email: target.email,
+    role: target.role || DEFAULT_ROLE,
+    act: {
+      sub: actor.username,
+      ...(actor.role && { role: actor.role }),
+      ...(actor.sid && { sid: actor.sid })
+    }
+  };
+}
+
+/**
+ * @brief Issue an impersonation token.
+ *
+ * @param {Object} target User document of the impersonated user.
+ * @param {Object} actor  req.user of the admin starting the impersonation.
+ * @returns {string} Signed access token valid for IMPERSONATION_TTL_SECONDS.
+ */
+export function issueImpersonationToken(target, actor) {
+  return generateToken(buildImpersonationClaims(target, actor), IMPERSONATION_TTL_SECONDS);
+}
+
+/**
+ * @brief Describe the impersonation behind a request, for /auth/me.
+ *
+ * @param {Object} [user] req.user.
+ * @returns {Object|null} `{ impersonated_by, started_at, expires_at }`, or null when not impersonating.
+ */
+export function describeImpersonation(user) {
+  if (!user?.act?.sub) return null;
+  return {
+    impersonated_by: user.act.sub,
+    started_at: new Date(user.iat * 1000),
+    expires_at: new Date(user.exp * 1000)
+  };
+}
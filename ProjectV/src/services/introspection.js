@@ -0,0 +1,121 @@
+/**
+ * @file introspection.js
+ * @brief Token introspection (RFC 7662) for trusted services.
+ *
+ * Reports whether an access token (JWT) or refresh token is currently
+ * usable. Unlike the RFC's minimal `{ active: false }`, genuine but
+ * unusable tokens also get their claims and a `revoked` flag, since
+ * callers are trusted services debugging rejected requests. Tokens
+ * that fail signature checks or are unknown only get `{ active: false }`.
+ */
+
+import { verifyToken } from "../middleware/auth.js";
+import { isTokenRevoked } from "./revocation.js";
+import { findRefreshToken } from "./refreshTokens.js";
+import { isSessionRevoked } from "./sessions.js";
+
+/**
+ * @brief Describe a verified access token.
+ *
+ * @param {Object} claims Verified JWT claims (expiry not enforced).
+ * @param {{ revoked: boolean, now?: number }} state Revocation status and current time (epoch ms).
+ * @returns {Object} Introspection response.
+ */
+export function describeAccessToken(claims, { revoked, now = Date.now() }) {
+  const expired = typeof claims.exp === "number" && claims.exp * 1000 <= now;
+  return {
+    active: !revoked && !expired,
+    token_type: "access_token",
+    sub: claims.sub || claims.username,
+    ...(claims.username && { username: claims.username, role: claims.role }),
+    ...(claims.client_id && { client_id: claims.client_id }),
+    ...(claims.scope && { scope: claims.scope }),
+    iat: claims.iat,
+    exp: claims.exp,
+    jti: claims.jti,
+    ...(claims.sid && { sid: claims.sid }),
+    ...(claims.act && { act: claims.act }),
+    revoked,
+    expired
+  };
+}
+
+/**
+ * @brief Describe a stored refresh token.
+ *
+ * @param {Object} doc  Refresh token document.
+ * @param {number} [now] Current time (epoch ms).
+ * @returns {Object} Introspection response.
+ */
+export function describeRefreshToken(doc, now = Date.now()) {
+  const revoked = !!(doc.revoked_at || doc.rotated_at);
+  const revokedReason = doc.revoked_reason || (doc.rotated_at ? "rotated" : null);
+  const expired = doc.expires_at.getTime() <= now;
+  return {
+    active: !revoked && !expired,
+    token_type: "refresh_token",
+    sub: doc.username || doc.client_id,
+    ...(doc.username && { username: doc.username }),
+    ...(doc.client_id && { client_id: doc.client_id, scope: doc.scope.join(" ") }),
+    iat: Math.floor(doc.created_at.getTime() / 1000),
+    exp: Math.floor(doc.expires_at.getTime() / 1000),
+    revoked,
+    ...(revokedReason && { revoked_reason: revokedReason }),
+    expired
+  };
+}
+
+/**
+ * @brief Introspect a token.
+ *
+ * JWT-shaped tokens are checked as access tokens (signature, expiry and
+ * revocation list), anything else as a refresh token. The hint only
+ * changes which lookup runs first.
+ *
+ * @param {string} token Raw token.
+ * @param {string} [tokenTypeHint] "access_token" or "refresh_token".
+ * @returns {Promise<Object>} Introspection response.
+ */
+export async function introspectToken(token, tokenTypeHint) {
+  const looksLikeJwt = token.split(".").length === 3;
+  const order = tokenTypeHint === "refresh_token" || !looksLikeJwt
+    ? [introspectRefreshToken, introspectAccessToken]
+    : [introspectAccessToken, introspectRefreshToken];
+
+  for (const introspect of order) {
+    const result = await introspect(token);
+    if (result) return result;
+  }
+  return { active: false };
+}
+
+/**
+ * @brief Introspect a JWT access token.
+ *
+ * @param {string} token Raw token.
+ * @returns {Promise<Object|null>} Response, or null when it is not a genuine access token.
+ */
+async function introspectAccessToken(token) {
+  let claims;
+  try {
+    claims = verifyToken(token, { ignoreExpiration: true });
+  } catch {
+    return null;
+  }
+  // Purpose-bound tokens (MFA challenges) and ID tokens never grant access.
+  if (claims.purpose || claims.aud) return { active: false };
+  const sessionId = claims.sid || claims.act?.sid;
+  const revoked = await isTokenRevoked(claims) || (!!sessionId && await isSessionRevoked(sessionId));
+  return describeAccessToken(claims, { revoked });
+}
+
+/**
+ * @brief Introspect an opaque refresh token.
+ *
+ * @param {string} token Raw token.
+ * @returns {Promise<Object|null>} Response, or null when the token is unknown.
+ */
+async function introspectRefreshToken(token) {
+  const doc = await findRefreshToken(token);
+  return doc ? describeRefreshToken(doc) : null;
+}
@@ -0,0 +1,113 @@
+/**
+ * @file ldapProvider.js
+ * @brief LDAP identity provider: password sign-in against a directory.
+ *
+ * Signs in with the classic search-and-bind: the service account
+ * (LDAP_BIND_DN) searches LDAP_USER_BASE_DN for the username, then the
+ * found entry is bound with the password the user typed. The user's
+ * groups (memberOf) decide their role through LDAP_GROUP_ROLES, and
+ * the account is provisioned in `users` just in time on first sign-in
+ * (see users.upsertExternalUser). Settings are described in
+ * config/ldap.js.
+ */
+
+import { Client, InvalidCredentialsError } from "ldapts";
+import { assertLdapConfig, getLdapConfig } from "../config/ldap.js";
+import { attributeValues, buildUserFilter, normalizeDn, resolveRoleFromGroups } from "../utils/ldap.js";
+import { upsertExternalUser } from "./users.js";
+
+/**
+ * @brief Create the LDAP identity provider.
+ *
+ * @param {Object} [config] LDAP settings (defaults to getLdapConfig()).
+ * @returns {{ name: string, authenticate: Function, verify: Function }} Identity provider.
+ * @throws {Error} When required settings are missing.
+ */
+export function createLdapProvider(config = getLdapConfig()) {
+  assertLdapConfig(config);
+
+  /**
+   * @brief Find a user in the directory and check their password.
+   *
+   * @param {string} username Username typed at sign-in.
+   * @param {string} password Password typed at sign-in.
+   * @returns {Promise<{ dn: string, username: string, email: string|null, groups: string[] }|null>}
+   *          Directory profile, or null for unknown users and wrong passwords.
+   * @throws {Error} When the directory cannot be reached or the service bind fails.
+   */
+  async function lookup(username, password) {
+    // An empty password would be an unauthenticated bind, which succeeds.
+    if (typeof password !== "string" || !password) return null;
+
+    const client = new Client({ url: config.url, timeout: config.timeoutMs, connectTimeout: config.timeoutMs });
+    try {
+      if (config.startTls) await client.startTLS();
+      if (config.bindDn) await client.bind(config.bindDn, config.bindPassword);
+
+      const { searchEntries } = await client.search(config.userBaseDn, {
+        scope: "sub",
+        filter: buildUserFilter(config.userFilter, username),
+        attributes: [config.usernameAttribute, config.emailAttribute, config.groupAttribute],
+        sizeLimit: 2
+      });
+      // Ambiguous matches are treated like unknown users.
+      if (searchEntries.length !== 1) return null;
+      const [entry] = searchEntries;
+
+      try {
+        await client.bind(entry.dn, password);
+      } catch (err) {
+        if (err instanceof InvalidCredentialsError) return null;
+        throw err;
+      }
+
+      return {
+        dn: entry.dn,
+        username: attributeValues(entry, config.usernameAttribute)[0] || username,
+        email: attributeValues(entry, config.emailAttribute)[0] || null,
+        groups: attributeValues(entry, config.groupAttribute)
+      };
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+
+  return {
+    name: "ldap",
+
+    /**
+     * @brief Sign a user in and provision or refresh their account.
+     *
+     * @param {string} username Username typed at sign-in.
+     * @param {string} password Password typed at sign-in.
+     * @returns {Promise<Object|null>} User document, or null when sign-in fails.
+     */
+    async authenticate(username, password) {
+      const profile = await lookup(username, password);
+      if (!profile) return null;
+
+      const role = resolveRoleFromGroups(profile.groups, config.groupRoles, config.defaultRole);
+      if (!role) return null;
+
+      return upsertExternalUser({
+        username: profile.username,
+        email: profile.email,
+        role,
+        source: "ldap",
+        externalId: profile.dn
+      });
+    },
+
+    /**
+     * @brief Re-check the password of a signed-in directory user.
+     *
+     * @param {Object} user     User document with `external_id`.
+     * @param {string} password Password to check.
+     * @returns {Promise<boolean>} True when the directory accepts it for the same entry.
+     */
+    async verify(user, password) {
+      const profile = await lookup(user.username, password);
+      return !!profile && normalizeDn(profile.dn) === normalizeDn(user.external_id || "");
+    }
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * @file loginAttempts.js
+ * @brief Failed-login tracking, progressive delays and temporary lockouts.
+ *
+ * Failed attempts are counted per username (`user:<username>`) and per
+ * client IP (`ip:<address>`) in the `login_attempts` collection; PIN
+ * logins are counted per POS terminal (`terminal:<id>`). After
+ * each failure the next attempt for that key is delayed exponentially;
+ * once a key reaches its failure limit it is locked for a fixed time.
+ *
+ * Counters are kept for any username, existing or not, so responses
+ * never reveal whether an account exists. Idle counters expire through
+ * a TTL index.
+ *
+ * Settings (environment):
+ *  - LOGIN_MAX_FAILURES         failures per username before lockout (default 5)
+ *  - LOGIN_MAX_FAILURES_PER_IP  failures per IP before lockout (default 20)
+ *  - PIN_MAX_FAILURES_PER_TERMINAL  failed PIN logins per terminal before lockout (default 10)
+ *  - LOGIN_LOCKOUT_MINUTES      lockout duration (default 15)
+ *  - LOGIN_DELAY_BASE_MS        delay after the first failure, doubled per failure (default 1000)
+ *  - LOGIN_DELAY_MAX_MS         maximum delay between attempts (default 30000)
+ *  - LOGIN_ATTEMPT_WINDOW_MINUTES  idle time after which counters reset (default 15)
+ */
+
+import { getDb } from "../config/db.js";
+import { recordAuditEvent } from "../middleware/audit.js";
+import { notifyAccountLocked } from "./notifications.js";
+
+export const LOGIN_ATTEMPTS_COLLECTION = "login_attempts";
+
+/**
+ * @brief Lockout settings in effect, built from the environment.
+ */
+export const LOGIN_ATTEMPT_POLICY = Object.freeze({
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  maxFailuresPerIp: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+  maxFailuresPerTerminal: Number(process.env.PIN_MAX_FAILURES_PER_TERMINAL) || 10,
+  lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  delayBaseMs: Number(process.env.LOGIN_DELAY_BASE_MS ?? 1000),
+  delayMaxMs: Number(process.env.LOGIN_DELAY_MAX_MS) || 30000,
+  windowMs: (Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000
+});
+
+/**
+ * @brief Build the counter keys for a login attempt.
+ *
+ * @param {string} username Submitted username.
+ * @param {string} [ip]     Client IP address.
+ * @param {typeof LOGIN_ATTEMPT_POLICY} [policy] Policy to apply.
+ * @returns {{ key: string, limit: number }[]} Keys with their failure limits.
+ */
+export function attemptKeys(username, ip, policy = LOGIN_ATTEMPT_POLICY) {
+  const keys = [{ key: `user:${String(username).toLowerCase()}`, limit: policy.maxFailures }];
+  if (ip) keys.push({ key: `ip:${ip}`, limit: policy.maxFailuresPerIp });
+  return keys;
+}
+
+/**
+ * @brief Build the counter key for a PIN login on a terminal.
+ *
+ * @param {string} terminalId Terminal the PIN was entered on.
+ * @param {typeof LOGIN_ATTEMPT_POLICY} [policy] Policy to apply.
+ * @returns {{ key: string, limit: number }[]} Key with its failure limit.
+ */
+export function terminalAttemptKeys(terminalId, policy = LOGIN_ATTEMPT_POLICY) {
+  return [{ key: `terminal:${terminalId}`, limit: policy.maxFailuresPerTerminal }];
+}
+
+/**
+ * @brief Delay required after a number of consecutive failures.
+ *
+ * @param {number} failures Consecutive failures so far.
+ * @param {typeof LOGIN_ATTEMPT_POLICY} [policy] Policy to apply.
+ * @returns {number} Delay in milliseconds (0 before the first failure).
+ */
+export function progressiveDelayMs(failures, policy = LOGIN_ATTEMPT_POLICY) {
+  if (failures <= 0 || policy.delayBaseMs <= 0) return 0;
+  return Math.min(policy.delayBaseMs * 2 ** (failures - 1), policy.delayMaxMs);
+}
+
+/**
+ * @brief Decide whether a counter currently allows a login attempt.
+ *
+ * @param {Object|null} record Counter document.
+ * @param {number} now         Current time in epoch milliseconds.
+ * @param {typeof LOGIN_ATTEMPT_POLICY} [policy] Policy to apply.
+ * @returns {{ allowed: boolean, locked: boolean, retryAfterMs: number }} Decision.
+ */
+export function evaluateAttempt(record, now, policy = LOGIN_ATTEMPT_POLICY) {
+  if (!record) return { allowed: true, locked: false, retryAfterMs: 0 };
+
+  if (record.locked_until) {
+    const remaining = record.locked_until.getTime() - now;
+    return remaining > 0
+      ? { allowed: false, locked: true, retryAfterMs: remaining }
+      : { allowed: true, locked: false, retryAfterMs: 0 };
+  }
+
+  const nextAllowed = record.last_failure_at.getTime() + progressiveDelayMs(record.failures, policy);
+  return nextAllowed > now
+    ? { allowed: false, locked: false, retryAfterMs: nextAllowed - now }
+    : { allowed: true, locked: false, retryAfterMs: 0 };
+}
+
+/**
+ * @brief Decide whether an attempt may proceed across several counters.
+ *
+ * Expired lockouts are cleared so the counter starts over.
+ *
+ * @param {{ key: string }[]} keys Counter keys.
+ * @returns {Promise<{ allowed: boolean, locked: boolean, retryAfterMs: number }>}
+ *          The most restrictive decision.
+ */
+async function checkAttempt(keys) {
+  const db = await getDb();
+  const col = db.collection(LOGIN_ATTEMPTS_COLLECTION);
+  const now = Date.now();
+  const records = await col.find({ key: { $in: keys.map(({ key }) => key) } }).toArray();
+
+  let decision = { allowed: true, locked: false, retryAfterMs: 0 };
+  for (const record of records) {
+    if (record.locked_until && record.locked_until.getTime() <= now) {
+      await col.deleteOne({ _id: record._id, locked_until: record.locked_until });
+      continue;
+    }
+    const result = evaluateAttempt(record, now);
+    if (result.retryAfterMs > decision.retryAfterMs) decision = result;
+  }
+  return decision;
+}
+
+/**
+ * @brief Check whether a login attempt may proceed.
+ *
+ * @param {string} username Submitted username.
+ * @param {string} [ip]     Client IP address.
+ * @returns {Promise<{ allowed: boolean, locked: boolean, retryAfterMs: number }>}
+ *          The most restrictive decision across username and IP.
+ */
+export async function checkLoginAttempt(username, ip) {
+  return checkAttempt(attemptKeys(username, ip));
+}
+
+/**
+ * @brief Check whether a PIN login may proceed on a terminal.
+ *
+ * @param {string} terminalId Terminal id.
+ * @returns {Promise<{ allowed: boolean, locked: boolean, retryAfterMs: number }>} Decision.
+ */
+export async function checkTerminalAttempt(terminalId) {
+  return checkAttempt(terminalAttemptKeys(terminalId));
+}
+
+/**
+ * @brief Count a failure on each of the given counters.
+ *
+ * Every key that becomes locked is written to the audit log as a
+ * `login_lockout` event; when a username is locked, its user is also
+ * notified by email.
+ *
+ * @param {{ key: string, limit: number }[]} keys Counter keys with their limits.
+ * @param {string} username Submitted username.
+ * @param {import("express").Request} req Request of the failed attempt.
+ * @returns {Promise<string[]>} Keys that became locked by this failure.
+ */
+async function recordFailure(keys, username, req) {
+  const ip = req.ip;
+  const db = await getDb();
+  const col = db.collection(LOGIN_ATTEMPTS_COLLECTION);
+  const now = new Date();
+  const locked = [];
+
+  for (const { key, limit } of keys) {
+    const record = await col.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { last_failure_at: now, expires_at: new Date(now.getTime() + LOGIN_ATTEMPT_POLICY.windowMs) },
+        $setOnInsert: { key, first_failure_at: now }
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+
+    if (record.failures >= limit && !record.locked_until) {
+      const lockedUntil = new Date(now.getTime() + LOGIN_ATTEMPT_POLICY.lockoutMs);
+      await col.updateOne(
+        { _id: record._id },
+        { $set: { locked_until: lockedUntil, expires_at: new Date(Math.max(lockedUntil.getTime(), record.expires_at.getTime())) } }
+      );
+      locked.push(key);
+      await recordAuditEvent("login_lockout", {
+        username,
+        key,
+        failures: record.failures,
+        locked_until: lockedUntil,
+        ip,
+        userAgent: req.headers["user-agent"]
+      });
+      if (key.startsWith("user:")) await notifyAccountLocked(username, lockedUntil);
+    }
+  }
+  return locked;
+}
+
+/**
+ * @brief Record a failed login attempt.
+ *
+ * @param {string} username Submitted username.
+ * @param {import("express").Request} req Request of the failed attempt.
+ * @returns {Promise<string[]>} Keys that became locked by this failure.
+ */
+export async function recordLoginFailure(username, req) {
+  return recordFailure(attemptKeys(username, req.ip), username, req);
+}
+
+/**
+ * @brief Record a failed PIN login on a terminal.
+ *
+ * Only the terminal is counted, so wrong PINs at the register cannot
+ * lock a user out of password login.
+ *
+ * @param {string} terminalId Terminal id.
+ * @param {string} username   Submitted username.
+ * @param {import("express").Request} req Request of the failed attempt.
+ * @returns {Promise<string[]>} Keys that became locked by this failure.
+ */
+export async function recordTerminalFailure(terminalId, username, req) {
+  return recordFailure(terminalAttemptKeys(terminalId), username, req);
+}
+
+/**
+ * @brief Reset the failure counter and lockout of a username.
+ *
+ * Called after a successful login and by the admin unlock endpoint.
+ * The IP counter is left alone so one valid account cannot be used to
+ * reset the limit for password spraying.
+ *
+ * @param {string} username User name.
+ * @returns {Promise<boolean>} True when a counter existed.
+ */
+export async function clearLoginFailures(username) {
+  const db = await getDb();
+  const result = await db.collection(LOGIN_ATTEMPTS_COLLECTION).deleteOne({ key: attemptKeys(username)[0].key });
+  return result.deletedCount > 0;
+}
+
+/**
+ * @brief Reset the PIN failure counter and lockout of a terminal.
+ *
+ * Not called on successful PIN logins, so a cashier who knows their
+ * own PIN cannot reset the limit for guessing somebody else's.
+ *
+ * @param {string} terminalId Terminal id.
+ * @returns {Promise<boolean>} True when a counter existed.
+ */
+export async function clearTerminalFailures(terminalId) {
+  const db = await getDb();
+  const result = await db.collection(LOGIN_ATTEMPTS_COLLECTION).deleteOne({ key: terminalAttemptKeys(terminalId)[0].key });
+  return result.deletedCount > 0;
+}
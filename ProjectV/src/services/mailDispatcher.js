@@ -0,0 +1,119 @@
+/**
+ * @file mailDispatcher.js
+ * @brief Delivers queued outbox messages over SMTP.
+ *
+ * Started once at startup when SMTP_HOST is set; every
+ * MAIL_DISPATCH_INTERVAL_MS it sends the messages that are due. Failed
+ * attempts are retried with an exponential backoff; permanent SMTP
+ * errors (5xx replies, e.g. an unknown recipient) and messages that ran
+ * out of attempts are marked as failed. Settings are described in
+ * config/mail.js. For local development, point it at the Mailpit
+ * service from docker-compose (SMTP_HOST=mailpit, SMTP_PORT=1025).
+ */
+
+import nodemailer from "nodemailer";
+import { getMailConfig, isMailEnabled } from "../config/mail.js";
+import { claimNextMessage, markMessageFailed, markMessageSent } from "./outbox.js";
+
+/**
+ * @brief Delay before retrying after a number of failed attempts.
+ *
+ * @param {number} attempts Failed attempts so far (at least 1).
+ * @param {ReturnType<typeof getMailConfig>} [config] Mail settings.
+ * @returns {number|null} Delay in milliseconds, or null when no attempts are left.
+ */
+export function retryDelayMs(attempts, config = getMailConfig()) {
+  if (attempts >= config.maxAttempts) return null;
+  return Math.min(config.retryBaseMs * 2 ** (attempts - 1), config.retryMaxMs);
+}
+
+/**
+ * @brief Check whether a delivery error will not go away by retrying.
+ *
+ * @param {Error & { responseCode?: number }} err Error from the transport.
+ * @returns {boolean} True for permanent SMTP failures (5xx replies).
+ */
+export function isPermanentFailure(err) {
+  return Number.isInteger(err.responseCode) && err.responseCode >= 500;
+}
+
+/**
+ * @brief Create the SMTP transport from the settings.
+ *
+ * @param {ReturnType<typeof getMailConfig>} [config] Mail settings.
+ * @returns {import("nodemailer").Transporter} Transport.
+ */
+export function createSmtpTransport(config = getMailConfig()) {
+  const { host, port, secure, user, password } = config.smtp;
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass: password } }),
+    // Stay well within the outbox claim, so a hung server cannot cause double delivery.
+    connectionTimeout: 30000,
+    socketTimeout: 60000
+  });
+}
+
+/**
+ * @brief Deliver every message that is due.
+ *
+ * @param {import("nodemailer").Transporter} transport Transport to send with.
+ * @param {ReturnType<typeof getMailConfig>} [config] Mail settings.
+ * @returns {Promise<{ sent: number, failed: number }>} Attempts made in this run.
+ */
+export async function dispatchOutbox(transport, config = getMailConfig()) {
+  const result = { sent: 0, failed: 0 };
+
+  for (let message = await claimNextMessage(); message; message = await claimNextMessage()) {
+    try {
+      const info = await transport.sendMail({
+        from: config.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+      await markMessageSent(message, info.messageId);
+      result.sent += 1;
+    } catch (err) {
+      const attempts = message.attempts + 1;
+      const retryInMs = isPermanentFailure(err) ? null : retryDelayMs(attempts, config);
+      console.error(`Mail ${message._id} to ${message.to} failed (attempt ${attempts}):`, err.message);
+      await markMessageFailed(message, err, retryInMs);
+      result.failed += 1;
+    }
+  }
+  return result;
+}
+
+/**
+ * @brief Start delivering the outbox in the background.
+ *
+ * Runs never overlap; errors (e.g. MongoDB being unreachable) are
+ * logged and the next run tries again.
+ *
+ * @returns {NodeJS.Timeout|null} Interval handle, or null when SMTP is not configured.
+ */
+export function startMailDispatcher() {
+  if (!isMailEnabled()) {
+    console.warn("SMTP_HOST is not set; outbound mail stays queued in the outbox");
+    return null;
+  }
+
+  const transport = createSmtpTransport();
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchOutbox(transport);
+    } catch (err) {
+      console.error("Mail dispatch failed:", err.message);
+    } finally {
+      running = false;
+    }
+  }, getMailConfig().dispatchIntervalMs);
+  timer.unref();
+  return timer;
+}
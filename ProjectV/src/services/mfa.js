@@ -0,0 +1,225 @@
+/**
+ * @file mfa.js
+ * @brief TOTP two-factor authentication for user accounts.
+ *
+ * Users enroll by scanning an otpauth:// URI and confirming a first
+ * code; the secret is then stored on `users.mfa` together with hashed
+ * single-use recovery codes. Login becomes two-step: the password
+ * check returns a short-lived MFA challenge token, which is exchanged
+ * for real tokens at POST /auth/mfa/verify.
+ *
+ * Settings (environment):
+ *  - MFA_REQUIRED_ROLES         comma separated roles that must use MFA (default none)
+ *  - MFA_ISSUER                 issuer shown in authenticator apps (default "ProjectV")
+ *  - MFA_CHALLENGE_TTL_SECONDS  lifetime of challenge tokens (default 300)
+ */
+
+import crypto from "crypto";
+import { getDb } from "../config/db.js";
+import { generateToken, verifyToken } from "../middleware/auth.js";
+import { DEFAULT_ROLE } from "../config/permissions.js";
+import { USERS_COLLECTION } from "./users.js";
+import { hashToken } from "../utils/tokens.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
+
+/**
+ * @brief MFA settings in effect, built from the environment.
+ */
+export const MFA_POLICY = Object.freeze({
+  requiredRoles: Object.freeze(
+    (process.env.MFA_REQUIRED_ROLES || "").split(",").map((role) => role.trim()).filter(Boolean)
+  ),
+  issuer: process.env.MFA_ISSUER || "ProjectV",
+  challengeTtlSeconds: Number(process.env.MFA_CHALLENGE_TTL_SECONDS) || 300,
+  recoveryCodeCount: 10
+});
+
+/**
+ * @brief Check whether a user has active MFA.
+ *
+ * @param {Object} user User document.
+ * @returns {boolean} True when MFA is enabled.
+ */
+export function isMfaEnabled(user) {
+  return !!user?.mfa?.enabled;
+}
+
+/**
+ * @brief Check whether a user's role is listed in MFA_REQUIRED_ROLES.
+ *
+ * @param {Object} user User document.
+ * @returns {boolean} True when the role requires MFA.
+ */
+export function isMfaRequired(user) {
+  return MFA_POLICY.requiredRoles.includes(user?.role || DEFAULT_ROLE);
+}
+
+/**
+ * @brief Check whether a user must enroll in MFA before signing in.
+ *
+ * @param {Object} user User document.
+ * @returns {boolean} True when the user's role requires MFA and it is not enabled.
+ */
+export function isMfaEnrollmentRequired(user) {
+  return !isMfaEnabled(user) && isMfaRequired(user);
+}
+
+/**
+ * @brief Issue a challenge token for the second login step.
+ *
+ * @param {Object} user User document.
+ * @param {"mfa"|"mfa_enroll"} purpose `mfa` to verify a code, `mfa_enroll` to enroll first.
+ * @returns {string} Signed challenge token.
+ */
+export function issueMfaChallenge(user, purpose) {
+  return generateToken({ username: user.username, purpose }, MFA_POLICY.challengeTtlSeconds);
+}
+
+/**
+ * @brief Verify a challenge token.
+ *
+ * @param {string} token   Challenge token from /auth/login.
+ * @param {"mfa"|"mfa_enroll"} purpose Expected purpose.
+ * @returns {Object|null} Decoded claims, or null when invalid.
+ */
+export function verifyMfaChallenge(token, purpose) {
+  try {
+    const claims = verifyToken(token);
+    return claims.purpose === purpose ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @brief Normalise a recovery code for hashing.
+ *
+ * @param {string} code Code as typed by the user.
+ * @returns {string} Lowercase code without separators.
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).replace(/[\s-]/g, "").toLowerCase();
+}
+
+/**
+ * @brief Generate a fresh set of recovery codes.
+ *
+ * Each code carries 80 random bits, so its unsalted SHA-256 hash cannot
+ * be brute-forced from a leaked `users` collection.
+ *
+ * @returns {string[]} Codes formatted as `xxxxx-xxxxx-xxxxx-xxxxx`.
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: MFA_POLICY.recoveryCodeCount }, () => {
+    const hex = crypto.randomBytes(10).toString("hex");
+    return hex.match(/.{5}/g).join("-");
+  });
+}
+
+/**
+ * @brief Start (or restart) MFA enrollment for a user.
+ *
+ * Stores a pending secret that only becomes active once a code for it
+ * is confirmed through activateEnrollment.
+ *
+ * @param {Object} user User document.
+ * @returns {Promise<{ secret: string, otpauthUri: string }>} Secret and provisioning URI.
+ */
+export async function startEnrollment(user) {
+  const db = await getDb();
+  const secret = generateTotpSecret();
+  await db.collection(USERS_COLLECTION).updateOne(
+    { _id: user._id },
+    { $set: { mfa_pending: { secret, created_at: new Date() } } }
+  );
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, account: user.username, issuer: MFA_POLICY.issuer })
+  };
+}
+
+/**
+ * @brief Confirm enrollment with a code from the pending secret.
+ *
+ * @param {Object} user User document (with `mfa_pending`).
+ * @param {string} code Current TOTP code.
+ * @returns {Promise<string[]|null>} Recovery codes (shown once), or null if the code is wrong.
+ */
+export async function activateEnrollment(user, code) {
+  const pending = user.mfa_pending;
+  if (!pending) return null;
+
+  const step = verifyTotp(pending.secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  const db = await getDb();
+  const result = await db.collection(USERS_COLLECTION).updateOne(
+    { _id: user._id, "mfa_pending.secret": pending.secret },
+    {
+      $set: {
+        mfa: {
+          enabled: true,
+          secret: pending.secret,
+          enrolled_at: new Date(),
+          last_used_step: step,
+          recovery_codes: recoveryCodes.map((c) => hashToken(normalizeRecoveryCode(c)))
+        }
+      },
+      $unset: { mfa_pending: "" }
+    }
+  );
+  return result.modifiedCount === 1 ? recoveryCodes : null;
+}
+
+/**
+ * @brief Verify a second factor for a user with MFA enabled.
+ *
+ * TOTP codes are accepted once (the used time step is recorded to stop
+ * replays); recovery codes are removed once used.
+ *
+ * @param {Object} user User document.
+ * @param {{ code?: string, recoveryCode?: string }} factor Code or recovery code.
+ * @returns {Promise<boolean>} True when the factor is valid.
+ */
+export async function verifyMfa(user, { code, recoveryCode }) {
+  if (!isMfaEnabled(user)) return false;
+  const db = await getDb();
+  const users = db.collection(USERS_COLLECTION);
+
+  if (code) {
+    const step = verifyTotp(user.mfa.secret, code);
+    if (step === null) return false;
+    const result = await users.updateOne(
+      { _id: user._id, "mfa.last_used_step": { $lt: step } },
+      { $set: { "mfa.last_used_step": step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await users.updateOne(
+      { _id: user._id, "mfa.recovery_codes": hash },
+      { $pull: { "mfa.recovery_codes": hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+}
+
+/**
+ * @brief Turn MFA off for a user and drop any pending enrollment.
+ *
+ * @param {string} username User name.
+ * @returns {Promise<boolean>} True when the user exists.
+ */
+export async function disableMfa(username) {
+  const db = await getDb();
+  const result = await db.collection(USERS_COLLECTION).updateOne(
+    { username },
+    { $unset: { mfa: "", mfa_pending: "" } }
+  );
+  return result.matchedCount > 0;
+}
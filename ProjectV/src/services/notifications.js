@@ -0,0 +1,49 @@
+/**
+ * @file notifications.js
+ * @brief Security notices emailed to users.
+ *
+ * Notices only go to verified addresses (see emailVerification.js), so
+ * reset tokens and lockout details never reach an address the user has
+ * not proven to own. They are queued in the outbox and delivered by
+ * the mail dispatcher.
+ */
+
+import { buildActionLink, enqueueEmail } from "./outbox.js";
+import { isEmailVerified } from "./emailVerification.js";
+import { findUser } from "./users.js";
+
+/**
+ * @brief Email a password reset token to its user.
+ *
+ * @param {Object} user     User document.
+ * @param {string} token    Raw reset token.
+ * @param {Date} expiresAt  Token expiry.
+ * @returns {Promise<boolean>} True when a message was queued.
+ */
+export async function notifyPasswordReset(user, token, expiresAt) {
+  if (!isEmailVerified(user)) return false;
+  await enqueueEmail("password_reset", user.email, {
+    username: user.username,
+    token,
+    link: buildActionLink("/reset-password", token),
+    expiresAt
+  }, user.username);
+  return true;
+}
+
+/**
+ * @brief Tell a user that sign-in to their account was locked.
+ *
+ * Lockouts are tracked for any submitted username, so nothing is sent
+ * when no such user exists.
+ *
+ * @param {string} username   Locked username.
+ * @param {Date} lockedUntil  End of the lockout.
+ * @returns {Promise<boolean>} True when a message was queued.
+ */
+export async function notifyAccountLocked(username, lockedUntil) {
+  const user = await findUser(username);
+  if (!isEmailVerified(user)) return false;
+  await enqueueEmail("account_locked", user.email, { username: user.username, lockedUntil }, user.username);
+  return true;
+}
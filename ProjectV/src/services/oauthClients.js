@@ -0,0 +1,196 @@
+/**
+ * @file oauthClients.js
+ * @brief Registered OAuth2 clients for service-to-service access and sign-in.
+ *
+ * Clients live in the `oauth_clients` collection with a generated
+ * `client_id`, the SHA-256 hash of their secret and the scopes they may
+ * request. Secrets are random 256-bit values, so a fast hash is enough
+ * and lookups can go straight through the index.
+ *
+ * Clients registered with `redirect_uris` may also sign users in with
+ * OpenID Connect. Public clients (single-page and native apps) cannot
+ * keep a secret: they get none and authenticate with their `client_id`
+ * and PKCE alone, and may not use the client_credentials grant.
+ */
+
+import crypto from "crypto";
+import { getDb } from "../config/db.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { revokeClientRefreshTokens } from "./refreshTokens.js";
+import { isValidRedirectUri } from "../utils/oidc.js";
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js";
+
+export const OAUTH_CLIENTS_COLLECTION = "oauth_clients";
+
+/**
+ * @brief Fields of client documents that are safe to return.
+ */
+export const PUBLIC_CLIENT_PROJECTION = Object.freeze({ secret_hash: 0 });
+
+/**
+ * @brief Check the scopes a client is registered with.
+ *
+ * Sign-in clients may be registered without permission scopes: their
+ * tokens then only grant the OpenID Connect scopes.
+ *
+ * @param {unknown} scopes Requested allowed scopes.
+ * @param {{ allowEmpty?: boolean }} [options] Accept an empty list (sign-in clients).
+ * @returns {string[]} Problems found, empty when the scopes are valid.
+ */
+export function validateClientScopes(scopes, { allowEmpty = false } = {}) {
+  if (!Array.isArray(scopes) || (scopes.length === 0 && !allowEmpty)) {
+    return ["scopes must be a non-empty array of permissions"];
+  }
+  return scopes
+    .filter((scope) => !PERMISSIONS.includes(scope))
+    .map((scope) => `unknown permission ${scope}`);
+}
+
+/**
+ * @brief Check the redirect URIs a client is registered with.
+ *
+ * @param {unknown} uris Redirect URIs for the authorization code flow.
+ * @returns {string[]} Problems found, empty when the URIs are valid.
+ */
+export function validateRedirectUris(uris) {
+  if (!Array.isArray(uris) || uris.length === 0) {
+    return ["redirect_uris must be a non-empty array of URIs"];
+  }
+  return uris
+    .filter((uri) => !isValidRedirectUri(uri))
+    .map((uri) => `invalid redirect URI ${uri} (https required, http only on localhost, no fragment)`);
+}
+
+/**
+ * @brief Register a new client.
+ *
+ * @param {{ name: string, scopes: string[], redirectUris?: string[], isPublic?: boolean }} options
+ *        Client name, allowed scopes, sign-in redirect URIs and whether it is a public client.
+ * @param {{ username?: string }} [createdBy] Admin registering the client.
+ * @returns {Promise<{ client: Object, clientSecret: string|null }>} Stored client (without hash) and
+ *          its secret (shown once; null for public clients).
+ */
+export async function createClient({ name, scopes, redirectUris, isPublic = false }, createdBy) {
+  const clientSecret = isPublic ? null : generateOpaqueToken();
+  const client = {
+    client_id: `pvc_${crypto.randomBytes(8).toString("hex")}`,
+    name,
+    ...(clientSecret && { secret_hash: hashToken(clientSecret) }),
+    ...(isPublic && { public: true }),
+    scopes: [...new Set(scopes)],
+    ...(redirectUris && { redirect_uris: [...new Set(redirectUris)] }),
+    created_at: new Date(),
+    created_by: createdBy?.username || "system"
+  };
+
+  const db = await getDb();
+  await db.collection(OAUTH_CLIENTS_COLLECTION).insertOne(client);
+  const { secret_hash: _hash, ...publicClient } = client;
+  return { client: publicClient, clientSecret };
+}
+
+/**
+ * @brief List registered clients.
+ *
+ * @returns {Promise<Object[]>} Client documents without secret hashes.
+ */
+export async function listClients() {
+  const db = await getDb();
+  return db.collection(OAUTH_CLIENTS_COLLECTION)
+    .find({}, { projection: PUBLIC_CLIENT_PROJECTION })
+    .sort({ created_at: -1 })
+    .toArray();
+}
+
+/**
+ * @brief Fetch a client by id.
+ *
+ * @param {string} clientId Client id.
+ * @returns {Promise<Object|null>} Client document without its hash, or null.
+ */
+export async function getClient(clientId) {
+  const db = await getDb();
+  return db.collection(OAUTH_CLIENTS_COLLECTION).findOne(
+    { client_id: clientId },
+    { projection: PUBLIC_CLIENT_PROJECTION }
+  );
+}
+
+/**
+ * @brief Authenticate a client by id and secret.
+ *
+ * @param {string} clientId     Client id.
+ * @param {string} clientSecret Raw client secret.
+ * @returns {Promise<Object|null>} The client, or null when unknown, revoked or the secret is wrong.
+ */
+export async function authenticateClient(clientId, clientSecret) {
+  const db = await getDb();
+  const client = await db.collection(OAUTH_CLIENTS_COLLECTION).findOne(
+    { client_id: clientId, secret_hash: hashToken(clientSecret), revoked_at: { $exists: false } },
+    { projection: PUBLIC_CLIENT_PROJECTION }
+  );
+  return client || null;
+}
+
+/**
+ * @brief Look up an active public client by id.
+ *
+ * Public clients have no secret; the token endpoint accepts their
+ * `client_id` alone because the authorization code flow requires PKCE.
+ *
+ * @param {string} clientId Client id.
+ * @returns {Promise<Object|null>} The client, or null when unknown, revoked or confidential.
+ */
+export async function findPublicClient(clientId) {
+  const db = await getDb();
+  const client = await db.collection(OAUTH_CLIENTS_COLLECTION).findOne(
+    { client_id: clientId, public: true, revoked_at: { $exists: false } },
+    { projection: PUBLIC_CLIENT_PROJECTION }
+  );
+  return client || null;
+}
+
+/**
+ * @brief Replace a client's secret.
+ *
+ * The old secret stops working immediately; tokens already issued stay
+ * valid until they expire.
+ *
+ * @param {string} clientId Client id.
+ * @param {{ username?: string }} [rotatedBy] Admin rotating the secret.
+ * @returns {Promise<string|null>} New secret (shown once), or null when the client is unknown,
+ *          revoked or public.
+ */
+export async function rotateClientSecret(clientId, rotatedBy) {
+  const clientSecret = generateOpaqueToken();
+  const db = await getDb();
+  const result = await db.collection(OAUTH_CLIENTS_COLLECTION).updateOne(
+    { client_id: clientId, public: { $ne: true }, revoked_at: { $exists: false } },
+    {
+      $set: {
+        secret_hash: hashToken(clientSecret),
+        secret_rotated_at: new Date(),
+        secret_rotated_by: rotatedBy?.username || "system"
+      }
+    }
+  );
+  return result.matchedCount > 0 ? clientSecret : null;
+}
+
+/**
+ * @brief Revoke a client and its refresh tokens.
+ *
+ * @param {string} clientId Client id.
+ * @param {{ username?: string }} [revokedBy] Admin revoking the client.
+ * @returns {Promise<boolean>} True when an active client was revoked.
+ */
+export async function revokeClient(clientId, revokedBy) {
+  const db = await getDb();
+  const result = await db.collection(OAUTH_CLIENTS_COLLECTION).updateOne(
+    { client_id: clientId, revoked_at: { $exists: false } },
+    { $set: { revoked_at: new Date(), revoked_by: revokedBy?.username || "system" } }
+  );
+  if (result.modifiedCount === 0) return false;
+  await revokeClientRefreshTokens(clientId, "client_revoked");
+  return true;
+}
@@ -0,0 +1,142 @@
+/**
+ * @file oidc.js
+ * @brief Authorization codes and ID tokens of the OpenID Connect provider.
+ *
+ * Authorization codes are single-use, short-lived opaque tokens stored
+ * hashed in the `authorization_codes` collection together with
+ * everything the token endpoint has to check: client, redirect URI,
+ * PKCE challenge, scopes and nonce. Each code is issued with the id of
+ * the session its tokens will start, so presenting a code a second
+ * time revokes that session (RFC 6749 §4.1.2).
+ *
+ * Settings (environment):
+ *  - OIDC_ISSUER           issuer URL; defaults to the request's origin
+ *  - ID_TOKEN_TTL_SECONDS  lifetime of ID tokens (default 300)
+ */
+
+import crypto from "crypto";
+import { getDb } from "../config/db.js";
+import { generateToken } from "../middleware/auth.js";
+import { recordAuditEvent } from "../middleware/audit.js";
+import { revokeRefreshTokenFamily } from "./refreshTokens.js";
+import { buildUserClaims } from "../utils/oidc.js";
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js";
+
+export const AUTHORIZATION_CODES_COLLECTION = "authorization_codes";
+
+/**
+ * @brief Lifetime of ID tokens in seconds.
+ */
+export const ID_TOKEN_TTL_SECONDS = Number(process.env.ID_TOKEN_TTL_SECONDS) || 300;
+
+/**
+ * @brief Lifetime of authorization codes in seconds.
+ */
+export const AUTHORIZATION_CODE_TTL_SECONDS = 60;
+
+/**
+ * @brief Get the issuer identifier of this provider.
+ *
+ * Set OIDC_ISSUER in production: without it the issuer is derived from
+ * the request (honouring TRUST_PROXY), so it changes with the host name
+ * clients use.
+ *
+ * @param {import("express").Request} req The incoming request.
+ * @returns {string} Issuer URL without a trailing slash.
+ */
+export function getIssuer(req) {
+  const issuer = process.env.OIDC_ISSUER || `${req.protocol}://${req.get("host")}`;
+  return issuer.replace(/\/+$/, "");
+}
+
+/**
+ * @brief Issue an authorization code for a signed-in user.
+ *
+ * @param {Object} grant
+ * @param {string} grant.clientId      Client the code is issued to.
+ * @param {string} grant.username      User who signed in.
+ * @param {string} grant.redirectUri   Redirect URI of the authorization request.
+ * @param {string[]} grant.scopes      Granted scopes.
+ * @param {string} grant.codeChallenge PKCE S256 code challenge.
+ * @param {string} [grant.nonce]       Nonce to put in the ID token.
+ * @returns {Promise<string>} The raw code (only returned once).
+ */
+export async function issueAuthorizationCode({ clientId, username, redirectUri, scopes, codeChallenge, nonce }) {
+  const db = await getDb();
+  const code = generateOpaqueToken();
+  const now = new Date();
+
+  await db.collection(AUTHORIZATION_CODES_COLLECTION).insertOne({
+    code_hash: hashToken(code),
+    client_id: clientId,
+    username,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    code_challenge: codeChallenge,
+    ...(nonce && { nonce }),
+    session_id: crypto.randomUUID(),
+    auth_time: now,
+    created_at: now,
+    expires_at: new Date(now.getTime() + AUTHORIZATION_CODE_TTL_SECONDS * 1000)
+  });
+
+  return code;
+}
+
+/**
+ * @brief Redeem an authorization code.
+ *
+ * The code is atomically marked as used, so it works only once. A code
+ * that was already used revokes the session started with it (and its
+ * refresh tokens), since somebody else may have intercepted it.
+ *
+ * @param {string} code Raw authorization code.
+ * @returns {Promise<Object|null>} Stored code document, or null when unknown, expired or reused.
+ */
+export async function redeemAuthorizationCode(code) {
+  const db = await getDb();
+  const col = db.collection(AUTHORIZATION_CODES_COLLECTION);
+  const codeHash = hashToken(code);
+  const now = new Date();
+
+  const grant = await col.findOneAndUpdate(
+    { code_hash: codeHash, used_at: { $exists: false }, expires_at: { $gt: now } },
+    { $set: { used_at: now } }
+  );
+  if (grant) return grant;
+
+  const existing = await col.findOne({ code_hash: codeHash });
+  if (existing?.used_at) {
+    await revokeRefreshTokenFamily(existing.session_id, "code_reuse_detected");
+    await recordAuditEvent("authorization_code_reused", {
+      username: existing.username,
+      client_id: existing.client_id,
+      session_id: existing.session_id
+    });
+  }
+  return null;
+}
+
+/**
+ * @brief Issue an ID token for a redeemed authorization code.
+ *
+ * Signed like access tokens, so clients verify it with the keys from
+ * /.well-known/jwks.json. The `aud` claim keeps it from being accepted
+ * as an access token.
+ *
+ * @param {Object} user    User document.
+ * @param {Object} grant   Redeemed code document.
+ * @param {string} issuer  Issuer identifier.
+ * @returns {string} Signed ID token.
+ */
+export function issueIdToken(user, grant, issuer) {
+  return generateToken({
+    ...buildUserClaims(user, grant.scope),
+    iss: issuer,
+    aud: grant.client_id,
+    azp: grant.client_id,
+    auth_time: Math.floor(grant.auth_time.getTime() / 1000),
+    sid: grant.session_id,
+    ...(grant.nonce && { nonce: grant.nonce })
+  }, ID_TOKEN_TTL_SECONDS);
+}
@@ -0,0 +1,87 @@
+/**
+ * @file oneTimeTokens.js
+ * @brief Single-use, time-limited tokens (e.g. password resets).
+ *
+ * Tokens are stored hashed in the `one_time_tokens` collection with a
+ * `purpose` so different flows cannot consume each other's tokens.
+ * Consuming a token is atomic, so it can only ever be used once, and
+ * expired tokens are removed by a TTL index.
+ */
+
+import { getDb } from "../config/db.js";
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js";
+
+export const ONE_TIME_TOKENS_COLLECTION = "one_time_tokens";
+
+/**
+ * @brief Issue a token for a user, replacing their unused ones.
+ *
+ * @param {string} purpose    Flow the token belongs to, e.g. "password_reset".
+ * @param {string} username   User the token is issued for.
+ * @param {number} ttlSeconds Lifetime of the token.
+ * @param {{ username?: string }} [issuedBy] User who requested the token.
+ * @param {Object} [fields]   Extra fields the token is bound to, e.g. `{ email }`.
+ * @returns {Promise<{ token: string, expiresAt: Date }>} Raw token and its expiry.
+ */
+export async function issueOneTimeToken(purpose, username, ttlSeconds, issuedBy, fields = {}) {
+  const db = await getDb();
+  const col = db.collection(ONE_TIME_TOKENS_COLLECTION);
+  const token = generateOpaqueToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
+
+  await col.deleteMany({ purpose, username, used_at: { $exists: false } });
+  await col.insertOne({
+    token_hash: hashToken(token),
+    purpose,
+    username,
+    ...fields,
+    created_at: now,
+    created_by: issuedBy?.username || "system",
+    expires_at: expiresAt
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * @brief Look up a valid token without consuming it.
+ *
+ * Lets callers validate the rest of a request before the token is
+ * used up; consumeOneTimeToken must still be called to redeem it.
+ *
+ * @param {string} purpose Expected purpose of the token.
+ * @param {string} token   Raw token presented by the client.
+ * @returns {Promise<Object|null>} The token document, or null if not usable.
+ */
+export async function findOneTimeToken(purpose, token) {
+  const db = await getDb();
+  return db.collection(ONE_TIME_TOKENS_COLLECTION).findOne({
+    token_hash: hashToken(token),
+    purpose,
+    used_at: { $exists: false },
+    expires_at: { $gt: new Date() }
+  });
+}
+
+/**
+ * @brief Atomically consume a token.
+ *
+ * @param {string} purpose Expected purpose of the token.
+ * @param {string} token   Raw token presented by the client.
+ * @returns {Promise<Object|null>} The token document, or null if it is
+ *          unknown, expired, already used or meant for another purpose.
+ */
+export async function consumeOneTimeToken(purpose, token) {
+  const db = await getDb();
+  const now = new Date();
+  return db.collection(ONE_TIME_TOKENS_COLLECTION).findOneAndUpdate(
+    {
+      token_hash: hashToken(token),
+      purpose,
+      used_at: { $exists: false },
+      expires_at: { $gt: now }
+    },
+    { $set: { used_at: now } }
+  );
+}
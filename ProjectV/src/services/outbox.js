@@ -0,0 +1,142 @@
+/**
+ * @file outbox.js
+ * @brief Transactional outbox for outbound email.
+ *
+ * Request handlers never talk to the mail server: they queue a rendered
+ * message in the `outbox` collection and return. The dispatcher
+ * (mailDispatcher.js) claims due messages, delivers them and records
+ * the outcome, retrying failures with a backoff. A message is:
+ *
+ *  - pending  waiting for its next attempt (`next_attempt_at`)
+ *  - sending  claimed by a dispatcher until `locked_until`; a crashed
+ *             dispatcher's claim expires and the message is retried
+ *  - sent     delivered
+ *  - failed   given up after MAIL_MAX_ATTEMPTS or a permanent error
+ *
+ * Bodies can hold single-use tokens, so they are removed once a message
+ * is sent or given up; sent and failed messages are deleted after
+ * MAIL_RETENTION_DAYS through a TTL index.
+ */
+
+import { getDb } from "../config/db.js";
+import { getMailConfig } from "../config/mail.js";
+import { renderMailTemplate } from "../utils/mailTemplates.js";
+
+export const OUTBOX_COLLECTION = "outbox";
+
+/**
+ * @brief How long a dispatcher may hold a claimed message.
+ */
+const CLAIM_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * @brief Build a front end link carrying a single-use token.
+ *
+ * @param {string} path  Front end path, e.g. "/verify-email".
+ * @param {string} token Raw token.
+ * @returns {string|null} Link, or null when MAIL_LINK_BASE_URL is not set.
+ */
+export function buildActionLink(path, token) {
+  const { linkBaseUrl } = getMailConfig();
+  if (!linkBaseUrl) return null;
+  return `${linkBaseUrl}${path}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * @brief Queue an email.
+ *
+ * @param {string} template  Template name (see utils/mailTemplates.js).
+ * @param {string} to        Recipient address.
+ * @param {Object} data      Template data.
+ * @param {string} [username] User the message is about, for lookups and audits.
+ * @returns {Promise<import("mongodb").ObjectId>} Id of the queued message.
+ */
+export async function enqueueEmail(template, to, data, username) {
+  const { subject, text } = renderMailTemplate(template, data);
+  const now = new Date();
+  const db = await getDb();
+  const { insertedId } = await db.collection(OUTBOX_COLLECTION).insertOne({
+    template,
+    to,
+    ...(username && { username }),
+    subject,
+    text,
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: now,
+    created_at: now
+  });
+  return insertedId;
+}
+
+/**
+ * @brief Claim the next due message for delivery.
+ *
+ * Atomic, so several dispatchers (one per API instance) never send the
+ * same message twice at the same time.
+ *
+ * @returns {Promise<Object|null>} Claimed message, or null when nothing is due.
+ */
+export async function claimNextMessage() {
+  const db = await getDb();
+  const now = new Date();
+  return db.collection(OUTBOX_COLLECTION).findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", next_attempt_at: { $lte: now } },
+        { status: "sending", locked_until: { $lte: now } }
+      ]
+    },
+    { $set: { status: "sending", locked_until: new Date(now.getTime() + CLAIM_TTL_MS) } },
+    { sort: { next_attempt_at: 1 } }
+  );
+}
+
+/**
+ * @brief Record a successful delivery.
+ *
+ * @param {Object} message   Claimed message.
+ * @param {string} [messageId] Message-ID assigned by the transport.
+ * @returns {Promise<void>}
+ */
+export async function markMessageSent(message, messageId) {
+  const now = new Date();
+  const db = await getDb();
+  await db.collection(OUTBOX_COLLECTION).updateOne(
+    { _id: message._id },
+    {
+      $set: {
+        status: "sent",
+        sent_at: now,
+        attempts: message.attempts + 1,
+        ...(messageId && { message_id: messageId }),
+        purge_at: new Date(now.getTime() + getMailConfig().retentionMs)
+      },
+      $unset: { text: "", locked_until: "" }
+    }
+  );
+}
+
+/**
+ * @brief Record a failed delivery attempt.
+ *
+ * @param {Object} message  Claimed message.
+ * @param {Error} error     Delivery error.
+ * @param {number|null} retryInMs Delay before the next attempt, or null to give up.
+ * @returns {Promise<void>}
+ */
+export async function markMessageFailed(message, error, retryInMs) {
+  const now = new Date();
+  const db = await getDb();
+  const failure = { attempts: message.attempts + 1, last_error: error.message, last_attempt_at: now };
+  const update = retryInMs === null
+    ? {
+      $set: { ...failure, status: "failed", failed_at: now, purge_at: new Date(now.getTime() + getMailConfig().retentionMs) },
+      $unset: { text: "", locked_until: "" }
+    }
+    : {
+      $set: { ...failure, status: "pending", next_attempt_at: new Date(now.getTime() + retryInMs) },
+      $unset: { locked_until: "" }
+    };
+  await db.collection(OUTBOX_COLLECTION).updateOne({ _id: message._id }, update);
+}
@@ -0,0 +1,184 @@
+/**
+ * @file refreshTokens.js
+ * @brief Refresh token storage and rotation for ProjectV.
+ *
+ * Refresh tokens are long-lived opaque tokens stored hashed in the
+ * `refresh_tokens` collection. Every login starts a new token family;
+ * each use rotates the token within that family. Presenting a token
+ * that was already rotated is treated as theft and revokes the whole
+ * family.
+ *
+ * A token family is a sign-in session (see sessions.js): revoking the
+ * family also ends the session, so its access tokens stop working too.
+ */
+
+import crypto from "crypto";
+import { getDb } from "../config/db.js";
+import { markSessionRevoked, markUserSessionsRevoked } from "./sessions.js";
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js";
+
+export const REFRESH_TOKENS_COLLECTION = "refresh_tokens";
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * @brief Issue a new refresh token and persist its hash.
+ *
+ * Tokens issued to OAuth clients (client_credentials grant) have no
+ * username; they carry the `client_id` and granted `scope` instead.
+ * Tokens from OpenID Connect sign-ins carry both the username and the
+ * client binding.
+ * Tokens from a PIN login carry the `terminal_id` so refreshed access
+ * tokens stay bound to the terminal.
+ *
+ * @param {string|null} username Owner of the token, null for client tokens.
+ * @param {string} [familyId]    Token family; a new one is started when omitted.
+ * @param {{ clientId?: string, scope?: string[], terminalId?: string }} [binding]
+ *        OAuth client or POS terminal the token is bound to.
+ * @returns {Promise<string>} The raw refresh token (only returned once).
+ */
+export async function issueRefreshToken(username, familyId = crypto.randomUUID(), { clientId, scope, terminalId } = {}) {
+  const db = await getDb();
+  const token = generateOpaqueToken();
+  const now = new Date();
+
+  await db.collection(REFRESH_TOKENS_COLLECTION).insertOne({
+    token_hash: hashToken(token),
+    family_id: familyId,
+    username,
+    ...(clientId && { client_id: clientId, scope }),
+    ...(terminalId && { terminal_id: terminalId }),
+    created_at: now,
+    expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return token;
+}
+
+/**
+ * @brief Look up a refresh token without using it.
+ *
+ * @param {string} token Raw refresh token.
+ * @returns {Promise<Object|null>} Stored token document (rotated, revoked or expired ones included), or null.
+ */
+export async function findRefreshToken(token) {
+  const db = await getDb();
+  return db.collection(REFRESH_TOKENS_COLLECTION).findOne({ token_hash: hashToken(token) });
+}
+
+/**
+ * @brief Consume a refresh token and issue its replacement.
+ *
+ * The presented token is atomically marked as rotated so it can only
+ * be used once. If it was already rotated or revoked, the entire
+ * family is revoked (reuse detection) and null is returned.
+ *
+ * @param {string} token Raw refresh token presented by the client.
+ * @returns {Promise<{ username: string|null, clientId?: string, scope?: string[], terminalId?: string, familyId: string, refreshToken: string } | null>}
+ *          The token owner and the new refresh token, or null if invalid.
+ */
+export async function rotateRefreshToken(token) {
+  const db = await getDb();
+  const col = db.collection(REFRESH_TOKENS_COLLECTION);
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const current = await col.findOneAndUpdate(
+    {
+      token_hash: tokenHash,
+      rotated_at: { $exists: false },
+      revoked_at: { $exists: false },
+      expires_at: { $gt: now }
+    },
+    { $set: { rotated_at: now } }
+  );
+
+  if (!current) {
+    const existing = await col.findOne({ token_hash: tokenHash });
+    if (existing && (existing.rotated_at || existing.revoked_at)) {
+      await revokeRefreshTokenFamily(existing.family_id, "reuse_detected");
+    }
+    return null;
+  }
+
+  const client = { clientId: current.client_id, scope: current.scope };
+  const terminal = { terminalId: current.terminal_id };
+  const refreshToken = await issueRefreshToken(current.username, current.family_id, { ...client, ...terminal });
+  await col.updateOne({ _id: current._id }, { $set: { replaced_by: hashToken(refreshToken) } });
+
+  return {
+    username: current.username,
+    ...(current.client_id && client),
+    ...(current.terminal_id && terminal),
+    familyId: current.family_id,
+    refreshToken
+  };
+}
+
+/**
+ * @brief Revoke every token in a refresh token family and end its session.
+ *
+ * @param {string} familyId Family identifier (the session id).
+ * @param {string} [reason="revoked"] Reason stored on the revoked tokens and session.
+ * @param {{ username?: string }} [revokedBy] User ending the session.
+ * @returns {Promise<number>} Number of tokens revoked.
+ */
+export async function revokeRefreshTokenFamily(familyId, reason = "revoked", revokedBy) {
+  const db = await getDb();
+  const result = await db.collection(REFRESH_TOKENS_COLLECTION).updateMany(
+    { family_id: familyId, revoked_at: { $exists: false } },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  await markSessionRevoked(familyId, reason, revokedBy);
+  return result.modifiedCount;
+}
+
+/**
+ * @brief Revoke the family a refresh token belongs to.
+ *
+ * Only tokens owned by the given user are affected, so a caller cannot
+ * revoke somebody else's session by guessing tokens.
+ *
+ * @param {string} token    Raw refresh token.
+ * @param {string} username Expected owner of the token.
+ * @returns {Promise<number>} Number of tokens revoked.
+ */
+export async function revokeRefreshToken(token, username) {
+  const db = await getDb();
+  const existing = await db.collection(REFRESH_TOKENS_COLLECTION).findOne({ token_hash: hashToken(token), username });
+  if (!existing) return 0;
+  return revokeRefreshTokenFamily(existing.family_id, "logout");
+}
+
+/**
+ * @brief Revoke every refresh token of a user and end all their sessions.
+ *
+ * @param {string} username User whose refresh tokens are revoked.
+ * @param {string} [reason="logout_all"] Reason stored on the revoked tokens and sessions.
+ * @returns {Promise<number>} Number of tokens revoked.
+ */
+export async function revokeUserRefreshTokens(username, reason = "logout_all") {
+  const db = await getDb();
+  const result = await db.collection(REFRESH_TOKENS_COLLECTION).updateMany(
+    { username, revoked_at: { $exists: false } },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  await markUserSessionsRevoked(username, reason);
+  return result.modifiedCount;
+}
+
+/**
+ * @brief Revoke every refresh token issued to an OAuth client.
+ *
+ * @param {string} clientId Client whose refresh tokens are revoked.
+ * @param {string} [reason="client_revoked"] Reason stored on the revoked tokens.
+ * @returns {Promise<number>} Number of tokens revoked.
+ */
+export async function revokeClientRefreshTokens(clientId, reason = "client_revoked") {
+  const db = await getDb();
+  const result = await db.collection(REFRESH_TOKENS_COLLECTION).updateMany(
+    { client_id: clientId, revoked_at: { $exists: false } },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  return result.modifiedCount;
+}
@@ -0,0 +1,182 @@
+/**
+ * @file retention.js
+ * @brief Permanent purge of soft-deleted documents and retention policies.
+ *
+ * Soft-deleted documents stay in their collection until purged, either
+ * on demand (POST /api/collections/:name/trash/purge) or by a retention
+ * policy. Policies live in the `retention_policies` collection, one
+ * document per collection:
+ *
+ *     { collection: "sales", retain_days: 90 }
+ *
+ * The retention scheduler purges documents of each covered collection
+ * once their `deleted_at` is more than `retain_days` days old. It runs
+ * at startup and then every RETENTION_INTERVAL_MINUTES (default 60, 0
+ * disables it). Every purge is written to the `actions` audit log as a
+ * `documents_purged` event, including those that removed nothing and
+ * those that failed.
+ */
+
+import { getDb } from "../config/db.js";
+import { isReservedCollection } from "../config/reservedCollections.js";
+import { recordAuditEvent } from "../middleware/audit.js";
+import { addDeletedFilter, buildTrashFilter, getCreateMetadata, getUpdateMetadata } from "../utils/softDelete.js";
+
+export const RETENTION_POLICIES_COLLECTION = "retention_policies";
+
+/**
+ * @brief Longest retention period a policy may set, in days.
+ */
+export const MAX_RETAIN_DAYS = 3650;
+
+const RETENTION_INTERVAL_MS = Number(process.env.RETENTION_INTERVAL_MINUTES ?? 60) * 60 * 1000;
+
+/**
+ * @brief Check a policy's retention period.
+ *
+ * @param {unknown} days Requested `retain_days`.
+ * @returns {boolean} True for whole days from 1 to MAX_RETAIN_DAYS.
+ */
+export function isValidRetainDays(days) {
+  return Number.isInteger(days) && days >= 1 && days <= MAX_RETAIN_DAYS;
+}
+
+/**
+ * @brief Compute the deletion time before which documents are purged.
+ *
+ * @param {number} retainDays Retention period in days.
+ * @param {Date} [now] Current time.
+ * @returns {Date} Documents deleted before this time are past retention.
+ */
+export function retentionCutoff(retainDays, now = new Date()) {
+  return new Date(now.getTime() - retainDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * @brief Permanently remove soft-deleted documents matching a filter.
+ *
+ * The filter is combined with addDeletedFilter, so live documents can
+ * never be purged whatever the filter says.
+ *
+ * @param {string} collection Collection name.
+ * @param {Object} filter     MongoDB filter (see buildTrashFilter).
+ * @param {{ dryRun?: boolean }} [options] Count instead of deleting.
+ * @returns {Promise<number>} Documents purged, or that would be purged.
+ */
+export async function purgeDeletedDocuments(collection, filter, { dryRun = false } = {}) {
+  const db = await getDb();
+  const col = db.collection(collection);
+  const deletedFilter = { $and: [filter, addDeletedFilter()] };
+  if (dryRun) return col.countDocuments(deletedFilter);
+  const result = await col.deleteMany(deletedFilter);
+  return result.deletedCount;
+}
+
+/**
+ * @brief List retention policies.
+ *
+ * @returns {Promise<Object[]>} Policy documents, by collection name.
+ */
+export async function listRetentionPolicies() {
+  const db = await getDb();
+  return db.collection(RETENTION_POLICIES_COLLECTION).find({}).sort({ collection: 1 }).toArray();
+}
+
+/**
+ * @brief Create or replace a collection's retention policy.
+ *
+ * @param {string} collection Collection name.
+ * @param {number} retainDays Days soft-deleted documents are kept.
+ * @param {{ username?: string }} user Authenticated user making the change.
+ * @returns {Promise<Object>} The stored policy.
+ */
+export async function setRetentionPolicy(collection, retainDays, user) {
+  const db = await getDb();
+  return db.collection(RETENTION_POLICIES_COLLECTION).findOneAndUpdate(
+    { collection },
+    {
+      $set: { retain_days: retainDays, ...getUpdateMetadata(user) },
+      $setOnInsert: { collection, ...getCreateMetadata(user) }
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+}
+
+/**
+ * @brief Remove a collection's retention policy.
+ *
+ * @param {string} collection Collection name.
+ * @returns {Promise<boolean>} True when a policy was removed.
+ */
+export async function deleteRetentionPolicy(collection) {
+  const db = await getDb();
+  const result = await db.collection(RETENTION_POLICIES_COLLECTION).deleteOne({ collection });
+  return result.deletedCount > 0;
+}
+
+/**
+ * @brief Purge every collection's documents that are past retention.
+ *
+ * A failing policy is logged and does not stop the others. Each
+ * policy's purge is audited with its count, or its error.
+ *
+ * @param {Date} [now] Current time.
+ * @returns {Promise<{ collection: string, retain_days: number, cutoff: Date, purged?: number, error?: string }[]>}
+ *          Result per policy.
+ */
+export async function runRetentionPolicies(now = new Date()) {
+  const results = [];
+  for (const policy of await listRetentionPolicies()) {
+    if (isReservedCollection(policy.collection) || !isValidRetainDays(policy.retain_days)) continue;
+
+    const result = {
+      collection: policy.collection,
+      retain_days: policy.retain_days,
+      cutoff: retentionCutoff(policy.retain_days, now)
+    };
+    try {
+      result.purged = await purgeDeletedDocuments(policy.collection, buildTrashFilter({}, { deletedBefore: result.cutoff }));
+    } catch (err) {
+      console.error(`Retention purge of ${policy.collection} failed:`, err.message);
+      result.error = err.message;
+    }
+    await recordAuditEvent("documents_purged", { username: "system", reason: "retention", ...result });
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * @brief Start applying retention policies in the background.
+ *
+ * Applies them once right away, so a server that restarts more often
+ * than the interval still purges, then every RETENTION_INTERVAL_MINUTES.
+ * Runs never overlap; errors (e.g. MongoDB being unreachable) are
+ * logged and the next run tries again.
+ *
+ * @returns {NodeJS.Timeout|null} Interval handle, or null when disabled.
+ */
+export function startRetentionScheduler() {
+  if (!(RETENTION_INTERVAL_MS > 0)) {
+    console.warn("RETENTION_INTERVAL_MINUTES is 0 or invalid; retention policies are not applied");
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runRetentionPolicies();
+    } catch (err) {
+      console.error("Retention run failed:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, RETENTION_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
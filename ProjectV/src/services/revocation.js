@@ -0,0 +1,186 @@
+/**
+ * @file revocation.js
+ * @brief Server-side revocation list for access tokens.
+ *
+ * Access tokens carry a `jti` claim. Logging out stores that `jti` in
+ * the `revoked_tokens` collection until the token would have expired
+ * anyway (TTL index). Logging out everywhere stores a per-user marker;
+ * any token issued before it is rejected. As `iat` has whole seconds,
+ * the marker is the start of the next second, so tokens issued earlier
+ * in the revoking second are rejected too; sign-ins wait for that
+ * second to pass (waitForRevocationCutoff) so their tokens stay valid.
+ *
+ * Lookups are cached in-process so authenticate does not hit MongoDB on
+ * every request. Revocations made by this process take effect
+ * immediately; revocations made by other instances are picked up once
+ * the cached entry expires (REVOCATION_CACHE_TTL_MS).
+ */
+
+import { getDb } from "../config/db.js";
+import { createTtlCache } from "../utils/ttlCache.js";
+
+export const REVOKED_TOKENS_COLLECTION = "revoked_tokens";
+
+const CACHE_TTL_MS = Number(process.env.REVOCATION_CACHE_TTL_MS) || 30000;
+
+/**
+ * @brief How long a "log out everywhere" marker is kept.
+ *
+ * Must be at least the lifetime of the longest-lived access token,
+ * otherwise old tokens become valid again once the marker expires.
+ */
+const USER_REVOCATION_TTL_SECONDS = Number(process.env.USER_REVOCATION_TTL_SECONDS) || 24 * 60 * 60;
+
+const tokenCache = createTtlCache();
+const userCache = createTtlCache();
+
+/**
+ * @brief Revoke a single access token.
+ *
+ * @param {{ jti: string, username?: string, exp: number }} claims Decoded token claims.
+ * @returns {Promise<void>}
+ */
+export async function revokeToken({ jti, username, exp }) {
+  // Tokens issued before jti claims existed can only be revoked per user.
+  if (!jti) return;
+
+  const db = await getDb();
+  const expiresAt = new Date(exp * 1000);
+
+  await db.collection(REVOKED_TOKENS_COLLECTION).updateOne(
+    { type: "token", jti },
+    { $setOnInsert: { type: "token", jti, username, revoked_at: new Date(), expires_at: expiresAt } },
+    { upsert: true }
+  );
+
+  tokenCache.set(jti, true, Math.max(expiresAt.getTime() - Date.now(), CACHE_TTL_MS));
+}
+
+/**
+ * @brief Revoke a single-use token, failing if it was already used.
+ *
+ * Unlike revokeToken this is atomic, so two concurrent requests cannot
+ * both consume the same token.
+ *
+ * @param {{ jti: string, username?: string, exp: number }} claims Decoded token claims.
+ * @returns {Promise<boolean>} True when this call consumed the token.
+ */
+export async function consumeToken({ jti, username, exp }) {
+  const db = await getDb();
+  const expiresAt = new Date(exp * 1000);
+
+  const result = await db.collection(REVOKED_TOKENS_COLLECTION).updateOne(
+    { type: "token", jti },
+    { $setOnInsert: { type: "token", jti, username, revoked_at: new Date(), expires_at: expiresAt } },
+    { upsert: true }
+  );
+
+  tokenCache.set(jti, true, Math.max(expiresAt.getTime() - Date.now(), CACHE_TTL_MS));
+  return result.upsertedCount === 1;
+}
+
+/**
+ * @brief Revoke every access token issued to a user so far.
+ *
+ * Covers the whole current second, rounded up to the next one.
+ *
+ * @param {string} username User whose tokens are revoked.
+ * @returns {Promise<void>}
+ */
+export async function revokeAllForUser(username) {
+  const db = await getDb();
+  const now = new Date();
+  const revokedBefore = new Date((Math.floor(now.getTime() / 1000) + 1) * 1000);
+
+  await db.collection(REVOKED_TOKENS_COLLECTION).updateOne(
+    { type: "user", username },
+    {
+      $set: {
+        revoked_before: revokedBefore,
+        expires_at: new Date(now.getTime() + USER_REVOCATION_TTL_SECONDS * 1000)
+      }
+    },
+    { upsert: true }
+  );
+
+  userCache.set(username, revokedBefore.getTime(), CACHE_TTL_MS);
+}
+
+/**
+ * @brief Look up whether a single token id was revoked.
+ *
+ * @param {string} jti Token id.
+ * @returns {Promise<boolean>} True when revoked.
+ */
+async function isJtiRevoked(jti) {
+  const cached = tokenCache.get(jti);
+  if (cached !== undefined) return cached;
+
+  const db = await getDb();
+  const doc = await db.collection(REVOKED_TOKENS_COLLECTION).findOne({ type: "token", jti });
+  tokenCache.set(jti, !!doc, doc ? Math.max(doc.expires_at - Date.now(), CACHE_TTL_MS) : CACHE_TTL_MS);
+  return !!doc;
+}
+
+/**
+ * @brief Look up the "log out everywhere" timestamp for a user.
+ *
+ * @param {string} username User name.
+ * @returns {Promise<number|null>} Epoch milliseconds, or null if none.
+ */
+async function getUserRevokedBefore(username) {
+  const cached = userCache.get(username);
+  if (cached !== undefined) return cached;
+
+  const db = await getDb();
+  const doc = await db.collection(REVOKED_TOKENS_COLLECTION).findOne({ type: "user", username });
+  const revokedBefore = doc ? doc.revoked_before.getTime() : null;
+  userCache.set(username, revokedBefore, CACHE_TTL_MS);
+  return revokedBefore;
+}
+
+/**
+ * @brief Check a decoded access token against the revocation list.
+ *
+ * A token is revoked when its `jti` was revoked, or when it was issued
+ * (in whole seconds, as `iat` is) before the user's last "log out
+ * everywhere", including in the second it happened.
+ *
+ * @param {{ jti?: string, username?: string, iat?: number }} claims Decoded token claims.
+ * @returns {Promise<boolean>} True when the token must be rejected.
+ */
+export async function isTokenRevoked(claims) {
+  const [jtiRevoked, revokedBefore] = await Promise.all([
+    claims.jti ? isJtiRevoked(claims.jti) : false,
+    claims.username ? getUserRevokedBefore(claims.username) : null
+  ]);
+
+  if (jtiRevoked) return true;
+  return revokedBefore !== null && claims.iat < Math.ceil(revokedBefore / 1000);
+}
+
+/**
+ * @brief Wait until tokens issued to a user are no longer revoked.
+ *
+ * A "log out everywhere" also rejects tokens issued in the rest of its
+ * second, so a sign-in right after one (e.g. a password change, which
+ * returns fresh tokens) waits for that second to pass.
+ *
+ * @param {string} username User about to receive tokens.
+ * @returns {Promise<void>}
+ */
+export async function waitForRevocationCutoff(username) {
+  const revokedBefore = await getUserRevokedBefore(username);
+  const waitMs = revokedBefore === null ? 0 : revokedBefore - Date.now();
+  if (waitMs > 0) await new Promise((resolve) => setTimeout(resolve, waitMs));
+}
+
+/**
+ * @brief Drop all cached revocation state.
+ *
+ * Mainly useful in tests.
+ */
+export function clearRevocationCache() {
+  tokenCache.clear();
+  userCache.clear();
+}
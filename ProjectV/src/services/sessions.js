@@ -0,0 +1,228 @@
+/**
+ * @file sessions.js
+ * @brief Sign-in sessions for ProjectV users.
+ *
+ * Every sign-in (login, PIN login, MFA verification, password change)
+ * starts a session stored in the `sessions` collection. The session id
+ * is the refresh token family id and is carried in access tokens as the
+ * `sid` claim, so revoking the refresh token family ends the session
+ * and authenticate rejects its remaining access tokens.
+ *
+ * Revocation checks are cached in-process for REVOCATION_CACHE_TTL_MS,
+ * like the token revocation list: sessions ended by this process are
+ * rejected immediately, sessions ended on other instances once the
+ * cached entry expires.
+ */
+
+import { getDb } from "../config/db.js";
+import { createTtlCache } from "../utils/ttlCache.js";
+
+export const SESSIONS_COLLECTION = "sessions";
+
+const CACHE_TTL_MS = Number(process.env.REVOCATION_CACHE_TTL_MS) || 30000;
+
+/**
+ * @brief How long a session record outlives its last refresh.
+ *
+ * Matches the refresh token lifetime: once the last refresh token has
+ * expired the session cannot continue and its record is removed.
+ */
+const SESSION_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * @brief Minimum time between two `last_seen_at` writes for a session.
+ */
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const revokedCache = createTtlCache();
+const touchCache = createTtlCache();
+
+/**
+ * @brief Shape a session document for API responses.
+ *
+ * @param {Object} doc                Session document.
+ * @param {string} [currentSessionId] Session of the caller, flagged as `current`.
+ * @returns {Object} Public session fields plus `active` and `current`.
+ */
+export function formatSession(doc, currentSessionId) {
+  return {
+    session_id: doc.session_id,
+    username: doc.username,
+    user_agent: doc.user_agent ?? null,
+    ip: doc.ip ?? null,
+    created_at: doc.created_at,
+    last_seen_at: doc.last_seen_at,
+    ...(doc.terminal_id && { terminal_id: doc.terminal_id }),
+    active: !doc.revoked_at,
+    current: !!currentSessionId && doc.session_id === currentSessionId,
+    ...(doc.revoked_at && {
+      revoked_at: doc.revoked_at,
+      revoked_by: doc.revoked_by,
+      revoked_reason: doc.revoked_reason
+    })
+  };
+}
+
+/**
+ * @brief Create a session, or record activity on an existing one.
+ *
+ * Called whenever tokens are issued for the session: on sign-in and on
+ * every refresh, which also extends the record's lifetime. Sessions
+ * started before session tracking existed get a record on their first
+ * refresh.
+ *
+ * @param {string} sessionId Refresh token family id.
+ * @param {string} username  Session owner.
+ * @param {import("express").Request} [req] Request the tokens are issued for.
+ * @param {string} [terminalId] POS terminal of a PIN login session.
+ * @returns {Promise<void>}
+ */
+export async function recordSession(sessionId, username, req, terminalId) {
+  const now = new Date();
+  const db = await getDb();
+  await db.collection(SESSIONS_COLLECTION).updateOne(
+    { session_id: sessionId },
+    {
+      $set: {
+        last_seen_at: now,
+        ip: req?.ip ?? null,
+        user_agent: req?.get?.("user-agent") ?? null,
+        expires_at: new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000)
+      },
+      $setOnInsert: { session_id: sessionId, username, ...(terminalId && { terminal_id: terminalId }), created_at: now }
+    },
+    { upsert: true }
+  );
+  touchCache.set(sessionId, true, LAST_SEEN_RESOLUTION_MS);
+}
+
+/**
+ * @brief Record that a session was used, at most once per minute.
+ *
+ * Runs in the background; failures are logged and ignored.
+ *
+ * @param {string} sessionId Session id from the `sid` claim.
+ */
+export function touchSession(sessionId) {
+  if (touchCache.get(sessionId)) return;
+  touchCache.set(sessionId, true, LAST_SEEN_RESOLUTION_MS);
+
+  getDb()
+    .then((db) => db.collection(SESSIONS_COLLECTION).updateOne(
+      { session_id: sessionId, revoked_at: { $exists: false } },
+      { $set: { last_seen_at: new Date() } }
+    ))
+    .catch((err) => console.error("Session last_seen_at update failed:", err.message));
+}
+
+/**
+ * @brief List a user's sessions, most recently used first.
+ *
+ * @param {string} username User name.
+ * @param {{ includeRevoked?: boolean }} [options] Also return ended sessions.
+ * @returns {Promise<Object[]>} Session documents.
+ */
+export async function listSessions(username, { includeRevoked = false } = {}) {
+  const db = await getDb();
+  return db.collection(SESSIONS_COLLECTION)
+    .find({ username, ...(!includeRevoked && { revoked_at: { $exists: false } }) }, { projection: { _id: 0 } })
+    .sort({ last_seen_at: -1 })
+    .toArray();
+}
+
+/**
+ * @brief List the ids of the active sessions started on a terminal.
+ *
+ * @param {string} terminalId Terminal id.
+ * @returns {Promise<string[]>} Session ids.
+ */
+export async function listTerminalSessionIds(terminalId) {
+  const db = await getDb();
+  return db.collection(SESSIONS_COLLECTION).distinct(
+    "session_id",
+    { terminal_id: terminalId, revoked_at: { $exists: false } }
+  );
+}
+
+/**
+ * @brief Fetch one session.
+ *
+ * @param {string} sessionId Session id.
+ * @returns {Promise<Object|null>} Session document, or null.
+ */
+export async function getSession(sessionId) {
+  const db = await getDb();
+  return db.collection(SESSIONS_COLLECTION).findOne({ session_id: sessionId }, { projection: { _id: 0 } });
+}
+
+/**
+ * @brief Mark a session as ended.
+ *
+ * Only updates the session record; revokeRefreshTokenFamily calls this
+ * and is the way to end a session.
+ *
+ * @param {string} sessionId Session id.
+ * @param {string} reason    Reason stored on the session.
+ * @param {{ username?: string }} [revokedBy] User ending the session.
+ * @returns {Promise<void>}
+ */
+export async function markSessionRevoked(sessionId, reason, revokedBy) {
+  const db = await getDb();
+  await db.collection(SESSIONS_COLLECTION).updateOne(
+    { session_id: sessionId, revoked_at: { $exists: false } },
+    { $set: { revoked_at: new Date(), revoked_by: revokedBy?.username || "system", revoked_reason: reason } }
+  );
+  revokedCache.set(sessionId, true, CACHE_TTL_MS);
+}
+
+/**
+ * @brief Mark every session of a user as ended.
+ *
+ * @param {string} username User name.
+ * @param {string} reason   Reason stored on the sessions.
+ * @returns {Promise<void>}
+ */
+export async function markUserSessionsRevoked(username, reason) {
+  const db = await getDb();
+  const col = db.collection(SESSIONS_COLLECTION);
+  const filter = { username, revoked_at: { $exists: false } };
+  const sessionIds = await col.distinct("session_id", filter);
+  if (sessionIds.length === 0) return;
+
+  await col.updateMany(filter, { $set: { revoked_at: new Date(), revoked_by: "system", revoked_reason: reason } });
+  for (const sessionId of sessionIds) revokedCache.set(sessionId, true, CACHE_TTL_MS);
+}
+
+/**
+ * @brief Check whether the session behind an access token was ended.
+ *
+ * Tokens whose session has no record (issued before session tracking,
+ * or expired and removed) are not rejected here; they are covered by
+ * their own expiry and the token revocation list.
+ *
+ * @param {string} sessionId Session id from the `sid` claim.
+ * @returns {Promise<boolean>} True when the session was revoked.
+ */
+export async function isSessionRevoked(sessionId) {
+  const cached = revokedCache.get(sessionId);
+  if (cached !== undefined) return cached;
+
+  const db = await getDb();
+  const doc = await db.collection(SESSIONS_COLLECTION).findOne(
+    { session_id: sessionId },
+    { projection: { revoked_at: 1 } }
+  );
+  const revoked = !!doc?.revoked_at;
+  revokedCache.set(sessionId, revoked, CACHE_TTL_MS);
+  return revoked;
+}
+
+/**
+ * @brief Drop all cached session state.
+ *
+ * Mainly useful in tests.
+ */
+export function clearSessionCache() {
+  revokedCache.clear();
+  touchCache.clear();
+}
@@ -0,0 +1,165 @@
+/**
+ * @file terminals.js
+ * @brief Enrolled POS terminals and the PIN login they allow.
+ *
+ * An admin enrolls each register and receives a device key of the form
+ * `pvt_<terminal_id>_<secret>`, shown once and stored as a SHA-256 hash
+ * in the `terminals` collection. The terminal presents the key with
+ * every PIN login, so a PIN on its own is worthless away from an
+ * enrolled device.
+ *
+ * Only users whose role is listed in PIN_LOGIN_ROLES (default
+ * "pos,manager") may sign in with a PIN. A PIN is a single factor, so
+ * users with MFA enabled, or whose role is in MFA_REQUIRED_ROLES, never
+ * may.
+ */
+
+import crypto from "crypto";
+import { getDb } from "../config/db.js";
+import { DEFAULT_ROLE } from "../config/permissions.js";
+import { isMfaEnabled, isMfaRequired } from "./mfa.js";
+import { revokeRefreshTokenFamily } from "./refreshTokens.js";
+import { listTerminalSessionIds } from "./sessions.js";
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js";
+
+export const TERMINALS_COLLECTION = "terminals";
+
+/**
+ * @brief Fields of terminal documents that are safe to return.
+ */
+export const PUBLIC_TERMINAL_PROJECTION = Object.freeze({ _id: 0, key_hash: 0 });
+
+/**
+ * @brief Roles allowed to sign in with a PIN.
+ */
+export const PIN_LOGIN_ROLES = Object.freeze(
+  (process.env.PIN_LOGIN_ROLES ?? "pos,manager")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean)
+);
+
+const TERMINAL_KEY_PATTERN = /^pvt_([a-f0-9]{16})_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * @brief Extract the terminal id from a device key.
+ *
+ * @param {string} key Raw device key as presented by the terminal.
+ * @returns {string|null} Terminal id, or null when the key is malformed.
+ */
+export function parseTerminalKey(key) {
+  const match = typeof key === "string" ? TERMINAL_KEY_PATTERN.exec(key) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * @brief Check whether a user may sign in with a PIN.
+ *
+ * Users who must pass MFA are refused: a PIN login has no second
+ * factor and would bypass it.
+ *
+ * @param {{ role?: string, mfa?: { enabled?: boolean } }} user User document.
+ * @param {readonly string[]} [roles] Roles allowed to use PINs.
+ * @returns {boolean} True when the user's role is allowed and MFA does not apply.
+ */
+export function isPinLoginAllowed(user, roles = PIN_LOGIN_ROLES) {
+  if (isMfaEnabled(user) || isMfaRequired(user)) return false;
+  return roles.includes(user?.role || DEFAULT_ROLE);
+}
+
+/**
+ * @brief Enroll a terminal.
+ *
+ * @param {{ name: string, location?: string }} options Terminal label and optional location.
+ * @param {{ username?: string }} [createdBy] Admin enrolling the terminal.
+ * @returns {Promise<{ key: string, terminal: Object }>} Device key (shown once) and the stored terminal without its hash.
+ */
+export async function createTerminal({ name, location }, createdBy) {
+  const terminalId = crypto.randomBytes(8).toString("hex");
+  const key = `pvt_${terminalId}_${generateOpaqueToken()}`;
+  const terminal = {
+    terminal_id: terminalId,
+    name,
+    ...(location && { location }),
+    key_hash: hashToken(key),
+    created_at: new Date(),
+    created_by: createdBy?.username || "system",
+    last_used_at: null
+  };
+
+  const db = await getDb();
+  await db.collection(TERMINALS_COLLECTION).insertOne(terminal);
+  const { _id, key_hash: _hash, ...publicTerminal } = terminal;
+  return { key, terminal: publicTerminal };
+}
+
+/**
+ * @brief List enrolled terminals, newest first.
+ *
+ * @returns {Promise<Object[]>} Terminal documents without key hashes.
+ */
+export async function listTerminals() {
+  const db = await getDb();
+  return db.collection(TERMINALS_COLLECTION)
+    .find({}, { projection: PUBLIC_TERMINAL_PROJECTION })
+    .sort({ created_at: -1 })
+    .toArray();
+}
+
+/**
+ * @brief Fetch a terminal by id.
+ *
+ * @param {string} terminalId Terminal id.
+ * @returns {Promise<Object|null>} Terminal document without its hash, or null.
+ */
+export async function getTerminal(terminalId) {
+  const db = await getDb();
+  return db.collection(TERMINALS_COLLECTION).findOne(
+    { terminal_id: terminalId },
+    { projection: PUBLIC_TERMINAL_PROJECTION }
+  );
+}
+
+/**
+ * @brief Authenticate a terminal by its device key.
+ *
+ * @param {string} rawKey Device key as presented by the terminal.
+ * @returns {Promise<Object|null>} The terminal, or null when the key is unknown, malformed or revoked.
+ */
+export async function authenticateTerminal(rawKey) {
+  const terminalId = parseTerminalKey(rawKey);
+  if (!terminalId) return null;
+
+  const db = await getDb();
+  const terminal = await db.collection(TERMINALS_COLLECTION).findOneAndUpdate(
+    { terminal_id: terminalId, key_hash: hashToken(rawKey), revoked_at: { $exists: false } },
+    { $set: { last_used_at: new Date() } },
+    { projection: PUBLIC_TERMINAL_PROJECTION }
+  );
+  return terminal || null;
+}
+
+/**
+ * @brief Revoke a terminal and end every session started on it.
+ *
+ * Used when a register is stolen or decommissioned: the device key
+ * stops working and cashiers signed in on it are signed out.
+ *
+ * @param {string} terminalId Terminal id.
+ * @param {{ username?: string }} [revokedBy] Admin revoking the terminal.
+ * @returns {Promise<number|null>} Number of sessions ended, or null when no active terminal matched.
+ */
+export async function revokeTerminal(terminalId, revokedBy) {
+  const db = await getDb();
+  const result = await db.collection(TERMINALS_COLLECTION).updateOne(
+    { terminal_id: terminalId, revoked_at: { $exists: false } },
+    { $set: { revoked_at: new Date(), revoked_by: revokedBy?.username || "system" } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  const sessionIds = await listTerminalSessionIds(terminalId);
+  for (const sessionId of sessionIds) {
+    await revokeRefreshTokenFamily(sessionId, "terminal_revoked", revokedBy);
+  }
+  return sessionIds.length;
+}
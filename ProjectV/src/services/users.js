@@ -0,0 +1,334 @@
+/**
+ * @file users.js
+ * @brief Shared helpers for the `users` collection.
+ *
+ * Centralises how user accounts are looked up, how passwords are
+ * hashed and which fields may be returned to API clients, so the
+ * login and user management routes stay consistent.
+ */
+
+import { getDb } from "../config/db.js";
+import { addSoftDeleteFilter, getCreateMetadata, getUpdateMetadata } from "../utils/softDelete.js";
+import { PASSWORD_POLICY, checkPasswordPolicy } from "../utils/passwordPolicy.js";
+import {
+  PASSWORD_HASH_PARAMS,
+  formatHashVersion,
+  hashSecret,
+  needsRehash,
+  summarizeHashVersions,
+  verifySecret
+} from "../utils/passwordHash.js";
+import { revokeAllForUser } from "./revocation.js";
+import { revokeUserRefreshTokens } from "./refreshTokens.js";
+
+export const USERS_COLLECTION = "users";
+
+/**
+ * @brief Projection that strips secrets from user documents.
+ */
+export const PUBLIC_USER_PROJECTION = Object.freeze({
+  password: 0,
+  password_history: 0,
+  "mfa.secret": 0,
+  "mfa.recovery_codes": 0,
+  "mfa.last_used_step": 0,
+  mfa_pending: 0,
+  pin_hash: 0
+});
+
+/**
+ * @brief Version of the hashes hashPassword makes, stored as `hash_version`.
+ */
+export const PASSWORD_HASH_VERSION = formatHashVersion(PASSWORD_HASH_PARAMS);
+
+let dummyPasswordHash;
+
+/**
+ * @brief Hash compared against when the user does not exist.
+ *
+ * Made with the target parameters, so failed logins take as long
+ * whether or not the username exists.
+ *
+ * @returns {Promise<string>} Hash of a password nobody uses.
+ */
+function getDummyPasswordHash() {
+  dummyPasswordHash ??= hashSecret("projectv-nonexistent-user");
+  return dummyPasswordHash;
+}
+
+/**
+ * @brief Hash a plaintext password (or PIN) for storage.
+ *
+ * Uses PASSWORD_HASH_ALGORITHM and PASSWORD_HASH_COST; store
+ * PASSWORD_HASH_VERSION as `hash_version` next to password hashes.
+ *
+ * @param {string} password Plaintext password.
+ * @returns {Promise<string>} Password hash.
+ */
+export async function hashPassword(password) {
+  return hashSecret(password);
+}
+
+/**
+ * @brief Check a plaintext password against a user's stored hash.
+ *
+ * Always performs a hash comparison, even when the user is missing
+ * or has no local password, so timing does not reveal which usernames
+ * exist.
+ *
+ * @param {Object|null} user   User document.
+ * @param {string} password    Plaintext password.
+ * @returns {Promise<boolean>} True when the password matches.
+ */
+export async function verifyUserPassword(user, password) {
+  const valid = await verifySecret(password, user?.password || await getDummyPasswordHash());
+  return valid && !!user?.password;
+}
+
+/**
+ * @brief Rehash a verified password when it was hashed with other parameters.
+ *
+ * Called after a successful login, the only time the plaintext is
+ * known. The update only applies while the stored hash is unchanged,
+ * so a concurrent password change is never overwritten. Sessions and
+ * `password_changed_at` are left alone: the password is the same.
+ *
+ * @param {Object} user     User document the password was verified against.
+ * @param {string} password Verified plaintext password.
+ * @returns {Promise<boolean>} True when the hash was upgraded.
+ */
+export async function upgradePasswordHash(user, password) {
+  if (!user?.password) return false;
+  const rehash = needsRehash(user.password);
+  if (!rehash && user.hash_version === PASSWORD_HASH_VERSION) return false;
+
+  const db = await getDb();
+  const result = await db.collection(USERS_COLLECTION).updateOne(
+    { _id: user._id, password: user.password },
+    {
+      $set: {
+        ...(rehash && { password: await hashPassword(password), password_rehashed_at: new Date() }),
+        hash_version: PASSWORD_HASH_VERSION
+      }
+    }
+  );
+  return rehash && result.modifiedCount > 0;
+}
+
+/**
+ * @brief Count local accounts by the parameters of their password hash.
+ *
+ * Versions are read from the hashes themselves, so accounts created
+ * before `hash_version` was recorded are counted correctly. Users
+ * without a local password (identity provider accounts) are skipped.
+ *
+ * @returns {Promise<{ target: string, total: number, current: number, legacy: number, versions: Object<string, number> }>}
+ */
+export async function getPasswordHashReport() {
+  const db = await getDb();
+  const hashes = [];
+  const cursor = db.collection(USERS_COLLECTION).find(
+    addSoftDeleteFilter({ password: { $type: "string" } }),
+    { projection: { _id: 0, password: 1 } }
+  );
+  for await (const user of cursor) hashes.push(user.password);
+  return summarizeHashVersions(hashes);
+}
+
+/**
+ * @brief Validate a new password for a user against the password policy.
+ *
+ * Runs the static policy checks and, for existing users, rejects the
+ * current password and the last PASSWORD_HISTORY_SIZE passwords.
+ *
+ * @param {string} password Candidate password.
+ * @param {{ username: string, password?: string, password_history?: string[] }} user
+ *        Existing user document, or just `{ username }` for new users.
+ * @returns {Promise<{ rule: string, message: string }[]>} Failed rules, empty when valid.
+ */
+export async function validatePassword(password, user) {
+  const violations = checkPasswordPolicy(password, { username: user.username });
+  if (violations.length > 0 || PASSWORD_POLICY.historySize <= 0) return violations;
+
+  const previous = [user.password, ...(user.password_history || [])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_POLICY.historySize);
+  for (const hash of previous) {
+    if (await verifySecret(password, hash)) {
+      violations.push({
+        rule: "history",
+        message: `Password must not match any of the last ${PASSWORD_POLICY.historySize} passwords`
+      });
+      break;
+    }
+  }
+  return violations;
+}
+
+/**
+ * @brief Replace a user's password and revoke all of their sessions.
+ *
+ * The previous hash is kept in `password_history` for reuse checks.
+ * Every existing access and refresh token of the user is revoked, so
+ * a password change or reset signs the account out everywhere. Callers
+ * must run validatePassword first.
+ *
+ * @param {string} username User name.
+ * @param {string} password New plaintext password.
+ * @param {{ username?: string }} [changedBy] User making the change.
+ * @returns {Promise<boolean>} True when the user exists.
+ */
+export async function setPassword(username, password, changedBy) {
+  const user = await findUser(username);
+  if (!user) return false;
+
+  const history = [user.password, ...(user.password_history || [])]
+    .filter(Boolean)
+    .slice(0, Math.max(PASSWORD_POLICY.historySize - 1, 0));
+
+  const db = await getDb();
+  await db.collection(USERS_COLLECTION).updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        password: await hashPassword(password),
+        hash_version: PASSWORD_HASH_VERSION,
+        password_history: history,
+        password_changed_at: new Date(),
+        ...getUpdateMetadata(changedBy)
+      }
+    }
+  );
+
+  await revokeUserSessions(username, "password_changed");
+  return true;
+}
+
+/**
+ * @brief Set or replace a user's terminal PIN.
+ *
+ * Callers must run checkPinPolicy first. Sessions are left alone: a PIN
+ * only works on an enrolled terminal and does not replace the password.
+ *
+ * @param {string} username User name.
+ * @param {string} pin      New PIN.
+ * @param {{ username?: string }} [changedBy] User making the change.
+ * @returns {Promise<boolean>} True when the user exists.
+ */
+export async function setPin(username, pin, changedBy) {
+  const db = await getDb();
+  const result = await db.collection(USERS_COLLECTION).updateOne(
+    addSoftDeleteFilter({ username }),
+    { $set: { pin_hash: await hashPassword(pin), pin_changed_at: new Date(), ...getUpdateMetadata(changedBy) } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * @brief Check a PIN against a user's stored PIN hash.
+ *
+ * Like verifyUserPassword, always runs a hash comparison so timing
+ * does not reveal which users have a PIN.
+ *
+ * @param {Object|null} user User document.
+ * @param {string} pin       PIN entered on the terminal.
+ * @returns {Promise<boolean>} True when the PIN matches.
+ */
+export async function verifyUserPin(user, pin) {
+  const valid = await verifySecret(pin, user?.pin_hash || await getDummyPasswordHash());
+  return valid && !!user?.pin_hash;
+}
+
+/**
+ * @brief Revoke every access and refresh token of a user.
+ *
+ * Used whenever an account change must take effect immediately
+ * (password or role change, disable, delete).
+ *
+ * @param {string} username User name.
+ * @param {string} reason   Reason stored on revoked refresh tokens.
+ * @returns {Promise<void>}
+ */
+export async function revokeUserSessions(username, reason) {
+  await revokeAllForUser(username);
+  await revokeUserRefreshTokens(username, reason);
+}
+
+/**
+ * @brief Find a user that has not been soft deleted.
+ *
+ * @param {string} username User name.
+ * @param {Object} [options] MongoDB findOne options (e.g. projection).
+ * @returns {Promise<Object|null>} User document or null.
+ */
+export async function findUser(username, options) {
+  const db = await getDb();
+  return db.collection(USERS_COLLECTION).findOne(addSoftDeleteFilter({ username }), options);
+}
+
+/**
+ * @brief Check whether a user account may sign in.
+ *
+ * @param {Object|null} user User document.
+ * @returns {boolean} True when the user exists and is not disabled.
+ */
+export function isActiveUser(user) {
+  return !!user && !user.disabled_at;
+}
+
+/**
+ * @brief Check whether a user's identity is managed by an external provider.
+ *
+ * Such users (e.g. `source: "ldap"`) have no local password; their
+ * password and role are managed in the directory.
+ *
+ * @param {Object|null} user User document.
+ * @returns {boolean} True for users provisioned by an identity provider.
+ */
+export function isExternalUser(user) {
+  return !!user?.source && user.source !== "local";
+}
+
+/**
+ * @brief Create or refresh a user signing in through an external identity provider.
+ *
+ * Just-in-time provisioning: the first sign-in creates the account,
+ * later sign-ins copy email and role from the provider again. A role
+ * change revokes the user's existing tokens, as it does for admin
+ * role changes. Accounts of another source with the same username, and
+ * deleted accounts, are never taken over.
+ *
+ * @param {Object} profile
+ * @param {string} profile.username    User name.
+ * @param {string|null} profile.email  Email from the provider.
+ * @param {string} profile.role        Role derived from the provider's groups.
+ * @param {string} profile.source      Provider name, e.g. "ldap".
+ * @param {string} profile.externalId  Identity at the provider, e.g. the LDAP DN.
+ * @returns {Promise<Object|null>} User document, or null when the username belongs to another account.
+ */
+export async function upsertExternalUser({ username, email, role, source, externalId }) {
+  const db = await getDb();
+  const users = db.collection(USERS_COLLECTION);
+  const synced = { email: email || null, role, external_id: externalId, synced_at: new Date() };
+
+  const existing = await users.findOne({ username });
+  if (!existing) {
+    const user = { username, ...synced, source, ...getCreateMetadata({ username: source }) };
+    try {
+      await users.insertOne(user);
+    } catch (err) {
+      if (err.code === 11000) return null;
+      throw err;
+    }
+    return user;
+  }
+  if (existing.deleted_at || existing.source !== source) return null;
+
+  // A new address from the directory has not been verified yet.
+  const emailChanged = existing.email !== synced.email;
+  await users.updateOne({ _id: existing._id }, { $set: synced, ...(emailChanged && { $unset: { email_verified_at: "" } }) });
+  if (existing.role !== role) await revokeUserSessions(username, "role_changed");
+  const user = { ...existing, ...synced };
+  if (emailChanged) delete user.email_verified_at;
+  return user;
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from '@jest/globals';
+import { attributeValues, buildUserFilter, escapeFilterValue, resolveRoleFromGroups } from '../ldap.js';
+
+describe('LDAP helpers', () => {
+  describe('escapeFilterValue', () => {
+    it('should escape filter metacharacters', () => {
+      expect(escapeFilterValue('a*b(c)d\\e')).toBe('a\\2ab\\28c\\29d\\5ce');
+      expect(escapeFilterValue('jdoe')).toBe('jdoe');
+    });
+
+    it('should substitute the escaped username into the filter', () => {
+      expect(buildUserFilter('(&(objectClass=person)(uid={{username}}))', '*)(uid=*'))
+        .toBe('(&(objectClass=person)(uid=\\2a\\29\\28uid=\\2a))');
+    });
+  });
+
+  describe('resolveRoleFromGroups', () => {
+    const groups = ['cn=Cashiers,ou=groups,dc=projectv,dc=local', 'CN=Store-Managers, OU=Groups, DC=projectv, DC=local'];
+
+    it('should match groups by common name or full DN, case-insensitively', () => {
+      expect(resolveRoleFromGroups(groups, { cashiers: 'pos' })).toBe('pos');
+      expect(resolveRoleFromGroups(groups, { 'cn=store-managers,ou=groups,dc=projectv,dc=local': 'manager' })).toBe('manager');
+    });
+
+    it('should give the first listed group precedence', () => {
+      expect(resolveRoleFromGroups(groups, { 'store-managers': 'manager', cashiers: 'pos' })).toBe('manager');
+      expect(resolveRoleFromGroups(groups, { cashiers: 'pos', 'store-managers': 'manager' })).toBe('pos');
+    });
+
+    it('should fall back to the default role, or null', () => {
+      expect(resolveRoleFromGroups(groups, { facilities: 'facilities' }, 'user')).toBe('user');
+      expect(resolveRoleFromGroups([], { cashiers: 'pos' })).toBeNull();
+    });
+  });
+
+  describe('attributeValues', () => {
+    it('should read single and multi-valued attributes in any case', () => {
+      const entry = { dn: 'uid=jdoe,ou=people', mail: 'jdoe@example.com', memberof: ['cn=a', 'cn=b'] };
+
+      expect(attributeValues(entry, 'mail')).toEqual(['jdoe@example.com']);
+      expect(attributeValues(entry, 'memberOf')).toEqual(['cn=a', 'cn=b']);
+      expect(attributeValues(entry, 'displayName')).toEqual([]);
+    });
+  });
+});
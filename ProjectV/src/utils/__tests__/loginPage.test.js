@@ -0,0 +1,35 @@
+import { describe, it, expect } from '@jest/globals';
+import { escapeHtml, renderLoginPage, renderErrorPage } from '../loginPage.js';
+
+describe('Login Page', () => {
+  it('should escape HTML special characters', () => {
+    expect(escapeHtml('<a href="x">O\'Brien & co</a>')).toBe(
+      '&#60;a href=&#34;x&#34;&#62;O&#39;Brien &#38; co&#60;/a&#62;'
+    );
+    expect(escapeHtml(undefined)).toBe('');
+  });
+
+  it('should carry only known authorization parameters, escaped, in hidden fields', () => {
+    const html = renderLoginPage({
+      clientName: '<script>',
+      params: { client_id: 'pvc_1', state: '"><script>', evil: 'x' }
+    });
+    expect(html).toContain('<input type="hidden" name="client_id" value="pvc_1">');
+    expect(html).toContain('value="&#34;&#62;&#60;script&#62;"');
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('name="evil"');
+    expect(html).toContain('name="password"');
+  });
+
+  it('should render the MFA step with the challenge token instead of the password', () => {
+    const html = renderLoginPage({ clientName: 'App', params: {}, error: 'Invalid code', mfaToken: 'tok' });
+    expect(html).toContain('name="mfa_token" value="tok"');
+    expect(html).toContain('name="code"');
+    expect(html).not.toContain('name="password"');
+    expect(html).toContain('Invalid code');
+  });
+
+  it('should escape the message of the error page', () => {
+    expect(renderErrorPage('bad <uri>')).toContain('bad &#60;uri&#62;');
+  });
+});
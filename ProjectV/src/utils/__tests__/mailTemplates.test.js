@@ -0,0 +1,35 @@
+import { describe, it, expect } from '@jest/globals';
+import { renderMailTemplate } from '../mailTemplates.js';
+
+describe('Mail Templates', () => {
+  const expiresAt = new Date('2025-01-03T09:30:00Z');
+
+  it('should render the verification link when a front end is configured', () => {
+    const message = renderMailTemplate('email_verification', {
+      username: 'alice',
+      token: 'tok',
+      link: 'https://portal.example.com/verify-email?token=tok',
+      expiresAt
+    });
+    expect(message.subject).toBe('Confirm your email address');
+    expect(message.text).toContain('Hello alice');
+    expect(message.text).toContain('https://portal.example.com/verify-email?token=tok');
+    expect(message.text).toContain('2025-01-03 09:30 UTC');
+  });
+
+  it('should fall back to the token when there is no link', () => {
+    const message = renderMailTemplate('password_reset', { username: 'alice', token: 'tok', link: null, expiresAt });
+    expect(message.text).toContain('Use this code:\n\n  tok');
+  });
+
+  it('should render the lockout notice with its end time', () => {
+    const message = renderMailTemplate('account_locked', { username: 'alice', lockedUntil: expiresAt });
+    expect(message.subject).toBe('Your ProjectV account was locked');
+    expect(message.text).toContain('after 2025-01-03 09:30 UTC');
+  });
+
+  it('should refuse unknown templates', () => {
+    expect(() => renderMailTemplate('welcome', {})).toThrow('Unknown mail template "welcome"');
+    expect(() => renderMailTemplate('toString', {})).toThrow();
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseScope,
+  resolveRequestedScopes,
+  parseClientCredentials,
+  oauthError
+} from '../oauth.js';
+
+describe('OAuth Utils', () => {
+  describe('parseScope', () => {
+    it('should split space-delimited scopes and drop duplicates', () => {
+      expect(parseScope('documents:read  documents:create documents:read')).toEqual([
+        'documents:read',
+        'documents:create'
+      ]);
+    });
+
+    it('should return an empty list when no scope is given', () => {
+      expect(parseScope(undefined)).toEqual([]);
+      expect(parseScope('')).toEqual([]);
+    });
+  });
+
+  describe('resolveRequestedScopes', () => {
+    const allowed = ['documents:read', 'documents:create'];
+
+    it('should grant every allowed scope when none are requested', () => {
+      expect(resolveRequestedScopes([], allowed)).toEqual(allowed);
+    });
+
+    it('should grant a subset of the allowed scopes', () => {
+      expect(resolveRequestedScopes(['documents:read'], allowed)).toEqual(['documents:read']);
+    });
+
+    it('should refuse scopes outside the allowed set', () => {
+      expect(resolveRequestedScopes(['documents:read', 'documents:delete'], allowed)).toBeNull();
+    });
+  });
+
+  describe('parseClientCredentials', () => {
+    it('should read HTTP Basic credentials', () => {
+      const header = `Basic ${Buffer.from('pvc_123:s3cr%3Aet').toString('base64')}`;
+
+      expect(parseClientCredentials(header, {})).toEqual({
+        clientId: 'pvc_123',
+        clientSecret: 's3cr:et',
+        method: 'basic'
+      });
+    });
+
+    it('should read credentials from the body', () => {
+      expect(parseClientCredentials(undefined, { client_id: 'pvc_123', client_secret: 'secret' })).toEqual({
+        clientId: 'pvc_123',
+        clientSecret: 'secret',
+        method: 'post'
+      });
+    });
+
+    it('should return null for missing or malformed credentials', () => {
+      expect(parseClientCredentials(undefined, { client_id: 'pvc_123' })).toBeNull();
+      expect(parseClientCredentials(`Basic ${Buffer.from('no-separator').toString('base64')}`)).toBeNull();
+    });
+  });
+
+  describe('oauthError', () => {
+    it('should build RFC 6749 error bodies', () => {
+      expect(oauthError('invalid_scope', 'Too much')).toEqual({ error: 'invalid_scope', error_description: 'Too much' });
+      expect(oauthError('unsupported_grant_type')).toEqual({ error: 'unsupported_grant_type' });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  verifyPkce,
+  isValidCodeChallenge,
+  isValidRedirectUri,
+  resolveAuthorizationScopes,
+  buildUserClaims,
+  appendQuery,
+  buildDiscoveryDocument
+} from '../oidc.js';
+
+// RFC 7636 Appendix B
+const VERIFIER = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+const CHALLENGE = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+
+describe('OIDC Utils', () => {
+  describe('verifyPkce', () => {
+    it('should accept the verifier matching an S256 challenge', () => {
+      expect(isValidCodeChallenge(CHALLENGE)).toBe(true);
+      expect(verifyPkce(VERIFIER, CHALLENGE)).toBe(true);
+    });
+
+    it('should reject wrong, missing or too short verifiers', () => {
+      expect(verifyPkce(`${VERIFIER.slice(0, -1)}A`, CHALLENGE)).toBe(false);
+      expect(verifyPkce(undefined, CHALLENGE)).toBe(false);
+      expect(verifyPkce('short', CHALLENGE)).toBe(false);
+    });
+  });
+
+  describe('isValidRedirectUri', () => {
+    it('should accept https and loopback http URIs', () => {
+      expect(isValidRedirectUri('https://app.example.com/callback?tenant=1')).toBe(true);
+      expect(isValidRedirectUri('http://localhost:5173/callback')).toBe(true);
+      expect(isValidRedirectUri('http://127.0.0.1:8080/cb')).toBe(true);
+    });
+
+    it('should reject plain http, fragments, other schemes and relative URIs', () => {
+      expect(isValidRedirectUri('http://app.example.com/callback')).toBe(false);
+      expect(isValidRedirectUri('https://app.example.com/callback#token')).toBe(false);
+      expect(isValidRedirectUri('javascript:alert(1)')).toBe(false);
+      expect(isValidRedirectUri('/callback')).toBe(false);
+    });
+  });
+
+  describe('resolveAuthorizationScopes', () => {
+    const allowed = ['documents:read'];
+
+    it('should grant OpenID scopes and the client\'s permissions', () => {
+      expect(resolveAuthorizationScopes(['openid', 'email', 'documents:read'], allowed))
+        .toEqual(['openid', 'email', 'documents:read']);
+    });
+
+    it('should require openid and refuse permissions the client lacks', () => {
+      expect(resolveAuthorizationScopes(['profile'], allowed)).toBeNull();
+      expect(resolveAuthorizationScopes(['openid', 'documents:delete'], allowed)).toBeNull();
+    });
+  });
+
+  describe('buildUserClaims', () => {
+    const user = {
+      username: 'alice',
+      email: 'alice@example.com',
+      role: 'manager',
+      email_verified_at: new Date('2024-01-02T00:00:00Z'),
+      updated_at: new Date('2024-01-01T00:00:00Z')
+    };
+
+    it('should only return sub for the openid scope', () => {
+      expect(buildUserClaims(user, ['openid'])).toEqual({ sub: 'alice' });
+    });
+
+    it('should add profile and email claims for their scopes', () => {
+      expect(buildUserClaims(user, ['openid', 'profile', 'email'])).toEqual({
+        sub: 'alice',
+        preferred_username: 'alice',
+        role: 'manager',
+        updated_at: 1704067200,
+        email: 'alice@example.com',
+        email_verified: true
+      });
+    });
+  });
+
+  it('should append parameters to a redirect URI, skipping undefined ones', () => {
+    expect(appendQuery('https://app.example.com/cb?tenant=1', { code: 'a b', state: undefined }))
+      .toBe('https://app.example.com/cb?tenant=1&code=a+b');
+  });
+
+  it('should build the discovery document from the issuer', () => {
+    const doc = buildDiscoveryDocument('https://id.example.com', { signingAlg: 'RS256', scopes: ['openid'] });
+    expect(doc.issuer).toBe('https://id.example.com');
+    expect(doc.authorization_endpoint).toBe('https://id.example.com/oauth/authorize');
+    expect(doc.jwks_uri).toBe('https://id.example.com/.well-known/jwks.json');
+    expect(doc.id_token_signing_alg_values_supported).toEqual(['RS256']);
+    expect(doc.code_challenge_methods_supported).toEqual(['S256']);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  resolveHashParams,
+  describeHash,
+  needsRehash,
+  hashSecret,
+  verifySecret,
+  summarizeHashVersions
+} from '../passwordHash.js';
+
+describe('Password Hash Utils', () => {
+  const target = { algorithm: 'scrypt', cost: 14 };
+
+  it('should default to bcrypt and reject unknown algorithms or costs out of range', () => {
+    expect(resolveHashParams({})).toEqual({ algorithm: 'bcrypt', cost: 12 });
+    expect(resolveHashParams({ algorithm: 'scrypt', cost: '16' })).toEqual({ algorithm: 'scrypt', cost: 16 });
+    expect(() => resolveHashParams({ algorithm: 'md5' })).toThrow('unknown algorithm "md5"');
+    expect(() => resolveHashParams({ cost: '4' })).toThrow('bcrypt cost must be an integer from 10 to 15');
+  });
+
+  it('should hash with the target parameters and verify hashes made with older ones', async () => {
+    const hash = await hashSecret('Orbit-Lantern-42', target);
+    expect(hash).toMatch(/^\$scrypt\$ln=14,r=8,p=1\$/);
+    expect(await verifySecret('Orbit-Lantern-42', hash)).toBe(true);
+    expect(await verifySecret('Orbit-Lantern-43', hash)).toBe(false);
+
+    const legacy = await hashSecret('Orbit-Lantern-42', { algorithm: 'bcrypt', cost: 10 });
+    expect(describeHash(legacy)).toEqual({ algorithm: 'bcrypt', cost: 10 });
+    expect(await verifySecret('Orbit-Lantern-42', legacy)).toBe(true);
+    expect(await verifySecret('Orbit-Lantern-42', 'plaintext')).toBe(false);
+  });
+
+  it('should only ask for a rehash when the parameters differ from the target', async () => {
+    const hash = await hashSecret('Maple-Harbor-17', target);
+    expect(needsRehash(hash, target)).toBe(false);
+    expect(needsRehash(hash, { algorithm: 'scrypt', cost: 15 })).toBe(true);
+    expect(needsRehash(`$2b$10$${'a'.repeat(53)}`, target)).toBe(true);
+    expect(needsRehash(undefined, target)).toBe(true);
+  });
+
+  it('should count hashes by version against the target', () => {
+    const bcrypt10 = `$2a$10$${'a'.repeat(53)}`;
+    const bcrypt12 = `$2b$12$${'b'.repeat(53)}`;
+    expect(summarizeHashVersions([bcrypt10, bcrypt12, bcrypt10, 'garbage'], { algorithm: 'bcrypt', cost: 12 })).toEqual({
+      target: 'bcrypt:12',
+      total: 4,
+      current: 1,
+      legacy: 3,
+      versions: { 'bcrypt:10': 2, 'bcrypt:12': 1, unknown: 1 }
+    });
+  });
+});
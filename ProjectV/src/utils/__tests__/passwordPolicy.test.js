@@ -0,0 +1,67 @@
+import { describe, it, expect } from '@jest/globals';
+import { checkPasswordPolicy, passwordPolicyError } from '../passwordPolicy.js';
+
+describe('Password Policy', () => {
+  const policy = {
+    minLength: 10,
+    requiredClasses: ['lower', 'upper', 'digit'],
+    historySize: 5
+  };
+  const rules = (violations) => violations.map((v) => v.rule);
+
+  describe('checkPasswordPolicy', () => {
+    it('should accept a password that satisfies every rule', () => {
+      expect(checkPasswordPolicy('Maple-Harbor-17', { username: 'cashier1' }, policy)).toEqual([]);
+    });
+
+    it('should report every failed rule at once', () => {
+      const violations = checkPasswordPolicy('abc', {}, policy);
+
+      expect(rules(violations)).toEqual([
+        'min_length',
+        'character_class:upper',
+        'character_class:digit'
+      ]);
+      violations.forEach((v) => expect(typeof v.message).toBe('string'));
+    });
+
+    it('should reject common passwords regardless of case', () => {
+      const violations = checkPasswordPolicy('PASSWORD123', {}, { ...policy, minLength: 8, requiredClasses: [] });
+
+      expect(rules(violations)).toEqual(['common_password']);
+    });
+
+    it('should reject passwords containing the username', () => {
+      const violations = checkPasswordPolicy('xxCashier1Pass', { username: 'cashier1' }, policy);
+
+      expect(rules(violations)).toContain('contains_username');
+    });
+
+    it('should enforce the symbol class when configured', () => {
+      const violations = checkPasswordPolicy('MapleHarbor17', {}, { ...policy, requiredClasses: ['symbol'] });
+
+      expect(rules(violations)).toEqual(['character_class:symbol']);
+    });
+
+    it('should reject passwords longer than bcrypt supports', () => {
+      const violations = checkPasswordPolicy('Aa1' + 'x'.repeat(80), {}, policy);
+
+      expect(rules(violations)).toEqual(['max_length']);
+    });
+
+    it('should treat a missing password as empty', () => {
+      expect(rules(checkPasswordPolicy(undefined, {}, policy))).toContain('min_length');
+    });
+  });
+
+  describe('passwordPolicyError', () => {
+    it('should wrap violations in a structured error body', () => {
+      const violations = [{ rule: 'min_length', message: 'too short' }];
+
+      expect(passwordPolicyError(violations)).toEqual({
+        error: 'Password does not meet policy',
+        violations
+      });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import { checkPinPolicy, pinPolicyError } from '../pinPolicy.js';
+
+describe('PIN Policy', () => {
+  const policy = { minLength: 4, maxLength: 8 };
+
+  describe('checkPinPolicy', () => {
+    it('should accept a PIN within the length limits', () => {
+      expect(checkPinPolicy('2580', policy)).toEqual([]);
+      expect(checkPinPolicy('90817263', policy)).toEqual([]);
+    });
+
+    it('should reject anything but digits', () => {
+      expect(checkPinPolicy('12a4', policy)).toEqual([{ rule: 'digits', message: 'PIN must consist of digits only' }]);
+      expect(checkPinPolicy(1234, policy)).toHaveLength(1);
+      expect(checkPinPolicy('', policy)[0].rule).toBe('digits');
+    });
+
+    it('should enforce the length limits', () => {
+      expect(checkPinPolicy('258', policy).map((v) => v.rule)).toEqual(['min_length']);
+      expect(checkPinPolicy('258025802', policy).map((v) => v.rule)).toEqual(['max_length']);
+    });
+
+    it('should reject repeated and consecutive digits', () => {
+      expect(checkPinPolicy('0000', policy).map((v) => v.rule)).toEqual(['repeated']);
+      expect(checkPinPolicy('1234', policy).map((v) => v.rule)).toEqual(['sequential']);
+      expect(checkPinPolicy('6543', policy).map((v) => v.rule)).toEqual(['sequential']);
+    });
+  });
+
+  describe('pinPolicyError', () => {
+    it('should wrap violations in the error body', () => {
+      const violations = [{ rule: 'repeated', message: 'PIN must not repeat a single digit' }];
+      expect(pinPolicyError(violations)).toEqual({ error: 'PIN does not meet policy', violations });
+    });
+  });
+});
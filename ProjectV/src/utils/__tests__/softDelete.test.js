@@ -1,9 +1,12 @@
 import { describe, it, expect, beforeEach } from '@jest/globals';
 import {
   addSoftDeleteFilter,
+  addDeletedFilter,
+  buildTrashFilter,
   getCreateMetadata,
   getUpdateMetadata,
-  getDeleteMetadata
+  getDeleteMetadata,
+  getRestoreMetadata
 } from '../softDelete.js';
 
 describe('Soft Delete Utils', () => {
@@ -50,6 +53,45 @@ describe('Soft Delete Utils', () => {
     });
   });
 
+  describe('addDeletedFilter', () => {
+    it('should only match soft-deleted documents', () => {
+      expect(addDeletedFilter()).toEqual({
+        deleted_at: { $exists: true }
+      });
+    });
+
+    it('should override a deleted_at condition in the base filter', () => {
+      const result = addDeletedFilter({ status: 'void', deleted_at: { $exists: false } });
+      
+      expect(result).toEqual({
+        status: 'void',
+        deleted_at: { $exists: true }
+      });
+    });
+  });
+
+  describe('buildTrashFilter', () => {
+    it('should match soft-deleted documents like addDeletedFilter by default', () => {
+      expect(buildTrashFilter({ status: 'void' })).toEqual(addDeletedFilter({ status: 'void' }));
+    });
+
+    it('should narrow by deleting user and deletion date range', () => {
+      const after = new Date('2025-01-01T00:00:00Z');
+      const before = new Date('2025-02-01T00:00:00Z');
+      const result = buildTrashFilter({ status: 'void', deleted_by: 'ignored' }, {
+        deletedBy: 'cashier1',
+        deletedAfter: after,
+        deletedBefore: before
+      });
+      
+      expect(result).toEqual({
+        status: 'void',
+        deleted_by: 'cashier1',
+        deleted_at: { $exists: true, $gte: after, $lt: before }
+      });
+    });
+  });
+
   describe('getCreateMetadata', () => {
     it('should return created_at and created_by from user', () => {
       const user = { username: 'testuser', email: 'test@example.com' };
@@ -121,4 +163,20 @@ describe('Soft Delete Utils', () => {
       expect(metadata).toHaveProperty('deleted_by', 'system');
     });
   });
+
+  describe('getRestoreMetadata', () => {
+    it('should return restored_at and restored_by from user', () => {
+      const user = { username: 'testuser', email: 'test@example.com' };
+      const metadata = getRestoreMetadata(user);
+      
+      expect(metadata).toHaveProperty('restored_by', 'testuser');
+      expect(metadata.restored_at).toBeInstanceOf(Date);
+    });
+
+    it('should use system as restored_by when user is not provided', () => {
+      const metadata = getRestoreMetadata(null);
+      
+      expect(metadata).toHaveProperty('restored_by', 'system');
+    });
+  });
 });
@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import { generateOpaqueToken, hashToken } from '../tokens.js';
+
+describe('Token Utils', () => {
+  describe('generateOpaqueToken', () => {
+    it('should generate a URL-safe string', () => {
+      const token = generateOpaqueToken();
+
+      expect(typeof token).toBe('string');
+      expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('should generate unique tokens', () => {
+      expect(generateOpaqueToken()).not.toBe(generateOpaqueToken());
+    });
+
+    it('should respect the requested byte length', () => {
+      const token = generateOpaqueToken(16);
+
+      expect(Buffer.from(token, 'base64url')).toHaveLength(16);
+    });
+  });
+
+  describe('hashToken', () => {
+    it('should return a hex encoded SHA-256 digest', () => {
+      const hash = hashToken('abc');
+
+      expect(hash).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+
+    it('should be deterministic', () => {
+      const token = generateOpaqueToken();
+
+      expect(hashToken(token)).toBe(hashToken(token));
+    });
+  });
+});
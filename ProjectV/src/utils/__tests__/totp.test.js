@@ -0,0 +1,92 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} from '../totp.js';
+
+describe('TOTP Utils', () => {
+  // RFC 6238 Appendix B reference secret (SHA-1)
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('base32', () => {
+    it('should encode the RFC 6238 reference secret', () => {
+      expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should accept lowercase, spaces and padding', () => {
+      expect(base32Decode('gezd gnbv====').toString()).toBe('12345');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('hotp', () => {
+    it('should match the RFC 4226 test vectors', () => {
+      const key = Buffer.from('12345678901234567890');
+
+      expect(hotp(key, 0)).toBe('755224');
+      expect(hotp(key, 1)).toBe('287082');
+      expect(hotp(key, 9)).toBe('520489');
+    });
+  });
+
+  describe('generateTotp', () => {
+    it.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ])('should match the RFC 6238 vector at T=%i', (seconds, code) => {
+      expect(generateTotp(rfcSecret, { time: seconds * 1000, digits: 8 })).toBe(code);
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const secret = generateTotpSecret();
+    const time = Date.parse('2025-01-01T12:00:00Z');
+
+    it('should accept the current code and return its time step', () => {
+      const code = generateTotp(secret, { time });
+
+      expect(verifyTotp(secret, code, { time })).toBe(Math.floor(time / 30000));
+    });
+
+    it('should accept codes within the drift window', () => {
+      const previous = generateTotp(secret, { time: time - 30000 });
+
+      expect(verifyTotp(secret, previous, { time })).not.toBeNull();
+      expect(verifyTotp(secret, previous, { time, window: 0 })).toBeNull();
+    });
+
+    it('should reject malformed and wrong codes', () => {
+      expect(verifyTotp(secret, 'abcdef', { time })).toBeNull();
+      expect(verifyTotp(secret, '12345', { time })).toBeNull();
+      expect(verifyTotp(secret, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build a provisioning URI for authenticator apps', () => {
+      const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'admin', issuer: 'ProjectV' });
+
+      expect(uri).toBe(
+        'otpauth://totp/ProjectV%3Aadmin?secret=JBSWY3DPEHPK3PXP&issuer=ProjectV&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+});
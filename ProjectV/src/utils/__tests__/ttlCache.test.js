@@ -0,0 +1,50 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { createTtlCache } from '../ttlCache.js';
+
+describe('TTL Cache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should return stored values before they expire', () => {
+    const cache = createTtlCache();
+    cache.set('a', false, 1000);
+
+    expect(cache.get('a')).toBe(false);
+    expect(cache.get('missing')).toBeUndefined();
+  });
+
+  it('should drop values once their TTL has passed', () => {
+    jest.useFakeTimers();
+    const cache = createTtlCache();
+    cache.set('a', 1, 1000);
+
+    jest.advanceTimersByTime(1001);
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.size()).toBe(0);
+  });
+
+  it('should evict entries when maxEntries is reached', () => {
+    const cache = createTtlCache({ maxEntries: 2 });
+    cache.set('a', 1, 1000);
+    cache.set('b', 2, 1000);
+    cache.set('c', 3, 1000);
+
+    expect(cache.size()).toBe(2);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+  });
+
+  it('should support delete and clear', () => {
+    const cache = createTtlCache();
+    cache.set('a', 1, 1000);
+    cache.set('b', 2, 1000);
+
+    cache.delete('a');
+    expect(cache.get('a')).toBeUndefined();
+
+    cache.clear();
+    expect(cache.size()).toBe(0);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @file ldap.js
+ * @brief Pure helpers for LDAP searches and group to role mapping.
+ *
+ * Kept free of network code so the LDAP identity provider's filter
+ * building and role decisions can be unit tested.
+ */
+
+/**
+ * @brief Escape a value for use inside an LDAP search filter (RFC 4515).
+ *
+ * @param {string} value Raw value, e.g. a username typed at login.
+ * @returns {string} Value with `*`, `(`, `)`, `\` and NUL escaped.
+ */
+export function escapeFilterValue(value) {
+  return String(value).replace(/[*()\\\0]/g, (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, "0")}`);
+}
+
+/**
+ * @brief Build the user search filter for a username.
+ *
+ * @param {string} template Filter with a `{{username}}` placeholder, e.g. "(uid={{username}})".
+ * @param {string} username Username typed at login.
+ * @returns {string} Filter with the escaped username substituted.
+ */
+export function buildUserFilter(template, username) {
+  return template.replaceAll("{{username}}", escapeFilterValue(username));
+}
+
+/**
+ * @brief Normalise a DN for comparison.
+ *
+ * @param {string} dn Distinguished name.
+ * @returns {string} Lower-cased DN without spaces around separators.
+ */
+export function normalizeDn(dn) {
+  return String(dn).trim().toLowerCase().replace(/\s*([,=])\s*/g, "$1");
+}
+
+/**
+ * @brief Read the value of the first RDN of a DN.
+ *
+ * @param {string} dn Distinguished name, e.g. "cn=store-managers,ou=groups,dc=projectv,dc=local".
+ * @returns {string} First RDN value ("store-managers"), lower-cased.
+ */
+function firstRdnValue(dn) {
+  const [rdn] = normalizeDn(dn).split(",");
+  return rdn.slice(rdn.indexOf("=") + 1);
+}
+
+/**
+ * @brief Pick a role from a user's directory groups.
+ *
+ * Each key of `groupRoles` is a group DN or just its common name
+ * (compared case-insensitively). The first entry the user is a member
+ * of wins, so list the most privileged groups first.
+ *
+ * @param {string[]} groups        Group DNs from the user's entry (memberOf).
+ * @param {Object<string, string>} groupRoles Group to role mapping, in priority order.
+ * @param {string|null} [defaultRole] Role for users in none of the mapped groups.
+ * @returns {string|null} Role, or null when the user may not sign in.
+ */
+export function resolveRoleFromGroups(groups, groupRoles, defaultRole = null) {
+  const dns = new Set(groups.map(normalizeDn));
+  const names = new Set(groups.map(firstRdnValue));
+
+  for (const [group, role] of Object.entries(groupRoles)) {
+    const key = normalizeDn(group);
+    if (key.includes("=") ? dns.has(key) : names.has(key)) return role;
+  }
+  return defaultRole;
+}
+
+/**
+ * @brief Read an attribute of a search entry as a list of strings.
+ *
+ * Attribute names are matched case-insensitively, since servers return
+ * them in their own spelling (e.g. `memberof` for `memberOf`).
+ *
+ * @param {Object} entry Search entry as returned by ldapts.
+ * @param {string} name  Attribute name.
+ * @returns {string[]} Values, empty when the attribute is missing.
+ */
+export function attributeValues(entry, name) {
+  const key = Object.keys(entry).find((attribute) => attribute.toLowerCase() === name.toLowerCase());
+  if (!key) return [];
+  const value = entry[key];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
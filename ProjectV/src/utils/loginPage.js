@@ -0,0 +1,113 @@
+/**
+ * @file loginPage.js
+ * @brief HTML pages of the OpenID Connect authorization endpoint.
+ *
+ * ProjectV has no front end of its own, so GET /oauth/authorize serves
+ * a minimal sign-in form that posts back to the same endpoint. Every
+ * value is HTML-escaped; the authorization request parameters travel
+ * in hidden fields.
+ */
+
+/**
+ * @brief Authorization request parameters carried through the sign-in form.
+ */
+export const AUTHORIZATION_PARAMS = Object.freeze([
+  "response_type",
+  "client_id",
+  "redirect_uri",
+  "scope",
+  "state",
+  "nonce",
+  "code_challenge",
+  "code_challenge_method"
+]);
+
+/**
+ * @brief Escape text for HTML element content and quoted attributes.
+ *
+ * @param {unknown} value Text to escape.
+ * @returns {string} Escaped text.
+ */
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * @brief Wrap page content in the shared HTML document.
+ *
+ * @param {string} title Page title (escaped here).
+ * @param {string} body  HTML body content (already escaped).
+ * @returns {string} Complete HTML document.
+ */
+function renderDocument(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; max-width: 22rem; margin: 4rem auto; padding: 0 1rem; }
+label, input, button { display: block; width: 100%; box-sizing: border-box; margin-top: .5rem; }
+button { margin-top: 1rem; padding: .5rem; }
+.error { color: #b00020; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * @brief Render the sign-in form of the authorization endpoint.
+ *
+ * The password step asks for a username and password; the MFA step
+ * carries the challenge token from the password step and asks for a
+ * TOTP code or a recovery code.
+ *
+ * @param {Object} options
+ * @param {string} options.clientName  Name of the client asking for sign-in.
+ * @param {Object<string, string>} options.params Authorization request parameters.
+ * @param {string} [options.error]     Message shown above the form.
+ * @param {string} [options.mfaToken]  MFA challenge token; renders the MFA step.
+ * @returns {string} HTML page.
+ */
+export function renderLoginPage({ clientName, params, error, mfaToken }) {
+  const hidden = AUTHORIZATION_PARAMS
+    .filter((name) => typeof params[name] === "string")
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`);
+  if (mfaToken) hidden.push(`<input type="hidden" name="mfa_token" value="${escapeHtml(mfaToken)}">`);
+
+  const fields = mfaToken
+    ? `<label for="code">Authentication code</label>
+<input id="code" name="code" inputmode="numeric" autocomplete="one-time-code" autofocus>
+<label for="recovery_code">or a recovery code</label>
+<input id="recovery_code" name="recovery_code" autocomplete="off">`
+    : `<label for="username">Username</label>
+<input id="username" name="username" autocomplete="username" required autofocus>
+<label for="password">Password</label>
+<input id="password" name="password" type="password" autocomplete="current-password" required>`;
+
+  return renderDocument("Sign in to ProjectV", `<h1>Sign in to ProjectV</h1>
+<p>${escapeHtml(clientName)} wants to access your account.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>\n` : ""}<form method="post" action="authorize">
+${hidden.join("\n")}
+${fields}
+<button type="submit">${mfaToken ? "Verify" : "Sign in"}</button>
+</form>`);
+}
+
+/**
+ * @brief Render an error page for requests that cannot be redirected back.
+ *
+ * Used when the client or redirect URI is invalid, so the browser must
+ * not be sent to the (untrusted) redirect URI.
+ *
+ * @param {string} message Error message.
+ * @returns {string} HTML page.
+ */
+export function renderErrorPage(message) {
+  return renderDocument("Sign-in error", `<h1>Sign-in error</h1>
+<p class="error">${escapeHtml(message)}</p>`);
+}
@@ -0,0 +1,77 @@
+/**
+ * @file mailTemplates.js
+ * @brief Plain-text templates of the messages ProjectV sends.
+ *
+ * Each template turns its data into a subject and a body. Messages are
+ * rendered when they are queued, so the outbox holds exactly what is
+ * delivered.
+ */
+
+/**
+ * @brief Format a date for message bodies.
+ *
+ * @param {Date|string} date Date to format.
+ * @returns {string} UTC timestamp, e.g. "2024-01-01 12:00 UTC".
+ */
+function formatDate(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+/**
+ * @brief Build the "open this link" paragraph, or the token to enter.
+ *
+ * @param {string|null} link  Link for the action, when a front end is configured.
+ * @param {string} token      Single-use token.
+ * @returns {string} Paragraph for the body.
+ */
+function actionParagraph(link, token) {
+  return link ? `Open this link:\n\n  ${link}` : `Use this code:\n\n  ${token}`;
+}
+
+/**
+ * @brief Message templates by name.
+ */
+export const MAIL_TEMPLATES = Object.freeze({
+  email_verification: ({ username, token, link, expiresAt }) => ({
+    subject: "Confirm your email address",
+    text: `Hello ${username},
+
+please confirm that this is your email address for ProjectV. ${actionParagraph(link, token)}
+
+It expires at ${formatDate(expiresAt)}. If you did not expect this message, you can ignore it.
+`
+  }),
+
+  password_reset: ({ username, token, link, expiresAt }) => ({
+    subject: "Reset your ProjectV password",
+    text: `Hello ${username},
+
+an administrator started a password reset for your account. ${actionParagraph(link, token)}
+
+It can be used once, until ${formatDate(expiresAt)}. If you did not ask for this, contact your administrator.
+`
+  }),
+
+  account_locked: ({ username, lockedUntil }) => ({
+    subject: "Your ProjectV account was locked",
+    text: `Hello ${username},
+
+sign-in to your account was locked after too many failed attempts. You can try again after ${formatDate(lockedUntil)}.
+
+If these attempts were not yours, contact your administrator and change your password.
+`
+  })
+});
+
+/**
+ * @brief Render a message.
+ *
+ * @param {string} name  Template name, a key of MAIL_TEMPLATES.
+ * @param {Object} data  Template data.
+ * @returns {{ subject: string, text: string }} Rendered message.
+ * @throws {Error} On unknown templates.
+ */
+export function renderMailTemplate(name, data) {
+  if (!Object.hasOwn(MAIL_TEMPLATES, name)) throw new Error(`Unknown mail template "${name}"`);
+  return MAIL_TEMPLATES[name](data);
+}
@@ -0,0 +1,81 @@
+/**
+ * @file oauth.js
+ * @brief Helpers for the OAuth2 token endpoint (RFC 6749).
+ *
+ * Parses client credentials and scope strings and builds the error
+ * bodies the specification expects, so the route handlers only deal
+ * with grant logic.
+ */
+
+/**
+ * @brief Split a space-delimited OAuth scope string.
+ *
+ * @param {unknown} scope Scope parameter, e.g. "documents:read documents:create".
+ * @returns {string[]} Unique scopes in request order (empty when absent).
+ */
+export function parseScope(scope) {
+  if (typeof scope !== "string") return [];
+  return [...new Set(scope.split(" ").filter(Boolean))];
+}
+
+/**
+ * @brief Decide which scopes to grant for a token request.
+ *
+ * No requested scope means every allowed scope. Requesting anything
+ * outside the allowed set fails the whole request, as RFC 6749 §5.2
+ * requires (`invalid_scope`).
+ *
+ * @param {string[]} requested Scopes from the request.
+ * @param {string[]} allowed   Scopes the client may use.
+ * @returns {string[]|null} Granted scopes, or null when a scope is not allowed.
+ */
+export function resolveRequestedScopes(requested, allowed) {
+  if (requested.length === 0) return [...allowed];
+  return requested.every((scope) => allowed.includes(scope)) ? requested : null;
+}
+
+/**
+ * @brief Read client credentials from a token request.
+ *
+ * Supports HTTP Basic authentication (`client_secret_basic`) and body
+ * parameters (`client_secret_post`). Basic credentials are
+ * form-urlencoded before base64 encoding, per RFC 6749 §2.3.1.
+ *
+ * @param {string} [authorization] Authorization header.
+ * @param {Object} [body]          Parsed request body.
+ * @returns {{ clientId: string, clientSecret: string, method: "basic"|"post" }|null}
+ *          Credentials, or null when none (or malformed ones) were sent.
+ */
+export function parseClientCredentials(authorization, body = {}) {
+  if (typeof authorization === "string" && authorization.startsWith("Basic ")) {
+    const decoded = Buffer.from(authorization.slice(6).trim(), "base64").toString("utf8");
+    const separator = decoded.indexOf(":");
+    if (separator < 1) return null;
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator).replace(/\+/g, " ")),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1).replace(/\+/g, " ")),
+        method: "basic"
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  const { client_id: clientId, client_secret: clientSecret } = body || {};
+  if (typeof clientId === "string" && clientId && typeof clientSecret === "string" && clientSecret) {
+    return { clientId, clientSecret, method: "post" };
+  }
+  return null;
+}
+
+/**
+ * @brief Build an OAuth2 error response body.
+ *
+ * @param {string} error          Error code, e.g. "invalid_client".
+ * @param {string} [description]  Human readable description.
+ * @returns {{ error: string, error_description?: string }} Response body.
+ */
+export function oauthError(error, description) {
+  return description ? { error, error_description: description } : { error };
+}
@@ -0,0 +1,174 @@
+/**
+ * @file oidc.js
+ * @brief Helpers for the OpenID Connect provider.
+ *
+ * Pure functions for PKCE, redirect URIs, scopes and the claims
+ * ProjectV publishes about a user, used by the authorization, token
+ * and userinfo endpoints and by discovery.
+ */
+
+import crypto from "crypto";
+import { DEFAULT_ROLE } from "../config/permissions.js";
+
+/**
+ * @brief OpenID Connect scopes, on top of the permission scopes.
+ *
+ * `openid` is required for every authorization request; `profile` adds
+ * the username, role and last update, `email` the email address.
+ */
+export const OIDC_SCOPES = Object.freeze(["openid", "profile", "email"]);
+
+/**
+ * @brief Claims that ID tokens and userinfo may contain.
+ */
+export const OIDC_CLAIMS = Object.freeze([
+  "sub",
+  "iss",
+  "aud",
+  "exp",
+  "iat",
+  "auth_time",
+  "nonce",
+  "sid",
+  "preferred_username",
+  "role",
+  "updated_at",
+  "email",
+  "email_verified"
+]);
+
+/**
+ * @brief Error reported while OpenID Connect is off (no asymmetric signing key).
+ */
+export const OIDC_UNAVAILABLE = "OpenID Connect requires an asymmetric signing key (JWT_KEYS_DIR)";
+
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const LOOPBACK_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+/**
+ * @brief Check the shape of an S256 PKCE code challenge.
+ *
+ * @param {unknown} challenge `code_challenge` from the authorization request.
+ * @returns {boolean} True for an unpadded base64url SHA-256 digest.
+ */
+export function isValidCodeChallenge(challenge) {
+  return typeof challenge === "string" && CODE_CHALLENGE_PATTERN.test(challenge);
+}
+
+/**
+ * @brief Check a PKCE code verifier against its S256 challenge (RFC 7636).
+ *
+ * @param {unknown} verifier  `code_verifier` from the token request.
+ * @param {string} challenge  `code_challenge` from the authorization request.
+ * @returns {boolean} True when BASE64URL(SHA256(verifier)) equals the challenge.
+ */
+export function verifyPkce(verifier, challenge) {
+  if (typeof verifier !== "string" || !CODE_VERIFIER_PATTERN.test(verifier)) return false;
+  const computed = Buffer.from(crypto.createHash("sha256").update(verifier).digest("base64url"));
+  const expected = Buffer.from(String(challenge));
+  return computed.length === expected.length && crypto.timingSafeEqual(computed, expected);
+}
+
+/**
+ * @brief Check whether a redirect URI may be registered for a client.
+ *
+ * Only absolute `https` URIs without a fragment are accepted, plus
+ * `http` on loopback addresses for tools running locally.
+ *
+ * @param {unknown} uri Redirect URI.
+ * @returns {boolean} True when the URI is acceptable.
+ */
+export function isValidRedirectUri(uri) {
+  if (typeof uri !== "string") return false;
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return false;
+  }
+  if (url.hash || uri.includes("#")) return false;
+  return url.protocol === "https:" || (url.protocol === "http:" && LOOPBACK_HOSTS.has(url.hostname));
+}
+
+/**
+ * @brief Decide which scopes to grant for an authorization request.
+ *
+ * `openid` must be requested. The OpenID scopes are always allowed;
+ * permission scopes only when the client is registered with them (the
+ * user's role still limits what the access token can do).
+ *
+ * @param {string[]} requested Scopes from the request.
+ * @param {string[]} allowed   Permission scopes the client may use.
+ * @returns {string[]|null} Granted scopes, or null when the request is invalid.
+ */
+export function resolveAuthorizationScopes(requested, allowed) {
+  if (!requested.includes("openid")) return null;
+  return requested.every((scope) => OIDC_SCOPES.includes(scope) || allowed.includes(scope)) ? requested : null;
+}
+
+/**
+ * @brief Build the standard claims about a user for the granted scopes.
+ *
+ * @param {Object} user     User document.
+ * @param {string[]} scopes Granted scopes.
+ * @returns {Object} Claims; always `sub` (the username).
+ */
+export function buildUserClaims(user, scopes) {
+  const updatedAt = user.updated_at || user.created_at;
+  return {
+    sub: user.username,
+    ...(scopes.includes("profile") && {
+      preferred_username: user.username,
+      role: user.role || DEFAULT_ROLE,
+      ...(updatedAt && { updated_at: Math.floor(new Date(updatedAt).getTime() / 1000) })
+    }),
+    ...(scopes.includes("email") && user.email && {
+      email: user.email,
+      email_verified: !!user.email_verified_at
+    })
+  };
+}
+
+/**
+ * @brief Add query parameters to a redirect URI.
+ *
+ * @param {string} uri    Registered redirect URI (may already have a query).
+ * @param {Object<string, string|undefined>} params Parameters; undefined values are skipped.
+ * @returns {string} URI to redirect the browser to.
+ */
+export function appendQuery(uri, params) {
+  const url = new URL(uri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+/**
+ * @brief Build the OpenID Provider metadata document.
+ *
+ * @param {string} issuer Issuer URL without a trailing slash.
+ * @param {{ signingAlg: string, scopes: readonly string[] }} options
+ *        Algorithm ID tokens are signed with, and every supported scope.
+ * @returns {Object} Discovery document for `/.well-known/openid-configuration`.
+ */
+export function buildDiscoveryDocument(issuer, { signingAlg, scopes }) {
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/oauth/authorize`,
+    token_endpoint: `${issuer}/oauth/token`,
+    userinfo_endpoint: `${issuer}/oauth/userinfo`,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    introspection_endpoint: `${issuer}/auth/introspect`,
+    response_types_supported: ["code"],
+    response_modes_supported: ["query"],
+    grant_types_supported: ["authorization_code", "refresh_token", "client_credentials"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: [signingAlg],
+    scopes_supported: [...scopes],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+    code_challenge_methods_supported: ["S256"],
+    claims_supported: [...OIDC_CLAIMS]
+  };
+}
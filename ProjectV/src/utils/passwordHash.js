@@ -0,0 +1,169 @@
+/**
+ * @file passwordHash.js
+ * @brief Configurable password hashing with versioned parameters.
+ *
+ * Passwords and PINs are hashed with the target algorithm and cost,
+ * read from environment variables:
+ *
+ *  - PASSWORD_HASH_ALGORITHM  bcrypt or scrypt (default bcrypt)
+ *  - PASSWORD_HASH_COST       bcrypt rounds (10-15, default 12) or the
+ *                             base 2 logarithm of the scrypt N
+ *                             parameter (14-20, default 15)
+ *
+ * The parameters of a stored hash are read from the hash itself, so
+ * hashes made with older settings keep verifying. Their version string
+ * ("<algorithm>:<cost>", e.g. "bcrypt:12") is stored on users as
+ * `hash_version`, and a hash whose version differs from the target is
+ * replaced on the next successful login (see services/users.js).
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+import bcrypt from "bcryptjs";
+
+const scrypt = promisify(crypto.scrypt);
+
+const BCRYPT_PATTERN = /^\$2[aby]\$(\d{2})\$[./A-Za-z0-9]{53}$/;
+const SCRYPT_PATTERN = /^\$scrypt\$ln=(\d{1,2}),r=(\d{1,2}),p=(\d{1,2})\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/;
+
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELISM = 1;
+const SCRYPT_KEY_LENGTH = 32;
+const SCRYPT_SALT_BYTES = 16;
+
+/**
+ * @brief Supported algorithms with their default and allowed cost.
+ */
+export const HASH_ALGORITHMS = Object.freeze({
+  bcrypt: Object.freeze({ defaultCost: 12, minCost: 10, maxCost: 15 }),
+  scrypt: Object.freeze({ defaultCost: 15, minCost: 14, maxCost: 20 })
+});
+
+/**
+ * @brief Validate hashing parameters and fill in the default cost.
+ *
+ * @param {{ algorithm?: string, cost?: string|number }} params Raw settings.
+ * @returns {{ algorithm: string, cost: number }} Validated parameters.
+ * @throws {Error} On an unknown algorithm or a cost outside its range.
+ */
+export function resolveHashParams({ algorithm, cost } = {}) {
+  const name = algorithm || "bcrypt";
+  if (!Object.hasOwn(HASH_ALGORITHMS, name)) {
+    throw new Error(`PASSWORD_HASH_ALGORITHM: unknown algorithm "${name}" (expected ${Object.keys(HASH_ALGORITHMS).join(", ")})`);
+  }
+  const { defaultCost, minCost, maxCost } = HASH_ALGORITHMS[name];
+  const value = cost === undefined || cost === "" ? defaultCost : Number(cost);
+  if (!Number.isInteger(value) || value < minCost || value > maxCost) {
+    throw new Error(`PASSWORD_HASH_COST: ${name} cost must be an integer from ${minCost} to ${maxCost}`);
+  }
+  return { algorithm: name, cost: value };
+}
+
+/**
+ * @brief Hashing parameters new hashes are made with.
+ */
+export const PASSWORD_HASH_PARAMS = Object.freeze(resolveHashParams({
+  algorithm: process.env.PASSWORD_HASH_ALGORITHM,
+  cost: process.env.PASSWORD_HASH_COST
+}));
+
+/**
+ * @brief Format hashing parameters as a version string.
+ *
+ * @param {{ algorithm: string, cost: number }} params Hashing parameters.
+ * @returns {string} Version such as "bcrypt:12".
+ */
+export function formatHashVersion({ algorithm, cost }) {
+  return `${algorithm}:${cost}`;
+}
+
+/**
+ * @brief Read the algorithm and cost a hash was made with.
+ *
+ * @param {unknown} hash Stored hash.
+ * @returns {{ algorithm: string, cost: number }|null} Parameters, or null when the format is unknown.
+ */
+export function describeHash(hash) {
+  if (typeof hash !== "string") return null;
+  const bcryptMatch = BCRYPT_PATTERN.exec(hash);
+  if (bcryptMatch) return { algorithm: "bcrypt", cost: Number(bcryptMatch[1]) };
+  const scryptMatch = SCRYPT_PATTERN.exec(hash);
+  if (scryptMatch) return { algorithm: "scrypt", cost: Number(scryptMatch[1]) };
+  return null;
+}
+
+/**
+ * @brief Check whether a hash should be replaced by one made with the target parameters.
+ *
+ * @param {unknown} hash Stored hash.
+ * @param {{ algorithm: string, cost: number }} [target] Target parameters.
+ * @returns {boolean} True when the hash was made with other parameters.
+ */
+export function needsRehash(hash, target = PASSWORD_HASH_PARAMS) {
+  const params = describeHash(hash);
+  return !params || formatHashVersion(params) !== formatHashVersion(target);
+}
+
+/**
+ * @brief Count hashes by version, split into current and legacy.
+ *
+ * @param {Iterable<unknown>} hashes Stored hashes.
+ * @param {{ algorithm: string, cost: number }} [target] Target parameters.
+ * @returns {{ target: string, total: number, current: number, legacy: number, versions: Object<string, number> }}
+ *          Counts; hashes in an unknown format are counted as "unknown".
+ */
+export function summarizeHashVersions(hashes, target = PASSWORD_HASH_PARAMS) {
+  const summary = { target: formatHashVersion(target), total: 0, current: 0, legacy: 0, versions: {} };
+  for (const hash of hashes) {
+    const params = describeHash(hash);
+    const version = params ? formatHashVersion(params) : "unknown";
+    summary.versions[version] = (summary.versions[version] || 0) + 1;
+    summary.total += 1;
+    if (version === summary.target) summary.current += 1;
+    else summary.legacy += 1;
+  }
+  return summary;
+}
+
+/**
+ * @brief Hash a secret.
+ *
+ * @param {string} secret Plaintext password or PIN.
+ * @param {{ algorithm: string, cost: number }} [params] Hashing parameters.
+ * @returns {Promise<string>} bcrypt hash, or a PHC formatted scrypt hash.
+ */
+export async function hashSecret(secret, params = PASSWORD_HASH_PARAMS) {
+  if (params.algorithm === "bcrypt") return bcrypt.hash(secret, params.cost);
+
+  const salt = crypto.randomBytes(SCRYPT_SALT_BYTES);
+  const key = await deriveScryptKey(secret, salt, params.cost, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELISM, SCRYPT_KEY_LENGTH);
+  return `$scrypt$ln=${params.cost},r=${SCRYPT_BLOCK_SIZE},p=${SCRYPT_PARALLELISM}`
+    + `$${salt.toString("base64").replace(/=+$/, "")}$${key.toString("base64").replace(/=+$/, "")}`;
+}
+
+/**
+ * @brief Check a secret against a hash made with any supported parameters.
+ *
+ * @param {string} secret Plaintext password or PIN.
+ * @param {string} hash   Stored hash.
+ * @returns {Promise<boolean>} True when the secret matches; false for unknown formats.
+ */
+export async function verifySecret(secret, hash) {
+  if (BCRYPT_PATTERN.test(hash)) return bcrypt.compare(secret, hash);
+
+  const match = SCRYPT_PATTERN.exec(hash);
+  if (!match) return false;
+  const [, ln, r, p, salt, expected] = match;
+  if (Number(ln) > HASH_ALGORITHMS.scrypt.maxCost) return false;
+  const expectedKey = Buffer.from(expected, "base64");
+  const key = await deriveScryptKey(secret, Buffer.from(salt, "base64"), Number(ln), Number(r), Number(p), expectedKey.length);
+  return crypto.timingSafeEqual(key, expectedKey);
+}
+
+/**
+ * @brief Run scrypt with a memory limit large enough for the cost.
+ */
+function deriveScryptKey(secret, salt, ln, r, p, keyLength) {
+  const N = 2 ** ln;
+  return scrypt(secret, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+}
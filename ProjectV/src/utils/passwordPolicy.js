@@ -0,0 +1,93 @@
+/**
+ * @file passwordPolicy.js
+ * @brief Configurable password policy checks.
+ *
+ * Every path that creates or changes a password validates it here.
+ * The policy is read from environment variables:
+ *
+ *  - PASSWORD_MIN_LENGTH       minimum length (default 10)
+ *  - PASSWORD_REQUIRED_CLASSES comma separated classes out of
+ *                              lower, upper, digit, symbol
+ *                              (default "lower,upper,digit")
+ *  - PASSWORD_HISTORY_SIZE     number of previous passwords that may
+ *                              not be reused (default 5)
+ *
+ * Checks return every failed rule so clients can show all problems at
+ * once instead of one per attempt.
+ */
+
+import { COMMON_PASSWORDS } from "../config/commonPasswords.js";
+
+/**
+ * @brief bcrypt only uses the first 72 bytes of a password.
+ */
+const MAX_PASSWORD_BYTES = 72;
+
+const CHARACTER_CLASSES = Object.freeze({
+  lower: { pattern: /[a-z]/, label: "a lowercase letter" },
+  upper: { pattern: /[A-Z]/, label: "an uppercase letter" },
+  digit: { pattern: /[0-9]/, label: "a digit" },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: "a symbol" }
+});
+
+/**
+ * @brief Password policy in effect, built from the environment.
+ */
+export const PASSWORD_POLICY = Object.freeze({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 10,
+  requiredClasses: Object.freeze(
+    (process.env.PASSWORD_REQUIRED_CLASSES ?? "lower,upper,digit")
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => Object.hasOwn(CHARACTER_CLASSES, name))
+  ),
+  historySize: Number(process.env.PASSWORD_HISTORY_SIZE ?? 5)
+});
+
+/**
+ * @brief Check a password against the static policy rules.
+ *
+ * Covers length, character classes, the common password blocklist and
+ * the username check. Password history needs the stored hashes and is
+ * checked separately (see services/users.js).
+ *
+ * @param {string} password Candidate password.
+ * @param {{ username?: string }} [context] Account the password is for.
+ * @param {typeof PASSWORD_POLICY} [policy] Policy to apply.
+ * @returns {{ rule: string, message: string }[]} Failed rules, empty when valid.
+ */
+export function checkPasswordPolicy(password, { username } = {}, policy = PASSWORD_POLICY) {
+  const violations = [];
+  const value = typeof password === "string" ? password : "";
+
+  if (value.length < policy.minLength) {
+    violations.push({ rule: "min_length", message: `Password must be at least ${policy.minLength} characters` });
+  }
+  if (Buffer.byteLength(value, "utf8") > MAX_PASSWORD_BYTES) {
+    violations.push({ rule: "max_length", message: `Password must be at most ${MAX_PASSWORD_BYTES} bytes` });
+  }
+  for (const name of policy.requiredClasses) {
+    const { pattern, label } = CHARACTER_CLASSES[name];
+    if (!pattern.test(value)) {
+      violations.push({ rule: `character_class:${name}`, message: `Password must contain ${label}` });
+    }
+  }
+  if (COMMON_PASSWORDS.has(value.toLowerCase())) {
+    violations.push({ rule: "common_password", message: "Password is too common" });
+  }
+  if (username && value.toLowerCase().includes(String(username).toLowerCase())) {
+    violations.push({ rule: "contains_username", message: "Password must not contain the username" });
+  }
+
+  return violations;
+}
+
+/**
+ * @brief Build the HTTP 400 body for policy violations.
+ *
+ * @param {{ rule: string, message: string }[]} violations Failed rules.
+ * @returns {{ error: string, violations: Object[] }} Response body.
+ */
+export function passwordPolicyError(violations) {
+  return { error: "Password does not meet policy", violations };
+}
@@ -0,0 +1,71 @@
+/**
+ * @file pinPolicy.js
+ * @brief Rules for the short PINs cashiers use on POS terminals.
+ *
+ * PINs are only accepted on enrolled terminals (see
+ * services/terminals.js), which rate limit attempts, so they can be
+ * much shorter than passwords. The length is read from the environment:
+ *
+ *  - PIN_MIN_LENGTH  minimum number of digits (default 4)
+ *  - PIN_MAX_LENGTH  maximum number of digits (default 8)
+ *
+ * Like the password policy, checks return every failed rule at once.
+ */
+
+/**
+ * @brief PIN policy in effect, built from the environment.
+ */
+export const PIN_POLICY = Object.freeze({
+  minLength: Number(process.env.PIN_MIN_LENGTH) || 4,
+  maxLength: Number(process.env.PIN_MAX_LENGTH) || 8
+});
+
+/**
+ * @brief Check whether digits run up or down by one (e.g. 1234, 9876).
+ *
+ * @param {string} pin Digits only.
+ * @returns {boolean} True for ascending or descending runs.
+ */
+function isSequential(pin) {
+  const steps = new Set();
+  for (let i = 1; i < pin.length; i++) steps.add(pin.charCodeAt(i) - pin.charCodeAt(i - 1));
+  return steps.size === 1 && (steps.has(1) || steps.has(-1));
+}
+
+/**
+ * @brief Check a PIN against the policy.
+ *
+ * @param {unknown} pin Candidate PIN.
+ * @param {typeof PIN_POLICY} [policy] Policy to apply.
+ * @returns {{ rule: string, message: string }[]} Failed rules, empty when valid.
+ */
+export function checkPinPolicy(pin, policy = PIN_POLICY) {
+  const value = typeof pin === "string" ? pin : "";
+  if (!/^[0-9]+$/.test(value)) {
+    return [{ rule: "digits", message: "PIN must consist of digits only" }];
+  }
+
+  const violations = [];
+  if (value.length < policy.minLength) {
+    violations.push({ rule: "min_length", message: `PIN must be at least ${policy.minLength} digits` });
+  }
+  if (value.length > policy.maxLength) {
+    violations.push({ rule: "max_length", message: `PIN must be at most ${policy.maxLength} digits` });
+  }
+  if (/^(.)\1*$/.test(value)) {
+    violations.push({ rule: "repeated", message: "PIN must not repeat a single digit" });
+  } else if (isSequential(value)) {
+    violations.push({ rule: "sequential", message: "PIN must not be a run of consecutive digits" });
+  }
+  return violations;
+}
+
+/**
+ * @brief Build the HTTP 400 body for PIN policy violations.
+ *
+ * @param {{ rule: string, message: string }[]} violations Failed rules.
+ * @returns {{ error: string, violations: Object[] }} Response body.
+ */
+export function pinPolicyError(violations) {
+  return { error: "PIN does not meet policy", violations };
+}
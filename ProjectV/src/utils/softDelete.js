@@ -2,9 +2,9 @@
  * @file softDelete.js
  * @brief Helper utilities for soft-delete and metadata fields.
  *
- * Provides functions to build filters that exclude soft-deleted
- * documents and to generate metadata for create, update, and
- * soft-delete operations.
+ * Provides functions to build filters that exclude (or only match)
+ * soft-deleted documents and to generate metadata for create, update,
+ * soft-delete and restore operations.
  */
 
 /**
@@ -23,6 +23,46 @@ export function addSoftDeleteFilter(filter = {}) {
   };
 }
 
+/**
+ * @brief Restrict a query to soft-deleted documents.
+ *
+ * The inverse of addSoftDeleteFilter: only documents where
+ * `deleted_at` is set are matched.
+ *
+ * @param {Object} [filter={}] Base MongoDB filter object.
+ * @returns {Object} Filter extended with the deleted condition.
+ */
+export function addDeletedFilter(filter = {}) {
+  return {
+    ...filter,
+    deleted_at: { $exists: true }
+  };
+}
+
+/**
+ * @brief Build the filter for browsing soft-deleted documents.
+ *
+ * Like addDeletedFilter, optionally narrowed to one deleting user and
+ * to a deletion time range.
+ *
+ * @param {Object} [filter={}] Base MongoDB filter object.
+ * @param {{ deletedBy?: string, deletedAfter?: Date, deletedBefore?: Date }} [options]
+ *        Who deleted the documents, and the range `deleted_at` must fall in
+ *        (after is inclusive, before exclusive).
+ * @returns {Object} Filter matching the selected soft-deleted documents.
+ */
+export function buildTrashFilter(filter = {}, { deletedBy, deletedAfter, deletedBefore } = {}) {
+  return {
+    ...filter,
+    ...(deletedBy !== undefined && { deleted_by: deletedBy }),
+    deleted_at: {
+      $exists: true,
+      ...(deletedAfter && { $gte: deletedAfter }),
+      ...(deletedBefore && { $lt: deletedBefore })
+    }
+  };
+}
+
 /**
  * @brief Build metadata for document creation.
  *
@@ -67,3 +107,19 @@ export function getDeleteMetadata(user) {
     deleted_by: user?.username || "system"
   };
 }
+
+/**
+ * @brief Build metadata for restoring a soft-deleted document.
+ *
+ * Set together with `$unset` of `deleted_at` and `deleted_by`, so the
+ * document is visible again and records who brought it back.
+ *
+ * @param {{ username?: string }} [user] Authenticated user object.
+ * @returns {{ restored_at: Date, restored_by: string }} Metadata fields.
+ */
+export function getRestoreMetadata(user) {
+  return {
+    restored_at: new Date(),
+    restored_by: user?.username || "system"
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * @file tokens.js
+ * @brief Helpers for opaque, server-side tracked tokens.
+ *
+ * Opaque tokens (such as refresh tokens) are returned to the client
+ * once and only their SHA-256 hash is stored in MongoDB, so a leaked
+ * database dump does not contain usable credentials.
+ */
+
+import crypto from "crypto";
+
+/**
+ * @brief Generate a random, URL-safe opaque token.
+ *
+ * @param {number} [bytes=32] Number of random bytes to encode.
+ * @returns {string} Base64url encoded token.
+ */
+export function generateOpaqueToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/**
+ * @brief Hash an opaque token for storage or lookup.
+ *
+ * @param {string} token Raw token as presented by the client.
+ * @returns {string} Hex encoded SHA-256 digest.
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
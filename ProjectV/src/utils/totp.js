@@ -0,0 +1,151 @@
+/**
+ * @file totp.js
+ * @brief Time-based one-time passwords (RFC 6238) and base32 helpers.
+ *
+ * Implements HOTP (RFC 4226) and TOTP on top of Node's crypto module,
+ * plus the base32 encoding and otpauth:// URI used by authenticator
+ * apps to enroll a secret from a QR code.
+ */
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * @brief Encode bytes as unpadded RFC 4648 base32.
+ *
+ * @param {Buffer} buffer Bytes to encode.
+ * @returns {string} Base32 string.
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * @brief Decode an RFC 4648 base32 string.
+ *
+ * Padding, spaces and lowercase letters are accepted.
+ *
+ * @param {string} input Base32 string.
+ * @returns {Buffer} Decoded bytes.
+ * @throws {Error} When the input contains invalid characters.
+ */
+export function base32Decode(input) {
+  const clean = String(input).replace(/[\s=]/g, "").toUpperCase();
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * @brief Generate a random TOTP secret.
+ *
+ * @param {number} [bytes=20] Secret length (20 bytes = 160 bits for SHA-1).
+ * @returns {string} Base32 encoded secret.
+ */
+export function generateTotpSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * @brief Compute an HOTP value (RFC 4226).
+ *
+ * @param {Buffer} key        Shared secret.
+ * @param {number} counter    Moving factor.
+ * @param {number} [digits=6] Number of digits.
+ * @param {string} [algorithm="sha1"] HMAC algorithm.
+ * @returns {string} Zero-padded code.
+ */
+export function hotp(key, counter, digits = 6, algorithm = "sha1") {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/**
+ * @brief Generate the TOTP code for a point in time.
+ *
+ * @param {string} secret Base32 encoded secret.
+ * @param {{ time?: number, step?: number, digits?: number, algorithm?: string }} [options]
+ *        `time` in epoch milliseconds (default now), `step` in seconds (default 30).
+ * @returns {string} Current code.
+ */
+export function generateTotp(secret, { time = Date.now(), step = 30, digits = 6, algorithm = "sha1" } = {}) {
+  return hotp(base32Decode(secret), Math.floor(time / 1000 / step), digits, algorithm);
+}
+
+/**
+ * @brief Verify a TOTP code, allowing for clock drift.
+ *
+ * @param {string} secret Base32 encoded secret.
+ * @param {string} code   Code entered by the user.
+ * @param {{ time?: number, step?: number, digits?: number, window?: number }} [options]
+ *        `window` is the number of steps accepted before and after now (default 1).
+ * @returns {number|null} The matching time step, or null when invalid.
+ */
+export function verifyTotp(secret, code, { time = Date.now(), step = 30, digits = 6, window = 1 } = {}) {
+  const candidate = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d+$/.test(candidate) || candidate.length !== digits) return null;
+
+  const key = base32Decode(secret);
+  const current = Math.floor(time / 1000 / step);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    const expected = hotp(key, counter, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * @brief Build the otpauth:// provisioning URI for authenticator apps.
+ *
+ * The URI is what the enrollment QR code encodes.
+ *
+ * @param {{ secret: string, account: string, issuer: string }} options Enrollment details.
+ * @returns {string} otpauth URI.
+ */
+export function buildOtpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: "6", period: "30" });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
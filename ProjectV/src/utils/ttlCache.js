@@ -0,0 +1,60 @@
+/**
+ * @file ttlCache.js
+ * @brief Minimal in-process cache with per-entry expiry.
+ *
+ * Used to avoid a MongoDB round trip on every request for data that
+ * changes rarely (e.g. token revocation state). Entries expire after
+ * their TTL and the cache is bounded to keep memory usage predictable.
+ */
+
+/**
+ * @brief Create a new TTL cache.
+ *
+ * @param {{ maxEntries?: number }} [options] Cache options.
+ * @returns {{
+ *   get: (key: string) => unknown,
+ *   set: (key: string, value: unknown, ttlMs: number) => void,
+ *   delete: (key: string) => void,
+ *   clear: () => void,
+ *   size: () => number
+ * }} Cache instance.
+ */
+export function createTtlCache({ maxEntries = 10000 } = {}) {
+  const entries = new Map();
+
+  function prune(now) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+    // Still full: drop the oldest entries (Map keeps insertion order).
+    while (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value, ttlMs) {
+      const now = Date.now();
+      if (!entries.has(key) && entries.size >= maxEntries) prune(now);
+      entries.set(key, { value, expiresAt: now + ttlMs });
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    size() {
+      return entries.size;
+    }
+  };
+}